@@ -0,0 +1,236 @@
+// Admin user accounts, password hashing and roles
+//
+// Redis layout:
+//   user:<id>                  hash with id, email, name, role, passwordHash, disabled, createdAt, createdBy,
+//                              passwordChangedAt, and for two-factor: totpEnabled, totpSecret, totpPendingSecret, totpLastStep
+//   user:<id>:recovery-codes   set of sha256 hashes of unused two-factor recovery codes
+//   users                      set of user ids
+//   users:by-email             hash of lowercase email -> user id
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { generateSecret, verifyTotp } from './totp.js';
+import logger from './logger.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// owner: everything, including managing users. sender: read and send. viewer: read only.
+export const ROLES = ['owner', 'sender', 'viewer'];
+
+// scrypt cost parameters are stored with each hash so they can be raised later without breaking old passwords
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const SCRYPT_KEYLEN = 64;
+const MIN_PASSWORD_LENGTH = 12;
+const RECOVERY_CODE_COUNT = 10;
+
+export function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+export function isValidPassword(password) {
+  return typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH;
+}
+
+// "scrypt$N$r$p$salt$hash" with base64 salt and hash
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT_KEYLEN, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+export async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') {
+    return false;
+  }
+  const [scheme, N, r, p, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Returned once to the owner, who passes it on to the invited or reset user
+export function generateTemporaryPassword() {
+  return crypto.randomBytes(12).toString('base64url');
+}
+
+function parseUser(hash) {
+  if (!hash || !hash.id) {
+    return null;
+  }
+  return {
+    ...hash,
+    disabled: hash.disabled === 'true',
+    totpEnabled: hash.totpEnabled === 'true',
+  };
+}
+
+// The account without its password hash, safe to return from the API
+export function publicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name || '',
+    role: user.role,
+    disabled: Boolean(user.disabled),
+    twoFactorEnabled: Boolean(user.totpEnabled),
+    createdAt: user.createdAt || null,
+    createdBy: user.createdBy || null,
+  };
+}
+
+export async function getUser(client, id) {
+  return parseUser(await client.hGetAll(`user:${id}`));
+}
+
+export async function findUserByEmail(client, email) {
+  const id = await client.hGet('users:by-email', normalizeEmail(email));
+  return id ? getUser(client, id) : null;
+}
+
+export async function listUsers(client) {
+  const ids = await client.sMembers('users');
+  const users = await Promise.all(ids.map(id => getUser(client, id)));
+  return users
+    .filter(Boolean)
+    .sort((a, b) => a.email.localeCompare(b.email));
+}
+
+// Callers check that the email is not taken and the role is valid
+export async function createUser(client, { email, name, role, password, createdBy }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const user = {
+    id,
+    email: normalizeEmail(email),
+    name: name || '',
+    role,
+    passwordHash: await hashPassword(password),
+    disabled: 'false',
+    createdAt: now,
+    createdBy: createdBy || '',
+    passwordChangedAt: now,
+  };
+  await client.hSet(`user:${id}`, user);
+  await client.sAdd('users', id);
+  await client.hSet('users:by-email', user.email, id);
+  logger.log('[accounts] User created:', { id, role });
+  return parseUser(user);
+}
+
+export async function setPassword(client, id, password) {
+  await client.hSet(`user:${id}`, {
+    passwordHash: await hashPassword(password),
+    passwordChangedAt: new Date().toISOString(),
+  });
+}
+
+export async function setDisabled(client, id, disabled) {
+  await client.hSet(`user:${id}`, 'disabled', disabled ? 'true' : 'false');
+}
+
+export async function setRole(client, id, role) {
+  await client.hSet(`user:${id}`, 'role', role);
+}
+
+// Active owners other than the given user; the last one can't be disabled or demoted
+export async function countOtherOwners(client, id) {
+  const users = await listUsers(client);
+  return users.filter(user => user.id !== id && user.role === 'owner' && !user.disabled).length;
+}
+
+// Before any accounts exist, logging in with the old shared ADMIN_PASSWORD creates the first owner.
+// The caller has already checked the credentials; returns null once any account exists.
+export async function bootstrapOwner(client, email, password) {
+  const existing = await client.sCard('users');
+  if (existing > 0) {
+    return null;
+  }
+  logger.warn('[accounts] No users exist yet, creating the first owner from ADMIN_PASSWORD');
+  return createUser(client, { email, name: 'Owner', role: 'owner', password, createdBy: 'bootstrap' });
+}
+
+// Two-factor authentication
+
+// Recovery codes are random, so a fast hash is enough to keep them unreadable at rest
+function hashRecoveryCode(code) {
+  const clean = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(clean).digest('hex');
+}
+
+// A new secret waits in totpPendingSecret until the user proves their app has it
+export async function startTotpEnrollment(client, id) {
+  const secret = generateSecret();
+  await client.hSet(`user:${id}`, 'totpPendingSecret', secret);
+  return secret;
+}
+
+// Returns the matched time step, or null when the code doesn't match the pending secret
+export async function confirmTotpEnrollment(client, user, code) {
+  if (!user.totpPendingSecret) {
+    return null;
+  }
+  const step = verifyTotp(user.totpPendingSecret, code);
+  if (step === null) {
+    return null;
+  }
+  await client.hSet(`user:${user.id}`, {
+    totpEnabled: 'true',
+    totpSecret: user.totpPendingSecret,
+    totpLastStep: String(step),
+  });
+  await client.hDel(`user:${user.id}`, 'totpPendingSecret');
+  logger.log('[accounts] Two-factor enabled:', user.id);
+  return step;
+}
+
+export async function disableTotp(client, id) {
+  await client.hDel(`user:${id}`, ['totpEnabled', 'totpSecret', 'totpPendingSecret', 'totpLastStep']);
+  await client.del(`user:${id}:recovery-codes`);
+  logger.log('[accounts] Two-factor disabled:', id);
+}
+
+// Replaces any existing codes; the plain codes are only ever returned here
+export async function generateRecoveryCodes(client, id) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  await client.del(`user:${id}:recovery-codes`);
+  await client.sAdd(`user:${id}:recovery-codes`, codes.map(hashRecoveryCode));
+  return codes;
+}
+
+export async function countRecoveryCodes(client, id) {
+  return client.sCard(`user:${id}:recovery-codes`);
+}
+
+// Check a TOTP code or a single-use recovery code for a user with two-factor enabled.
+// Accepted TOTP steps and recovery codes are used up so neither can be replayed.
+export async function verifySecondFactor(client, user, { code, recoveryCode }) {
+  if (!user.totpEnabled || !user.totpSecret) {
+    return false;
+  }
+  if (recoveryCode) {
+    const removed = await client.sRem(`user:${user.id}:recovery-codes`, hashRecoveryCode(recoveryCode));
+    if (removed > 0) {
+      logger.warn('[accounts] Recovery code used:', user.id);
+      return true;
+    }
+    return false;
+  }
+  const step = verifyTotp(user.totpSecret, code, { afterStep: Number(user.totpLastStep ?? -1) });
+  if (step === null) {
+    return false;
+  }
+  await client.hSet(`user:${user.id}`, 'totpLastStep', String(step));
+  return true;
+}
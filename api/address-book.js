@@ -0,0 +1,349 @@
+// Contacts, built from the mail we receive and send and edited by the team
+//
+// Redis layout:
+//   contact:<address>            hash with address, name, firstSeen, lastSeen, receivedCount, sentCount, notes,
+//                                tags (JSON list), createdAt, updatedAt, updatedBy
+//   contacts                     sorted set of contact addresses by when they were last seen (ms)
+//   contact:<address>:history    sorted set of JSON { direction: 'received' | 'sent', id, subject, at, threadId }
+//                                by message time (ms)
+//   contacts:started             when contacts were first recorded from live mail
+//   contacts:backfilled          set once the mail stored before that has been added
+//   contacts:backfilling         lock held while that backfill runs, so overlapping requests don't repeat it
+//
+// Addresses are stored lowercase. Our own sender identities never become contacts.
+
+import crypto from 'crypto';
+import { parseJsonList } from './redis.js';
+import { parseAddressList, isValidAddress, getSenderIdentities } from './addresses.js';
+import { extractAddresses } from './threads.js';
+import logger from './logger.js';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_NOTES_LENGTH = 2000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_HISTORY = 500;
+// Upper bound on contacts examined per search
+const MAX_SCANNED = 5000;
+const BACKFILL_LOCK_SECONDS = 120;
+
+export function normalizeContactAddress(address) {
+  return typeof address === 'string' ? address.trim().toLowerCase() : '';
+}
+
+function ownAddresses() {
+  return getSenderIdentities().map(identity => identity.address.toLowerCase());
+}
+
+// { name, address } pairs from an address field, tolerating text the strict parser rejects
+function mailboxesOf(value) {
+  const list = [].concat(value || []).map(String);
+  const mailboxes = [];
+  for (const entry of list) {
+    const { addresses, error } = parseAddressList(entry);
+    if (!error) {
+      mailboxes.push(...addresses);
+    } else {
+      mailboxes.push(...extractAddresses(entry).map(address => ({ name: '', address })));
+    }
+  }
+  return mailboxes;
+}
+
+function parseContact(hash) {
+  if (!hash || !hash.address) {
+    return null;
+  }
+  let tags = [];
+  try {
+    tags = JSON.parse(hash.tags || '[]');
+  } catch (error) {
+    logger.warn('[address-book] Ignoring unreadable tags for', hash.address);
+  }
+  return {
+    address: hash.address,
+    name: hash.name || '',
+    firstSeen: hash.firstSeen || null,
+    lastSeen: hash.lastSeen || null,
+    receivedCount: Number(hash.receivedCount) || 0,
+    sentCount: Number(hash.sentCount) || 0,
+    notes: hash.notes || '',
+    tags,
+    createdAt: hash.createdAt || null,
+    updatedAt: hash.updatedAt || null,
+    updatedBy: hash.updatedBy || null,
+  };
+}
+
+export async function getContact(client, address) {
+  const normalized = normalizeContactAddress(address);
+  return normalized ? parseContact(await client.hGetAll(`contact:${normalized}`)) : null;
+}
+
+// Whether a message is already in a contact's history. The same message can come round again: the backfill
+// overlaps the first live messages, and released or replayed mail is stored a second time.
+async function isRecorded(client, normalized, direction, id, time) {
+  if (!id) {
+    return false;
+  }
+  const entries = parseJsonList(await client.zRangeByScore(`contact:${normalized}:history`, time, time), 'address-book');
+  return entries.some(entry => entry.id === id && entry.direction === direction);
+}
+
+// Note one message to or from a contact, creating the contact on first sight; a message already noted is skipped.
+// A name seen in mail only fills in a missing one, so names the team edited are kept.
+async function recordContactMessage(client, { name, address }, direction, message) {
+  const normalized = normalizeContactAddress(address);
+  const at = message.at || new Date().toISOString();
+  const time = Date.parse(at) || Date.now();
+  if (await isRecorded(client, normalized, direction, message.id, time)) {
+    return;
+  }
+  const key = `contact:${normalized}`;
+  const existing = parseContact(await client.hGetAll(key));
+
+  const fields = {
+    address: normalized,
+    firstSeen: existing?.firstSeen && Date.parse(existing.firstSeen) <= time ? existing.firstSeen : at,
+    lastSeen: existing?.lastSeen && Date.parse(existing.lastSeen) >= time ? existing.lastSeen : at,
+  };
+  if (!existing) {
+    fields.createdAt = new Date().toISOString();
+  }
+  if (!existing?.name && name) {
+    fields.name = name.substring(0, MAX_NAME_LENGTH);
+  }
+  await client.hSet(key, fields);
+  await client.hIncrBy(key, direction === 'received' ? 'receivedCount' : 'sentCount', 1);
+  await client.zAdd('contacts', { score: Date.parse(fields.lastSeen), value: normalized });
+
+  await client.zAdd(`contact:${normalized}:history`, {
+    score: time,
+    value: JSON.stringify({
+      direction,
+      id: message.id || null,
+      subject: message.subject || '',
+      at,
+      threadId: message.threadId || null,
+    }),
+  });
+  const overflow = (await client.zCard(`contact:${normalized}:history`)) - MAX_HISTORY;
+  if (overflow > 0) {
+    for (const entry of await client.zRange(`contact:${normalized}:history`, 0, overflow - 1)) {
+      await client.zRem(`contact:${normalized}:history`, entry);
+    }
+  }
+}
+
+// Sent mail counts only for the recipients it reached: a message the mail transport captured instead of
+// delivering reached nobody, and recipients the allowlist withheld are left out.
+async function addMessageContacts(client, direction, message) {
+  if (direction === 'sent' && message.capturedId && message.capturedId === message.id) {
+    return;
+  }
+  const withheld = message.withheld || [];
+  const mailboxes = direction === 'received'
+    ? mailboxesOf(message.from).slice(0, 1)
+    : mailboxesOf([...[].concat(message.to || []), ...(message.cc || []), ...(message.bcc || [])]
+      .filter(recipient => !withheld.includes(recipient)));
+  const own = ownAddresses();
+  const seen = new Set();
+  for (const mailbox of mailboxes) {
+    const address = normalizeContactAddress(mailbox.address);
+    if (!isValidAddress(address) || own.includes(address) || seen.has(address)) {
+      continue;
+    }
+    seen.add(address);
+    await recordContactMessage(client, { ...mailbox, address }, direction, message);
+  }
+}
+
+// Add a received email's sender, or a sent email's recipients, to the address book.
+// Contacts are a convenience, so problems are logged and never fail the delivery or send.
+export async function recordContacts(client, direction, message) {
+  try {
+    await client.set('contacts:started', String(Date.now()), { NX: true });
+    await addMessageContacts(client, direction, message);
+  } catch (error) {
+    logger.error('[address-book] Failed to record contacts:', { id: message.id, message: error.message });
+  }
+}
+
+// Mail stored before contacts existed is added the first time the address book is used.
+// Anything since contacts:started was recorded as it happened, so it is left out here; messages stored just
+// before it was set were counted live too, and recordContactMessage skips those.
+// contacts:backfilled is only set once every message is in, so a run that fails or times out is picked up again
+// by the next request; the messages it already added are skipped then.
+export async function ensureContactsBackfilled(client) {
+  if (await client.get('contacts:backfilled')) {
+    return;
+  }
+  // Another request is already backfilling; this one lists what is there so far
+  const lockToken = crypto.randomUUID();
+  if (!(await client.set('contacts:backfilling', lockToken, { NX: true, EX: BACKFILL_LOCK_SECONDS }))) {
+    return;
+  }
+
+  try {
+    const started = Number(await client.get('contacts:started')) || Infinity;
+    const before = at => (Date.parse(at) || 0) < started;
+    const received = parseJsonList(await client.lRange('emails', 0, -1), 'address-book')
+      .filter(email => before(email.receivedAt));
+    const sent = parseJsonList(await client.lRange('sent-emails', 0, -1), 'address-book')
+      .filter(record => before(record.sentAt));
+    logger.log('[address-book] Backfilling contacts from', received.length, 'received and', sent.length, 'sent emails');
+    for (const email of received) {
+      await addMessageContacts(client, 'received', { ...email, at: email.receivedAt });
+    }
+    for (const record of sent) {
+      await addMessageContacts(client, 'sent', { ...record, at: record.sentAt });
+    }
+    await client.set('contacts:backfilled', new Date().toISOString());
+  } finally {
+    // Only release the lock if it is still ours, not one taken after ours expired
+    if ((await client.get('contacts:backfilling')) === lockToken) {
+      await client.del('contacts:backfilling');
+    }
+  }
+}
+
+// Contacts matching a search, most recently seen first.
+// options: { q, tag, limit, offset } where q matches the address, name, notes or tags.
+// Returns { contacts, total }.
+export async function searchContacts(client, { q = '', tag = '', limit = 50, offset = 0 } = {}) {
+  const needle = String(q || '').trim().toLowerCase();
+  const tagFilter = String(tag || '').trim().toLowerCase();
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+  const addresses = await client.zRange('contacts', 0, MAX_SCANNED - 1, { REV: true });
+  const matches = [];
+  for (const address of addresses) {
+    // Most searches are for an address, which needs no lookup
+    if (needle && !tagFilter && address.includes(needle)) {
+      matches.push(address);
+      continue;
+    }
+    const contact = await getContact(client, address);
+    if (!contact) continue;
+    if (tagFilter && !contact.tags.some(item => item.toLowerCase() === tagFilter)) continue;
+    if (needle && ![contact.address, contact.name, contact.notes, ...contact.tags].some(text => text.toLowerCase().includes(needle))) continue;
+    matches.push(address);
+  }
+
+  const contacts = [];
+  for (const address of matches.slice(start, start + pageSize)) {
+    const contact = await getContact(client, address);
+    if (contact) {
+      contacts.push(contact);
+    }
+  }
+  return { contacts, total: matches.length };
+}
+
+// A contact's messages, newest first
+export async function getContactHistory(client, address, limit = MAX_HISTORY) {
+  const entries = await client.zRange(`contact:${normalizeContactAddress(address)}:history`, 0, limit - 1, { REV: true });
+  return parseJsonList(entries, 'address-book');
+}
+
+// Validate and normalize { name, notes, tags } from a request; tags may be a list or comma-separated.
+// Returns { fields } with only the fields the request included, or { error }.
+export function validateContactInput({ name, notes, tags } = {}) {
+  if (name !== undefined && typeof name !== 'string') {
+    return { error: 'Name must be text.' };
+  }
+  if (notes !== undefined && typeof notes !== 'string') {
+    return { error: 'Notes must be text.' };
+  }
+  if (notes && notes.length > MAX_NOTES_LENGTH) {
+    return { error: `Notes can be at most ${MAX_NOTES_LENGTH} characters.` };
+  }
+  const fields = {};
+  if (tags !== undefined) {
+    const tagList = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    fields.tags = [...new Set(tagList
+      .map(tag => String(tag).trim().replace(/\s+/g, ' ').substring(0, MAX_TAG_LENGTH))
+      .filter(Boolean))];
+    if (fields.tags.length > MAX_TAGS) {
+      return { error: `A contact can have at most ${MAX_TAGS} tags.` };
+    }
+  }
+  if (name !== undefined) {
+    fields.name = name.trim().replace(/[\r\n]+/g, ' ').substring(0, MAX_NAME_LENGTH);
+  }
+  if (notes !== undefined) {
+    fields.notes = notes.trim();
+  }
+  return { fields };
+}
+
+export async function createContact(client, address, { name = '', notes = '', tags = [] }, userId) {
+  const normalized = normalizeContactAddress(address);
+  const now = new Date().toISOString();
+  await client.hSet(`contact:${normalized}`, {
+    address: normalized,
+    name,
+    notes,
+    tags: JSON.stringify(tags),
+    receivedCount: 0,
+    sentCount: 0,
+    createdAt: now,
+    updatedAt: now,
+    updatedBy: userId,
+  });
+  await client.zAdd('contacts', { score: Date.now(), value: normalized });
+  logger.log('[address-book] Contact created by', userId);
+  return getContact(client, normalized);
+}
+
+// Fields left out of the update keep their stored values
+export async function updateContact(client, address, { name, notes, tags }, userId) {
+  const normalized = normalizeContactAddress(address);
+  await client.hSet(`contact:${normalized}`, {
+    ...(name !== undefined ? { name } : {}),
+    ...(notes !== undefined ? { notes } : {}),
+    ...(tags !== undefined ? { tags: JSON.stringify(tags) } : {}),
+    updatedAt: new Date().toISOString(),
+    updatedBy: userId,
+  });
+  logger.log('[address-book] Contact updated by', userId);
+  return getContact(client, normalized);
+}
+
+// Retention for the address book. History entries go once their message is past its window: received ones
+// before receivedBefore, sent ones before sentBefore (ms, or null to keep them). Contacts nobody has edited and
+// that haven't been seen since forgetBefore are removed too. Returns { entries, contacts }.
+export async function purgeContactHistory(client, { receivedBefore = null, sentBefore = null, forgetBefore = null }) {
+  const removed = { entries: 0, contacts: 0 };
+  const cutoffs = [receivedBefore, sentBefore].filter(cutoff => cutoff !== null);
+  if (cutoffs.length > 0) {
+    for (const address of await client.zRange('contacts', 0, -1)) {
+      const key = `contact:${address}:history`;
+      for (const raw of await client.zRangeByScore(key, '-inf', Math.max(...cutoffs))) {
+        const [entry] = parseJsonList([raw], 'address-book');
+        const before = entry?.direction === 'received' ? receivedBefore : sentBefore;
+        if (!entry || (before !== null && (Date.parse(entry.at) || 0) < before)) {
+          removed.entries += await client.zRem(key, raw);
+        }
+      }
+    }
+  }
+  if (forgetBefore !== null) {
+    for (const address of await client.zRangeByScore('contacts', '-inf', forgetBefore)) {
+      const contact = await getContact(client, address);
+      if (contact && !contact.updatedBy && !contact.notes && contact.tags.length === 0) {
+        await deleteContact(client, address);
+        removed.contacts++;
+      }
+    }
+  }
+  return removed;
+}
+
+// Removes the contact and its history; it comes back, without the notes, if they write again
+export async function deleteContact(client, address) {
+  const normalized = normalizeContactAddress(address);
+  await client.del([`contact:${normalized}`, `contact:${normalized}:history`]);
+  return (await client.zRem('contacts', normalized)) > 0;
+}
@@ -0,0 +1,165 @@
+// Email address lists (RFC 5322) for outgoing mail, and the sender identities mail may come from
+//
+// Recipients can be given as '"Doe, Jane" <jane@example.org>, bob@example.org' or as an array of such
+// strings. Groups, comments and domain literals are not accepted; nobody types those into a compose form.
+//
+// SENDER_IDENTITIES lists the addresses the team may send as, in the same format; the first is the default:
+//   SENDER_IDENTITIES="The Warmthly Desk <desk@warmthly.org>, Warmthly Donations <donations@warmthly.org>"
+
+const MAX_LOCAL_LENGTH = 64;
+const MAX_ADDRESS_LENGTH = 254;
+const MAX_NAME_LENGTH = 100;
+
+const DEFAULT_SENDER_IDENTITIES = [
+  'The Warmthly Desk <desk@warmthly.org>',
+  'Warmthly Donations <donations@warmthly.org>',
+  'Warmthly Studies <studies@warmthly.org>',
+].join(', ');
+
+const ATEXT = "A-Za-z0-9!#$%&'*+/=?^_`{|}~-";
+const DOT_ATOM_PATTERN = new RegExp(`^[${ATEXT}]+(\\.[${ATEXT}]+)*$`);
+const QUOTED_LOCAL_PATTERN = /^"([^"\\\r\n]|\\[^\r\n])*"$/;
+const DOMAIN_PATTERN = /^([A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?\.)+[A-Za-z]{2,63}$/;
+// Characters that force a display name into quotes
+const NAME_SPECIALS = /[()<>[\]:;@\\,."]/;
+
+// A bare addr-spec: local-part@domain
+export function isValidAddress(address) {
+  if (typeof address !== 'string' || address.length > MAX_ADDRESS_LENGTH) {
+    return false;
+  }
+  const at = address.lastIndexOf('@');
+  if (at < 1) {
+    return false;
+  }
+  const local = address.slice(0, at);
+  const domain = address.slice(at + 1);
+  return local.length <= MAX_LOCAL_LENGTH
+    && (DOT_ATOM_PATTERN.test(local) || QUOTED_LOCAL_PATTERN.test(local))
+    && DOMAIN_PATTERN.test(domain);
+}
+
+// Split a list on the commas that separate mailboxes, leaving those inside quotes or <> alone
+function splitMailboxes(text) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  let angled = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted && char === '\\' && i + 1 < text.length) {
+      current += char + text[++i];
+      continue;
+    }
+    if (char === '"' && !angled) {
+      quoted = !quoted;
+    } else if (!quoted && char === '<') {
+      angled = true;
+    } else if (!quoted && char === '>') {
+      angled = false;
+    } else if (!quoted && !angled && (char === ',' || char === ';')) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (quoted) {
+    throw new Error('unclosed quote');
+  }
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+function unquoteName(name) {
+  const trimmed = name.trim();
+  if (trimmed.startsWith('"') && trimmed.endsWith('"') && trimmed.length >= 2) {
+    return trimmed.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  return trimmed.replace(/\s+/g, ' ');
+}
+
+// One mailbox: 'address', '<address>' or 'Display Name <address>'. Returns { name, address } or null.
+function parseMailbox(text) {
+  if (/[\r\n]/.test(text)) {
+    return null;
+  }
+  const match = text.match(/^(.*)<([^<>]*)>$/s);
+  const rawName = match ? match[1].trim() : '';
+  // Only a quoted name may contain angle brackets
+  if (/[<>]/.test(rawName) && !rawName.startsWith('"')) {
+    return null;
+  }
+  const name = unquoteName(rawName);
+  const address = (match ? match[2] : text).trim();
+  if (!isValidAddress(address) || name.length > MAX_NAME_LENGTH) {
+    return null;
+  }
+  return { name, address };
+}
+
+// Parse one field's worth of recipients. Returns { addresses: [{ name, address }] } or { error }.
+export function parseAddressList(input) {
+  if (input === undefined || input === null || input === '') {
+    return { addresses: [] };
+  }
+  const entries = Array.isArray(input) ? input : [input];
+  const addresses = [];
+
+  for (const entry of entries) {
+    if (typeof entry !== 'string') {
+      return { error: 'Addresses must be text.' };
+    }
+    let parts;
+    try {
+      parts = splitMailboxes(entry);
+    } catch (error) {
+      return { error: `Could not read "${entry.trim()}": ${error.message}.` };
+    }
+    for (const part of parts) {
+      const mailbox = parseMailbox(part);
+      if (!mailbox) {
+        return { error: `"${part}" is not a valid email address.` };
+      }
+      addresses.push(mailbox);
+    }
+  }
+  return { addresses };
+}
+
+// '"Doe, Jane" <jane@example.org>', 'Bob <bob@example.org>' or a bare address
+export function formatAddress({ name, address }) {
+  if (!name) {
+    return address;
+  }
+  const displayName = NAME_SPECIALS.test(name) ? `"${name.replace(/(["\\])/g, '\\$1')}"` : name;
+  return `${displayName} <${address}>`;
+}
+
+// Sender identities from SENDER_IDENTITIES, as [{ name, address, formatted, isDefault }]
+export function getSenderIdentities() {
+  const { addresses, error } = parseAddressList(process.env.SENDER_IDENTITIES || DEFAULT_SENDER_IDENTITIES);
+  if (error || addresses.length === 0) {
+    throw new Error(`SENDER_IDENTITIES is not a valid address list${error ? `: ${error}` : ''}`);
+  }
+  return addresses.map((identity, index) => ({
+    ...identity,
+    formatted: formatAddress(identity),
+    isDefault: index === 0,
+  }));
+}
+
+export function getDefaultSender() {
+  return getSenderIdentities()[0];
+}
+
+// The configured identity matching a requested sender (its address, with or without a name), or null
+export function resolveSender(from) {
+  const { addresses } = parseAddressList(typeof from === 'string' ? from : '');
+  if (addresses.length !== 1) {
+    return null;
+  }
+  const address = addresses[0].address.toLowerCase();
+  return getSenderIdentities().find(identity => identity.address.toLowerCase() === address) || null;
+}
@@ -0,0 +1,134 @@
+// Attachments on outgoing emails
+// The composer sends each file as { filename, contentType, content } with base64 content. The type is
+// decided by the file's own bytes rather than the browser's guess, and must be on the allowlist below.
+
+export const MAX_ATTACHMENTS = 5;
+// Vercel caps request bodies at 4.5 MB and base64 adds a third, so 3 MB of files is what fits
+export const MAX_TOTAL_ATTACHMENT_SIZE = 3 * 1024 * 1024;
+
+const MAX_FILENAME_LENGTH = 150;
+
+// Allowed types and the extensions each may carry
+const ALLOWED_TYPES = {
+  'application/pdf': ['pdf'],
+  'image/png': ['png'],
+  'image/jpeg': ['jpg', 'jpeg'],
+  'image/gif': ['gif'],
+  'image/webp': ['webp'],
+  'text/plain': ['txt'],
+  'text/csv': ['csv'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['docx'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['xlsx'],
+};
+
+function startsWith(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+function isUtf8Text(buffer) {
+  if (buffer.includes(0)) {
+    return false;
+  }
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The type a file's content shows it to be, or null when it's nothing we accept.
+// Office files are zip archives and text has no signature, so those fall back on the extension.
+function sniffContentType(buffer, extension) {
+  if (startsWith(buffer, [0x25, 0x50, 0x44, 0x46, 0x2d])) return 'application/pdf'; // %PDF-
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buffer, [0x47, 0x49, 0x46, 0x38]) && (buffer[4] === 0x37 || buffer[4] === 0x39) && buffer[5] === 0x61) return 'image/gif'; // GIF87a, GIF89a
+  if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)) return 'image/webp'; // RIFF....WEBP
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) {
+    if (extension === 'docx') return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    if (extension === 'xlsx') return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    return null;
+  }
+  if (isUtf8Text(buffer)) {
+    return extension === 'csv' ? 'text/csv' : 'text/plain';
+  }
+  return null;
+}
+
+// Drop any path and characters that don't belong in a header
+function cleanFilename(filename) {
+  return String(filename)
+    .split(/[\\/]/).pop()
+    .replace(/[\x00-\x1f\x7f"]/g, '')
+    .trim()
+    .substring(0, MAX_FILENAME_LENGTH);
+}
+
+function isBase64(value) {
+  return /^[A-Za-z0-9+/]*={0,2}$/.test(value) && value.length % 4 === 0;
+}
+
+// Validate attachments from a send request.
+// Returns { attachments } with decoded content, or { error } naming the file at fault.
+export function validateAttachments(input) {
+  if (input === undefined || input === null) {
+    return { attachments: [] };
+  }
+  if (!Array.isArray(input)) {
+    return { error: 'Attachments must be a list of files.' };
+  }
+  if (input.length > MAX_ATTACHMENTS) {
+    return { error: `At most ${MAX_ATTACHMENTS} files can be attached.` };
+  }
+
+  const attachments = [];
+  let totalSize = 0;
+
+  for (const file of input) {
+    if (!file || typeof file !== 'object' || typeof file.filename !== 'string' || typeof file.content !== 'string') {
+      return { error: 'Each attachment needs a filename and base64 content.' };
+    }
+    const filename = cleanFilename(file.filename);
+    if (!filename) {
+      return { error: 'Each attachment needs a filename.' };
+    }
+
+    const encoded = file.content.replace(/\s/g, '');
+    if (!isBase64(encoded)) {
+      return { error: `${filename} could not be read.` };
+    }
+    const content = Buffer.from(encoded, 'base64');
+    if (content.length === 0) {
+      return { error: `${filename} is empty.` };
+    }
+    totalSize += content.length;
+    if (totalSize > MAX_TOTAL_ATTACHMENT_SIZE) {
+      return { error: `Attachments can be at most ${MAX_TOTAL_ATTACHMENT_SIZE / (1024 * 1024)} MB in total.` };
+    }
+
+    const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+    const contentType = sniffContentType(content, extension);
+    if (!contentType) {
+      return { error: `${filename} is not a type of file that can be attached.` };
+    }
+    if (!ALLOWED_TYPES[contentType].includes(extension)) {
+      return { error: `${filename} does not look like a .${extension || '(no extension)'} file.` };
+    }
+    // The browser's type is only a hint and often generic, but claiming a different allowed type than
+    // the content shows (a PDF sent as image/png) means something is off
+    const claimed = typeof file.contentType === 'string' ? file.contentType.toLowerCase() : '';
+    if (ALLOWED_TYPES[claimed] && claimed !== contentType && !(claimed.startsWith('text/') && contentType.startsWith('text/'))) {
+      return { error: `${filename} does not match its stated type.` };
+    }
+
+    attachments.push({ filename, contentType, size: content.length, content });
+  }
+
+  return { attachments };
+}
+
+// What a sent record keeps about each attachment; the content itself is never stored
+export function attachmentMetadata(attachments) {
+  return attachments.map(({ filename, contentType, size }) => ({ filename, contentType, size }));
+}
@@ -0,0 +1,121 @@
+// Shared authentication for protected API routes
+// Verifies the Bearer JWT issued by /api/login, loads the account it names and exposes it as req.user
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { getStorageClient } from './storage.js';
+import { ROLES, getUser, publicUser } from './accounts.js';
+import { isTokenDenied, sessionExists } from './session-tokens.js';
+import logger from './logger.js';
+
+export function hasRole(user, roles) {
+  return Boolean(user) && roles.includes(user.role);
+}
+
+// Wrapper function for protected Vercel serverless functions.
+// options.roles limits the route to those roles; every role is allowed by default.
+export function withAuth(handler, { roles = ROLES } = {}) {
+  return async (req, res) => {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      logger.warn('[auth] Missing or invalid authorization header');
+      return res.status(401).json({ error: 'Authentication required.' });
+    }
+
+    const token = authHeader.split(' ')[1];
+    const jwtSecret = process.env.JWT_SECRET;
+
+    if (!jwtSecret) {
+      logger.error('[auth] JWT_SECRET is not configured');
+      return res.status(500).json({ error: 'Authentication system not configured.' });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, jwtSecret);
+    } catch (error) {
+      // TokenExpiredError extends JsonWebTokenError, so check it first
+      if (error instanceof jwt.TokenExpiredError) {
+        logger.warn('[auth] JWT expired:', error.message);
+        return res.status(401).json({ error: 'Token expired. Please log in again.' });
+      }
+      if (error instanceof jwt.JsonWebTokenError) {
+        logger.warn('[auth] JWT verification error:', error.message);
+        return res.status(401).json({ error: 'Invalid token.' });
+      }
+      throw error;
+    }
+
+    // Older tokens carry no session, and login challenges aren't sessions at all
+    if (!payload.sub || !payload.sid || payload.purpose) {
+      logger.warn('[auth] Token without a user or session id');
+      return res.status(401).json({ error: 'Invalid token.' });
+    }
+
+    // Logging out or terminating a session takes effect before the access token expires.
+    // The account is read on every request so disabling a user or changing a role applies immediately.
+    let revoked;
+    let user;
+    try {
+      const client = await getStorageClient();
+      revoked = await isTokenDenied(client, payload.jti) || !await sessionExists(client, payload.sid);
+      user = revoked ? null : await getUser(client, payload.sub);
+    } catch (error) {
+      logger.error('[auth] Session lookup failed:', {
+        message: error.message,
+        name: error.name,
+        code: error.code
+      });
+      return res.status(500).json({
+        error: 'Failed to verify the session.',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+
+    if (revoked) {
+      logger.warn('[auth] Token for a revoked session:', payload.sid);
+      return res.status(401).json({ error: 'Session has ended. Please log in again.' });
+    }
+
+    if (!user || user.disabled) {
+      logger.warn('[auth] Token for missing or disabled account:', payload.sub);
+      return res.status(401).json({ error: 'This account is no longer active.' });
+    }
+
+    // Resetting a password ends every session issued before the reset
+    if (payload.iat * 1000 < Date.parse(user.passwordChangedAt) - 1000) {
+      logger.warn('[auth] Token issued before the last password change:', user.id);
+      return res.status(401).json({ error: 'Password was changed. Please log in again.' });
+    }
+
+    req.user = { ...publicUser(user), sessionId: payload.sid, tokenId: payload.jti };
+
+    if (!hasRole(req.user, roles)) {
+      logger.warn('[auth] Role not allowed:', { user: req.user.id, role: req.user.role, allowed: roles });
+      return res.status(403).json({ error: 'You do not have permission to do this.' });
+    }
+
+    return handler(req, res);
+  };
+}
+
+// Wrapper for routes run by Vercel Cron, which sends 'Authorization: Bearer <CRON_SECRET>'
+export function withCronSecret(handler) {
+  return async (req, res) => {
+    const cronSecret = process.env.CRON_SECRET;
+    if (!cronSecret) {
+      logger.error('[auth] CRON_SECRET is not configured');
+      return res.status(500).json({ error: 'Scheduled jobs are not configured.' });
+    }
+
+    const expected = Buffer.from(`Bearer ${cronSecret}`, 'utf8');
+    const actual = Buffer.from(req.headers.authorization || '', 'utf8');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      logger.warn('[auth] Scheduled job called without the cron secret');
+      return res.status(401).json({ error: 'Authentication required.' });
+    }
+
+    return handler(req, res);
+  };
+}
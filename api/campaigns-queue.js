@@ -0,0 +1,472 @@
+// Bulk mail-merge campaigns: one template rendered per CSV row and sent through a throttled queue
+//
+// Redis layout:
+//   campaign:<id>                   hash with id, name, from, subject, html, defaults (JSON), templateId,
+//                                   status, total, createdAt, createdBy, createdByEmail, updatedAt, completedAt
+//   campaign:<id>:recipient:<n>     hash with index, email, fields (JSON of the row's columns), status,
+//                                   attempts, lastError, nextAttemptAt, emailId, sentAt
+//   campaign:<id>:<status>          set of recipient indexes in that status (pending, sent, failed, skipped)
+//   campaigns                       sorted set of campaign ids by creation time
+//   campaign-queue                  sorted set of '<campaignId>:<n>' scored by when the send is due (ms)
+//   campaign-queue:lock             held by whichever worker is draining the queue
+//
+// A campaign is 'sending', 'paused', 'cancelled' or 'completed'. Recipients stay 'pending' while they
+// wait for a send or a retry; those that can't be sent (bad address, duplicate, suppressed) are 'skipped'.
+
+import crypto from 'crypto';
+import { renderTemplate, extractVariables } from './email-templates.js';
+import { findSuppressed } from './delivery.js';
+import { deliverEmail } from './mailer.js';
+import logger from './logger.js';
+
+export const MAX_RECIPIENTS = 5000;
+export const RECIPIENT_STATUSES = ['pending', 'sent', 'failed', 'skipped'];
+
+const QUEUE_KEY = 'campaign-queue';
+const LOCK_KEY = 'campaign-queue:lock';
+const LOCK_SECONDS = 60;
+
+// Resend allows 2 requests a second by default
+const SEND_INTERVAL_MS = 500;
+// Sends per processing run, and how long a run may take, so one run fits in a serverless invocation
+const DEFAULT_BATCH_SIZE = 15;
+const DEFAULT_BUDGET_MS = 8000;
+
+// Transient failures are retried with exponential backoff: 1, 2, 4 then 8 minutes
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+const RETRYABLE_ERRORS = ['rate_limit_exceeded', 'application_error', 'internal_server_error', 'daily_quota_exceeded'];
+
+const WRITE_CHUNK = 500;
+
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function campaignKey(id) {
+  return `campaign:${id}`;
+}
+
+function recipientKey(id, index) {
+  return `campaign:${id}:recipient:${index}`;
+}
+
+function statusKey(id, status) {
+  return `campaign:${id}:${status}`;
+}
+
+// Turn parsed CSV records into recipients. The address comes from the 'email' column (any case) and
+// every column is available to the template as a variable, so {{email}} works as well.
+// Rows with an invalid or repeated address, or a placeholder left without a value, are kept but marked
+// skipped so the list shows why they won't be sent.
+export function prepareRecipients(records, template) {
+  const variables = extractVariables(template.subject, template.html);
+  const seen = new Map();
+
+  return records.map((record, index) => {
+    const emailColumn = Object.keys(record).find(column => column.toLowerCase() === 'email');
+    const email = (emailColumn ? record[emailColumn] : '').trim();
+    const fields = { ...record, email };
+    const recipient = { index, email, fields, status: 'pending', lastError: '' };
+
+    const missing = variables.filter(name => !String(fields[name] ?? '').trim() && !template.defaults?.[name]);
+
+    if (!isValidEmail(email)) {
+      recipient.status = 'skipped';
+      recipient.lastError = email ? 'Invalid email address' : 'No email address';
+    } else if (seen.has(email.toLowerCase())) {
+      recipient.status = 'skipped';
+      recipient.lastError = `Duplicate of row ${seen.get(email.toLowerCase()) + 1}`;
+    } else if (missing.length > 0) {
+      recipient.status = 'skipped';
+      recipient.lastError = `Missing values: ${missing.join(', ')}`;
+    }
+
+    if (isValidEmail(email) && !seen.has(email.toLowerCase())) {
+      seen.set(email.toLowerCase(), index);
+    }
+    return recipient;
+  });
+}
+
+async function countRecipients(client, id) {
+  const counts = {};
+  for (const status of RECIPIENT_STATUSES) {
+    counts[status] = await client.sCard(statusKey(id, status));
+  }
+  return counts;
+}
+
+function parseCampaign(record) {
+  if (!record || !record.id) {
+    return null;
+  }
+  let defaults = {};
+  try {
+    defaults = JSON.parse(record.defaults || '{}');
+  } catch (error) {
+    logger.warn('[campaigns-queue] Ignoring unreadable defaults for campaign', record.id);
+  }
+  return { ...record, total: Number(record.total) || 0, defaults };
+}
+
+function parseRecipient(record) {
+  if (!record || record.index === undefined) {
+    return null;
+  }
+  let fields = {};
+  try {
+    fields = JSON.parse(record.fields || '{}');
+  } catch (error) {
+    logger.warn('[campaigns-queue] Ignoring unreadable fields for recipient', record.index);
+  }
+  return {
+    ...record,
+    index: Number(record.index),
+    attempts: Number(record.attempts) || 0,
+    nextAttemptAt: Number(record.nextAttemptAt) || null,
+    fields,
+  };
+}
+
+// A campaign with its recipient counts, or null
+export async function getCampaign(client, id) {
+  if (!id || typeof id !== 'string') {
+    return null;
+  }
+  const campaign = parseCampaign(await client.hGetAll(campaignKey(id)));
+  return campaign ? { ...campaign, counts: await countRecipients(client, id) } : null;
+}
+
+// Campaigns newest first, without their bodies
+export async function listCampaigns(client, limit = 50) {
+  const ids = await client.zRange('campaigns', 0, limit - 1, { REV: true });
+  const campaigns = [];
+  for (const id of ids) {
+    const campaign = await getCampaign(client, id);
+    if (campaign) {
+      const { html, defaults, ...summary } = campaign;
+      campaigns.push(summary);
+    }
+  }
+  return campaigns;
+}
+
+// One page of a campaign's recipients in row order, optionally only those in one status
+export async function listRecipients(client, campaign, { status, offset = 0, limit = 100 } = {}) {
+  let indexes;
+  if (status) {
+    indexes = (await client.sMembers(statusKey(campaign.id, status))).map(Number).sort((a, b) => a - b);
+  } else {
+    indexes = Array.from({ length: campaign.total }, (_, index) => index);
+  }
+
+  const recipients = [];
+  for (const index of indexes.slice(offset, offset + limit)) {
+    const recipient = parseRecipient(await client.hGetAll(recipientKey(campaign.id, index)));
+    if (recipient) {
+      recipients.push(recipient);
+    }
+  }
+  return { recipients, total: indexes.length };
+}
+
+// Store a campaign and queue its sendable recipients for now.
+// The template is copied in, so later edits to a saved template don't change a campaign mid-send.
+// from is the formatted sender identity, or empty for the default one
+export async function createCampaign(client, { name, from = '', template, recipients }, user) {
+  const id = crypto.randomUUID();
+  const now = new Date();
+
+  await client.hSet(campaignKey(id), {
+    id,
+    name,
+    from,
+    subject: template.subject,
+    html: template.html,
+    defaults: JSON.stringify(template.defaults || {}),
+    templateId: template.id || '',
+    status: 'sending',
+    total: String(recipients.length),
+    createdAt: now.toISOString(),
+    createdBy: user.id,
+    createdByEmail: user.email || '',
+    updatedAt: now.toISOString(),
+  });
+
+  for (let start = 0; start < recipients.length; start += WRITE_CHUNK) {
+    const multi = client.multi();
+    for (const recipient of recipients.slice(start, start + WRITE_CHUNK)) {
+      multi.hSet(recipientKey(id, recipient.index), {
+        index: String(recipient.index),
+        email: recipient.email,
+        fields: JSON.stringify(recipient.fields),
+        status: recipient.status,
+        attempts: '0',
+        lastError: recipient.lastError,
+      });
+      multi.sAdd(statusKey(id, recipient.status), String(recipient.index));
+      if (recipient.status === 'pending') {
+        multi.zAdd(QUEUE_KEY, { score: now.getTime(), value: `${id}:${recipient.index}` });
+      }
+    }
+    await multi.exec();
+  }
+
+  await client.zAdd('campaigns', { score: now.getTime(), value: id });
+  await completeIfDone(client, id);
+  logger.log('[campaigns-queue] Campaign created:', { id, recipients: recipients.length, by: user.id });
+  return getCampaign(client, id);
+}
+
+async function setRecipientStatus(client, id, index, from, to, fields = {}) {
+  await client.multi()
+    .sRem(statusKey(id, from), String(index))
+    .sAdd(statusKey(id, to), String(index))
+    .hSet(recipientKey(id, index), { ...fields, status: to })
+    .exec();
+}
+
+// Mark a sending campaign completed once nothing is left pending
+async function completeIfDone(client, id) {
+  const pending = await client.sCard(statusKey(id, 'pending'));
+  const status = await client.hGet(campaignKey(id), 'status');
+  if (pending === 0 && status === 'sending') {
+    const now = new Date().toISOString();
+    await client.hSet(campaignKey(id), { status: 'completed', completedAt: now, updatedAt: now });
+    logger.log('[campaigns-queue] Campaign completed:', id);
+  }
+}
+
+async function setCampaignStatus(client, id, status) {
+  await client.hSet(campaignKey(id), { status, updatedAt: new Date().toISOString() });
+}
+
+// Stop sending; queued recipients stay pending until the campaign is resumed
+export async function pauseCampaign(client, id) {
+  await setCampaignStatus(client, id, 'paused');
+  logger.log('[campaigns-queue] Campaign paused:', id);
+}
+
+// Requeue everything still pending; retries keep their backoff
+export async function resumeCampaign(client, id) {
+  await setCampaignStatus(client, id, 'sending');
+  const now = Date.now();
+  for (const index of await client.sMembers(statusKey(id, 'pending'))) {
+    const nextAttemptAt = Number(await client.hGet(recipientKey(id, index), 'nextAttemptAt')) || 0;
+    await client.zAdd(QUEUE_KEY, { score: Math.max(now, nextAttemptAt), value: `${id}:${index}` });
+  }
+  await completeIfDone(client, id);
+  logger.log('[campaigns-queue] Campaign resumed:', id);
+}
+
+// Stop for good; whatever hasn't been sent is skipped
+export async function cancelCampaign(client, id) {
+  await setCampaignStatus(client, id, 'cancelled');
+  for (const index of await client.sMembers(statusKey(id, 'pending'))) {
+    await setRecipientStatus(client, id, index, 'pending', 'skipped', { lastError: 'Campaign cancelled' });
+    await client.zRem(QUEUE_KEY, `${id}:${index}`);
+  }
+  logger.log('[campaigns-queue] Campaign cancelled:', id);
+}
+
+// Queue every failed recipient again with a fresh set of attempts; returns how many were requeued
+export async function retryFailed(client, id) {
+  const indexes = await client.sMembers(statusKey(id, 'failed'));
+  const now = Date.now();
+  for (const index of indexes) {
+    await setRecipientStatus(client, id, index, 'failed', 'pending', { attempts: '0', lastError: '', nextAttemptAt: '' });
+    await client.zAdd(QUEUE_KEY, { score: now, value: `${id}:${index}` });
+  }
+  if (indexes.length > 0) {
+    await client.hSet(campaignKey(id), { status: 'sending', completedAt: '', updatedAt: new Date().toISOString() });
+  }
+  logger.log('[campaigns-queue] Failed recipients requeued:', { id, count: indexes.length });
+  return indexes.length;
+}
+
+// Completed or cancelled campaigns that finished before a time (ms), oldest first
+export async function listFinishedCampaigns(client, before) {
+  const campaigns = [];
+  for (const id of await client.zRangeByScore('campaigns', '-inf', before)) {
+    const campaign = parseCampaign(await client.hGetAll(campaignKey(id)));
+    const finishedAt = Date.parse(campaign?.completedAt || campaign?.updatedAt);
+    if (campaign && ['completed', 'cancelled'].includes(campaign.status) && finishedAt < before) {
+      campaigns.push(campaign);
+    }
+  }
+  return campaigns;
+}
+
+// Every row addressed to one lowercase address, across all campaigns, as [{ campaign, recipient }].
+// There is no index by address, so this reads every row; it is only used for privacy requests.
+export async function findCampaignRecipients(client, address) {
+  const matches = [];
+  for (const id of await client.zRange('campaigns', 0, -1)) {
+    const campaign = parseCampaign(await client.hGetAll(campaignKey(id)));
+    if (!campaign) continue;
+    for (let index = 0; index < campaign.total; index++) {
+      const email = await client.hGet(recipientKey(id, index), 'email');
+      if (email && email.trim().toLowerCase() === address) {
+        const { html, defaults, ...summary } = campaign;
+        matches.push({ campaign: summary, recipient: parseRecipient(await client.hGetAll(recipientKey(id, index))) });
+      }
+    }
+  }
+  return matches;
+}
+
+// Replace a row's address and merge fields with placeholder; a row still waiting to be sent is skipped
+export async function eraseCampaignRecipient(client, id, index, placeholder) {
+  const status = await client.hGet(recipientKey(id, index), 'status');
+  await client.hSet(recipientKey(id, index), { email: placeholder, fields: '{}' });
+  if (status === 'pending') {
+    await setRecipientStatus(client, id, index, 'pending', 'skipped', { lastError: 'Address erased' });
+    await client.zRem(QUEUE_KEY, `${id}:${index}`);
+    await completeIfDone(client, id);
+  }
+}
+
+// Remove a campaign with all its rows. Only for campaigns that are completed or cancelled.
+export async function deleteCampaign(client, campaign) {
+  const keys = [campaignKey(campaign.id), ...RECIPIENT_STATUSES.map(status => statusKey(campaign.id, status))];
+  for (let index = 0; index < campaign.total; index++) {
+    keys.push(recipientKey(campaign.id, index));
+  }
+  for (let start = 0; start < keys.length; start += WRITE_CHUNK) {
+    await client.del(keys.slice(start, start + WRITE_CHUNK));
+  }
+  await client.zRem('campaigns', campaign.id);
+  logger.log('[campaigns-queue] Campaign deleted:', campaign.id);
+}
+
+// Take the next due queue entry. ZREM decides who gets it when two workers race for the same member.
+async function claimNext(client, now) {
+  const [next] = await client.zRangeWithScores(QUEUE_KEY, 0, now, { BY: 'SCORE', LIMIT: { offset: 0, count: 1 } });
+  if (!next) {
+    return null;
+  }
+  if (!(await client.zRem(QUEUE_KEY, next.value))) {
+    return claimNext(client, now);
+  }
+  const separator = next.value.lastIndexOf(':');
+  return { id: next.value.slice(0, separator), index: next.value.slice(separator + 1) };
+}
+
+// Send one queued recipient. Returns 'sent', 'retry', 'failed', 'skipped' or null when nothing was attempted.
+async function sendToRecipient(client, campaign, index) {
+  const recipient = parseRecipient(await client.hGetAll(recipientKey(campaign.id, index)));
+  if (!recipient || recipient.status !== 'pending') {
+    return null;
+  }
+
+  const [suppressed] = await findSuppressed(client, [recipient.email]);
+  if (suppressed) {
+    await setRecipientStatus(client, campaign.id, index, 'pending', 'skipped', { lastError: `Suppressed: ${suppressed.reason}` });
+    return 'skipped';
+  }
+
+  const rendered = renderTemplate(campaign, recipient.fields);
+  if (rendered.missing.length > 0) {
+    await setRecipientStatus(client, campaign.id, index, 'pending', 'skipped', { lastError: `Missing values: ${rendered.missing.join(', ')}` });
+    return 'skipped';
+  }
+
+  let result;
+  try {
+    result = await deliverEmail(client, {
+      ...(campaign.from ? { from: campaign.from } : {}),
+      to: recipient.email,
+      subject: rendered.subject.trim().substring(0, 200),
+      html: rendered.html,
+    }, {
+      sentBy: campaign.createdByEmail || null,
+      sentById: campaign.createdBy,
+      templateId: campaign.templateId || null,
+      campaignId: campaign.id,
+    });
+  } catch (error) {
+    // Network failures and the like never reached Resend, so they are always worth another try
+    result = { error: { name: 'application_error', message: error.message } };
+  }
+
+  if (!result.error) {
+    await setRecipientStatus(client, campaign.id, index, 'pending', 'sent', {
+      emailId: result.data?.id || '',
+      sentAt: result.record.sentAt,
+      lastError: '',
+    });
+    return 'sent';
+  }
+
+  const attempts = recipient.attempts + 1;
+  const lastError = result.error.message || result.error.name || 'Send failed';
+  if (RETRYABLE_ERRORS.includes(result.error.name) && attempts < MAX_ATTEMPTS) {
+    const nextAttemptAt = Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1);
+    await client.hSet(recipientKey(campaign.id, index), { attempts: String(attempts), lastError, nextAttemptAt: String(nextAttemptAt) });
+    await client.zAdd(QUEUE_KEY, { score: nextAttemptAt, value: `${campaign.id}:${index}` });
+    return 'retry';
+  }
+
+  await setRecipientStatus(client, campaign.id, index, 'pending', 'failed', { attempts: String(attempts), lastError });
+  return 'failed';
+}
+
+// Work through due queue entries at the throttled rate until the batch or time budget runs out.
+// Only one worker drains the queue at a time; a second caller returns straight away with busy set.
+// Entries for paused or cancelled campaigns are dropped here, and resuming queues them again.
+export async function processCampaignQueue(client, { batchSize = DEFAULT_BATCH_SIZE, budgetMs = DEFAULT_BUDGET_MS } = {}) {
+  const result = { busy: false, sent: 0, retried: 0, failed: 0, skipped: 0 };
+  const lockToken = crypto.randomUUID();
+  if (!(await client.set(LOCK_KEY, lockToken, { NX: true, EX: LOCK_SECONDS }))) {
+    return { ...result, busy: true };
+  }
+
+  const startedAt = Date.now();
+  const campaigns = new Map();
+  let attempted = 0;
+
+  try {
+    while (attempted < batchSize && Date.now() - startedAt < budgetMs) {
+      const entry = await claimNext(client, Date.now());
+      if (!entry) {
+        break;
+      }
+
+      if (!campaigns.has(entry.id)) {
+        campaigns.set(entry.id, parseCampaign(await client.hGetAll(campaignKey(entry.id))));
+      }
+      const campaign = campaigns.get(entry.id);
+      if (!campaign || campaign.status !== 'sending') {
+        continue;
+      }
+
+      if (attempted > 0) {
+        await sleep(SEND_INTERVAL_MS);
+      }
+      const outcome = await sendToRecipient(client, campaign, entry.index);
+      if (outcome === 'sent') result.sent++;
+      if (outcome === 'retry') result.retried++;
+      if (outcome === 'failed') result.failed++;
+      if (outcome === 'skipped') result.skipped++;
+      if (outcome && outcome !== 'skipped') {
+        attempted++;
+      }
+      await completeIfDone(client, campaign.id);
+    }
+  } finally {
+    // Only release the lock if it is still ours, not one taken after ours expired
+    if ((await client.get(LOCK_KEY)) === lockToken) {
+      await client.del(LOCK_KEY);
+    }
+  }
+
+  if (attempted > 0) {
+    logger.log('[campaigns-queue] Queue processed:', result);
+  }
+  return result;
+}
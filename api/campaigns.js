@@ -0,0 +1,188 @@
+// /api/campaigns.js
+import { withRateLimit, campaignRateLimitOptions } from './rate-limit.js';
+import { withAuth, hasRole } from './auth.js';
+import { getStorageClient } from './storage.js';
+import { getTemplate, validateTemplateInput } from './email-templates.js';
+import { parseCsvRecords } from './csv.js';
+import { resolveSender } from './addresses.js';
+import {
+  MAX_RECIPIENTS,
+  RECIPIENT_STATUSES,
+  listCampaigns,
+  getCampaign,
+  listRecipients,
+  prepareRecipients,
+  createCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  retryFailed,
+  processCampaignQueue,
+} from './campaigns-queue.js';
+import { isTransportConfigured } from './transport.js';
+import logger, { withRequestId } from './logger.js';
+
+const CAMPAIGN_ACTIONS = ['create', 'pause', 'resume', 'cancel', 'retry-failed', 'process'];
+const MAX_CSV_LENGTH = 2 * 1024 * 1024; // 2 MB
+const MAX_PAGE_SIZE = 500;
+
+// Bulk campaigns:
+// GET lists campaigns; GET ?id= returns one with a page of recipients (?status=, ?offset=, ?limit=).
+// POST { action: 'create', name, from?, csv, templateId | { subject, html, defaults } } queues a send to every
+// row of the CSV, which needs an 'email' column; the other columns fill the template's variables.
+// from is one of the sender identities from /api/senders.
+// POST { action: 'pause' | 'resume' | 'cancel' | 'retry-failed', id } controls a campaign.
+// POST { action: 'process' } sends the next due batch, so an open progress view keeps the queue moving
+// between runs of /api/process-campaigns. Viewers can only look.
+async function campaignsHandler(req, res) {
+  logger.debug('[campaigns] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString(),
+    user: req.user?.id
+  });
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    logger.warn('[campaigns] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const client = await getStorageClient();
+
+    if (req.method === 'GET') {
+      const { id, status } = req.query || {};
+      if (!id) {
+        return res.status(200).json(await listCampaigns(client));
+      }
+      const campaign = await getCampaign(client, String(id));
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found.' });
+      }
+      if (status && !RECIPIENT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Unknown recipient status.' });
+      }
+      const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+      const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 100));
+      const page = await listRecipients(client, campaign, { status, offset, limit });
+      return res.status(200).json({ ...campaign, recipients: page.recipients, recipientTotal: page.total, offset, limit });
+    }
+
+    const { action, id } = req.body || {};
+
+    if (!CAMPAIGN_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: 'Unknown action.' });
+    }
+    if (!hasRole(req.user, ['owner', 'sender'])) {
+      return res.status(403).json({ error: 'You do not have permission to do this.' });
+    }
+    if (!isTransportConfigured()) {
+      logger.error('[campaigns] Email transport is not configured (MAIL_TRANSPORT, RESEND_API_KEY)');
+      return res.status(500).json({ error: 'Email service is not configured. Please contact the administrator.' });
+    }
+
+    if (action === 'process') {
+      return res.status(200).json(await processCampaignQueue(client));
+    }
+
+    if (action === 'create') {
+      const { name, from, csv, templateId } = req.body;
+      if (!name || typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'Campaign name is required.' });
+      }
+      const sender = from ? resolveSender(from) : null;
+      if (from && !sender) {
+        return res.status(400).json({ error: 'Campaigns can only be sent from one of the team addresses.' });
+      }
+      if (!csv || typeof csv !== 'string') {
+        return res.status(400).json({ error: 'A CSV file of recipients is required.' });
+      }
+      if (csv.length > MAX_CSV_LENGTH) {
+        return res.status(400).json({ error: 'The CSV file is too large (2 MB at most).' });
+      }
+
+      let template;
+      if (templateId) {
+        template = await getTemplate(client, String(templateId));
+        if (!template) {
+          return res.status(404).json({ error: 'Template not found.' });
+        }
+      } else {
+        const validated = validateTemplateInput({ ...req.body, name });
+        if (validated.error) {
+          return res.status(400).json({ error: validated.error.replace('Template', 'Campaign') });
+        }
+        template = validated.template;
+      }
+
+      let parsed;
+      try {
+        parsed = parseCsvRecords(csv);
+      } catch (error) {
+        return res.status(400).json({ error: `Could not read the CSV file: ${error.message}.` });
+      }
+      if (!parsed.headers.some(header => header.toLowerCase() === 'email')) {
+        return res.status(400).json({ error: "The CSV file needs an 'email' column." });
+      }
+      if (parsed.records.length === 0) {
+        return res.status(400).json({ error: 'The CSV file has no recipients.' });
+      }
+      if (parsed.records.length > MAX_RECIPIENTS) {
+        return res.status(400).json({ error: `A campaign can have at most ${MAX_RECIPIENTS} recipients.` });
+      }
+
+      const recipients = prepareRecipients(parsed.records, template);
+      const campaign = await createCampaign(client, {
+        name: name.trim().substring(0, 100),
+        from: sender ? sender.formatted : '',
+        template,
+        recipients,
+      }, req.user);
+      return res.status(200).json(campaign);
+    }
+
+    const campaign = await getCampaign(client, id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found.' });
+    }
+
+    if (action === 'pause') {
+      if (campaign.status !== 'sending') {
+        return res.status(409).json({ error: 'Only a campaign that is sending can be paused.' });
+      }
+      await pauseCampaign(client, campaign.id);
+    } else if (action === 'resume') {
+      if (campaign.status !== 'paused') {
+        return res.status(409).json({ error: 'Only a paused campaign can be resumed.' });
+      }
+      await resumeCampaign(client, campaign.id);
+    } else if (action === 'cancel') {
+      if (campaign.status !== 'sending' && campaign.status !== 'paused') {
+        return res.status(409).json({ error: 'This campaign has already finished.' });
+      }
+      await cancelCampaign(client, campaign.id);
+    } else {
+      if (campaign.status === 'cancelled') {
+        return res.status(409).json({ error: 'A cancelled campaign cannot be retried.' });
+      }
+      await retryFailed(client, campaign.id);
+    }
+
+    logger.log('[campaigns] Campaign updated:', { id: campaign.id, action, by: req.user.id });
+    res.status(200).json(await getCampaign(client, campaign.id));
+
+  } catch (error) {
+    logger.error('[campaigns] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to manage campaigns.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler with rate limiting and authentication
+export default withRequestId(withRateLimit(withAuth(campaignsHandler), campaignRateLimitOptions));
@@ -0,0 +1,111 @@
+// /api/contacts.js
+import { withRateLimit, apiRateLimitOptions } from './rate-limit.js';
+import { withAuth, hasRole } from './auth.js';
+import { getStorageClient } from './storage.js';
+import { isValidAddress } from './addresses.js';
+import {
+  normalizeContactAddress,
+  ensureContactsBackfilled,
+  searchContacts,
+  getContact,
+  getContactHistory,
+  validateContactInput,
+  createContact,
+  updateContact,
+  deleteContact,
+} from './address-book.js';
+import logger, { withRequestId } from './logger.js';
+
+const CONTACT_ACTIONS = ['create', 'update', 'delete'];
+
+// The address book, filled in from received and sent mail:
+// GET ?q=&tag=&limit=&offset= searches contacts, most recently seen first, and returns { contacts, total };
+// the composer's recipient autocomplete uses it too. GET ?address= returns { contact, history }.
+// POST { action: 'create', address, name, notes, tags } and { action: 'update', address, ... } save one;
+// an update only changes the fields it includes. POST { action: 'delete', address } removes one.
+// Viewers can't change contacts.
+async function contactsHandler(req, res) {
+  logger.debug('[contacts] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString(),
+    user: req.user?.id
+  });
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    logger.warn('[contacts] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const client = await getStorageClient();
+    await ensureContactsBackfilled(client);
+
+    if (req.method === 'GET') {
+      const { address, q, tag, limit, offset } = req.query || {};
+      if (address) {
+        const contact = await getContact(client, String(address));
+        if (!contact) {
+          return res.status(404).json({ error: 'Contact not found.' });
+        }
+        return res.status(200).json({ contact, history: await getContactHistory(client, contact.address) });
+      }
+      return res.status(200).json(await searchContacts(client, { q, tag, limit, offset }));
+    }
+
+    if (!hasRole(req.user, ['owner', 'sender'])) {
+      return res.status(403).json({ error: 'You do not have permission to do this.' });
+    }
+
+    const { action } = req.body || {};
+    if (!CONTACT_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: 'Unknown action.' });
+    }
+    const address = normalizeContactAddress(req.body.address);
+    if (!isValidAddress(address)) {
+      return res.status(400).json({ error: 'A valid email address is required.' });
+    }
+    const existing = await getContact(client, address);
+
+    if (action === 'create') {
+      if (existing) {
+        return res.status(409).json({ error: 'There is already a contact with that address.', contact: existing });
+      }
+      const { fields, error } = validateContactInput(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      return res.status(200).json(await createContact(client, address, fields, req.user.id));
+    }
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Contact not found.' });
+    }
+
+    if (action === 'delete') {
+      await deleteContact(client, address);
+      logger.log('[contacts] Contact deleted by', req.user.id);
+      return res.status(200).json({ message: 'Contact deleted.' });
+    }
+
+    const { fields, error } = validateContactInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.status(200).json(await updateContact(client, address, fields, req.user.id));
+
+  } catch (error) {
+    logger.error('[contacts] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to manage contacts.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler with rate limiting and authentication
+export default withRequestId(withRateLimit(withAuth(contactsHandler), apiRateLimitOptions));
@@ -0,0 +1,70 @@
+// CSV parsing for uploaded recipient lists (RFC 4180)
+// Quoted fields may contain commas, line breaks and doubled quotes; rows end in LF or CRLF
+
+// Rows of fields; blank lines are skipped
+export function parseCsv(text) {
+  const input = String(text || '').replace(/^﻿/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// The first row names the columns; returns { headers, records } with one { header: value } object per row
+export function parseCsvRecords(text) {
+  const [headerRow, ...rows] = parseCsv(text);
+  if (!headerRow) {
+    return { headers: [], records: [] };
+  }
+  const headers = headerRow.map(header => header.trim());
+  const records = rows.map(fields => {
+    const record = {};
+    headers.forEach((header, index) => {
+      if (header) {
+        record[header] = (fields[index] || '').trim();
+      }
+    });
+    return record;
+  });
+  return { headers, records };
+}
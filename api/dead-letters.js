@@ -0,0 +1,85 @@
+// /api/dead-letters.js
+import { withRateLimit, apiRateLimitOptions } from './rate-limit.js';
+import { withAuth, hasRole } from './auth.js';
+import { getStorageClient } from './storage.js';
+import { listDeadLetters, getDeadLetter, removeDeadLetter, replayDeadLetter } from './inbound-events.js';
+import logger, { withRequestId } from './logger.js';
+
+const DEAD_LETTER_ACTIONS = ['replay', 'discard'];
+
+// Webhook events that failed in /api/inbound-email:
+// GET lists them, most recent failure first; GET ?id= returns one with its full payload.
+// POST { action: 'replay', id } processes the event again, POST { action: 'discard', id } drops it.
+// Payloads hold whole emails, so this is for owners only.
+async function deadLettersHandler(req, res) {
+  logger.debug('[dead-letters] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString(),
+    user: req.user?.id
+  });
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    logger.warn('[dead-letters] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!hasRole(req.user, ['owner'])) {
+    return res.status(403).json({ error: 'Only an owner can see failed webhooks.' });
+  }
+
+  try {
+    const client = await getStorageClient();
+
+    if (req.method === 'GET') {
+      const { id } = req.query || {};
+      if (id) {
+        const entry = await getDeadLetter(client, String(id));
+        return entry
+          ? res.status(200).json(entry)
+          : res.status(404).json({ error: 'Failed webhook not found.' });
+      }
+      return res.status(200).json(await listDeadLetters(client));
+    }
+
+    const { action, id } = req.body || {};
+    if (!DEAD_LETTER_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: 'Unknown action.' });
+    }
+    const entry = await getDeadLetter(client, id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Failed webhook not found.' });
+    }
+
+    if (action === 'discard') {
+      await removeDeadLetter(client, entry.id);
+      logger.log('[dead-letters] Event discarded:', { id: entry.id, by: req.user.id });
+      return res.status(200).json({ message: 'Event discarded.' });
+    }
+
+    const result = await replayDeadLetter(client, entry);
+    if (result.inProgress) {
+      return res.status(409).json({ error: 'This event is being processed right now.' });
+    }
+    if (result.error) {
+      logger.warn('[dead-letters] Replay failed:', { id: entry.id, by: req.user.id });
+      return res.status(502).json({ error: result.error, entry: await getDeadLetter(client, entry.id) });
+    }
+    logger.log('[dead-letters] Event replayed:', { id: entry.id, outcome: result.outcome, by: req.user.id });
+    res.status(200).json({ outcome: result.outcome });
+
+  } catch (error) {
+    logger.error('[dead-letters] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to update failed webhooks.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler with rate limiting and authentication
+export default withRequestId(withRateLimit(withAuth(deadLettersHandler), apiRateLimitOptions));
@@ -0,0 +1,207 @@
+// Delivery tracking for sent emails and the recipient suppression list
+//
+// Redis layout:
+//   sent:<id>:events     list of delivery events for one Resend email id, in arrival order
+//   sent:status          hash of Resend email id -> current delivery status
+//   suppressions         hash of lowercase address -> JSON { address, reason, emailId, at }
+//   suppressions:unattributed
+//                        hash of Resend email id -> JSON { emailId, type, reason, at } for bounces and complaints
+//                        on an email to several people that don't say which one they are about
+
+import { extractAddresses } from './threads.js';
+import { getSentRecord } from './storage.js';
+import logger from './logger.js';
+
+// Resend webhook event types we track, and the status each one represents
+export const DELIVERY_EVENTS = {
+  'email.sent': 'sent',
+  'email.delivered': 'delivered',
+  'email.bounced': 'bounced',
+  'email.complained': 'complained',
+  'email.opened': 'opened',
+  'email.clicked': 'clicked',
+};
+
+// Later stages win; bounces and complaints outrank everything since they need attention
+const STATUS_RANK = { sent: 1, delivered: 2, opened: 3, clicked: 4, complained: 5, bounced: 6 };
+
+export function isDeliveryEvent(type) {
+  return Object.prototype.hasOwnProperty.call(DELIVERY_EVENTS, type);
+}
+
+// Keep only the parts of an event worth showing in the timeline
+function summarizeEvent(event) {
+  const data = event.data || {};
+  const summary = {
+    type: event.type,
+    status: DELIVERY_EVENTS[event.type],
+    at: event.created_at || data.created_at || new Date().toISOString(),
+    to: data.to || [],
+  };
+  if (data.bounce) {
+    summary.bounce = {
+      type: data.bounce.type || null,
+      subType: data.bounce.subType || null,
+      message: data.bounce.message || null,
+    };
+  }
+  if (data.click) {
+    summary.link = data.click.link || null;
+  }
+  return summary;
+}
+
+// Transient bounces (mailbox full, greylisting) are worth showing but not worth blocking the address
+function shouldSuppress(summary) {
+  if (summary.status === 'complained') {
+    return true;
+  }
+  return summary.status === 'bounced' && summary.bounce?.type !== 'Transient';
+}
+
+function recordRecipients(record) {
+  return [...new Set(extractAddresses([...[].concat(record.to || []), ...(record.cc || []), ...(record.bcc || [])]))];
+}
+
+// Every recipient of a sent email, from its record when we still have it; the event itself only lists to
+async function sentRecipients(client, emailId, summary) {
+  const record = await getSentRecord(client, emailId);
+  return record ? recordRecipients(record) : [...new Set(extractAddresses(summary.to))];
+}
+
+// The recipients a bounce or complaint is about. An email to one person can only be about them; for
+// several, only addresses the bounce message names count. A complaint or a bounce that names nobody
+// suppresses no one rather than blocking everyone else on the email; it is kept as unattributed instead,
+// for someone to decide on in the suppression list.
+async function affectedRecipients(client, emailId, summary) {
+  const recipients = await sentRecipients(client, emailId, summary);
+  if (recipients.length <= 1) {
+    return recipients;
+  }
+  const named = (summary.bounce?.message || '').toLowerCase().match(/[^\s<>"'(),;:[\]]+@[^\s<>"'(),;:[\]]+[a-z]/g) || [];
+  return recipients.filter(address => named.includes(address));
+}
+
+// Attach a webhook event to its sent email and update the suppression list.
+// Returns the email's status after the event.
+export async function recordDeliveryEvent(client, event) {
+  const emailId = event.data?.email_id;
+  if (!emailId) {
+    logger.warn('[delivery] Event without email_id ignored:', event.type);
+    return null;
+  }
+
+  const summary = summarizeEvent(event);
+  await client.rPush(`sent:${emailId}:events`, JSON.stringify(summary));
+
+  // Webhooks can arrive out of order, so only move the status forward
+  const current = await client.hGet('sent:status', emailId);
+  const status = (STATUS_RANK[summary.status] || 0) >= (STATUS_RANK[current] || 0) ? summary.status : current;
+  await client.hSet('sent:status', emailId, status);
+
+  if (shouldSuppress(summary)) {
+    const reason = summary.status === 'complained'
+      ? 'Marked as spam by the recipient'
+      : `Bounced${summary.bounce?.message ? `: ${summary.bounce.message}` : ''}`;
+    const addresses = await affectedRecipients(client, emailId, summary);
+    for (const address of addresses) {
+      await suppressAddress(client, address, { reason, emailId, at: summary.at });
+    }
+    if (addresses.length === 0) {
+      logger.warn('[delivery] Not suppressing anyone; the event does not say which recipient it is about:', { emailId, type: event.type });
+      await client.hSet('suppressions:unattributed', emailId, JSON.stringify({
+        emailId,
+        type: event.type,
+        reason,
+        at: summary.at,
+      }));
+    }
+  }
+
+  logger.debug('[delivery] Event recorded:', { emailId, type: event.type, status });
+  return status;
+}
+
+// Events in the order they happened, which is not always the order the webhooks arrived in
+export async function getDeliveryEvents(client, emailId) {
+  const events = await client.lRange(`sent:${emailId}:events`, 0, -1);
+  return events
+    .map(event => JSON.parse(event))
+    .sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+}
+
+export async function getDeliveryStatus(client, emailId) {
+  return (await client.hGet('sent:status', emailId)) || null;
+}
+
+// Drop the delivery history of a sent email that is being deleted
+export async function deleteDeliveryEvents(client, emailId) {
+  await client.del(`sent:${emailId}:events`);
+  await client.hDel('sent:status', emailId);
+  await client.hDel('suppressions:unattributed', emailId);
+}
+
+export async function suppressAddress(client, address, { reason, emailId = null, at } = {}) {
+  const key = address.trim().toLowerCase();
+  await client.hSet('suppressions', key, JSON.stringify({
+    address: key,
+    reason: reason || 'Added manually',
+    emailId,
+    at: at || new Date().toISOString(),
+  }));
+  logger.log('[delivery] Address suppressed:', key);
+}
+
+// Returns true when the address was on the list
+export async function unsuppressAddress(client, address) {
+  const removed = await client.hDel('suppressions', address.trim().toLowerCase());
+  return removed > 0;
+}
+
+// Every suppressed address, most recent first
+export async function listSuppressions(client) {
+  const entries = Object.values(await client.hGetAll('suppressions'));
+  return entries
+    .map(entry => JSON.parse(entry))
+    .sort((a, b) => (a.at < b.at ? 1 : -1));
+}
+
+// The suppression entries matching any of the given recipients
+export async function findSuppressed(client, recipients) {
+  const addresses = [...new Set(extractAddresses(recipients))];
+  if (addresses.length === 0) {
+    return [];
+  }
+  const entries = await client.hmGet('suppressions', addresses);
+  return entries.filter(Boolean).map(entry => JSON.parse(entry));
+}
+
+// The email's subject and recipients come from its sent record, so an erased address isn't kept here as well
+async function describeUnattributed(client, entry) {
+  const record = await getSentRecord(client, entry.emailId);
+  return { ...entry, subject: record?.subject || '', recipients: record ? recordRecipients(record) : [] };
+}
+
+export async function getUnattributed(client, emailId) {
+  if (!emailId || typeof emailId !== 'string') {
+    return null;
+  }
+  const stored = await client.hGet('suppressions:unattributed', emailId);
+  return stored ? describeUnattributed(client, JSON.parse(stored)) : null;
+}
+
+// Bounces and complaints nobody could be suppressed for, most recent first, each with the subject and
+// recipients of its email so someone can pick who to suppress
+export async function listUnattributed(client) {
+  const entries = [];
+  for (const stored of Object.values(await client.hGetAll('suppressions:unattributed'))) {
+    entries.push(await describeUnattributed(client, JSON.parse(stored)));
+  }
+  return entries.sort((a, b) => (a.at < b.at ? 1 : -1));
+}
+
+// Returns true when there was an entry for the email
+export async function dismissUnattributed(client, emailId) {
+  const removed = await client.hDel('suppressions:unattributed', emailId);
+  return removed > 0;
+}
@@ -0,0 +1,167 @@
+// /api/drafts.js
+import { withRateLimit, draftRateLimitOptions } from './rate-limit.js';
+import { withAuth, hasRole } from './auth.js';
+import { getStorageClient } from './storage.js';
+import { prepareEmail } from './mailer.js';
+import {
+  MAX_SCHEDULE_AHEAD_MS,
+  normalizeDraftMessage,
+  getDraft,
+  listDrafts,
+  listScheduled,
+  saveDraft,
+  scheduleDraft,
+  unscheduleDraft,
+  deleteDraft,
+  isSendStuck,
+} from './outbox.js';
+import logger, { withRequestId } from './logger.js';
+
+const DRAFT_ACTIONS = ['save', 'schedule', 'cancel', 'delete'];
+
+// Drafts and scheduled sends:
+// GET lists your drafts, including scheduled ones; GET ?id= returns one.
+// GET ?scope=scheduled lists everyone's scheduled sends, for owners.
+// POST { action: 'save', id?, message } autosaves the compose form; message has the fields /api/send-email takes.
+// POST { action: 'schedule', id?, message?, scheduledAt } validates the message as a send would and
+// queues it for /api/process-scheduled; with only an id it reschedules the stored message.
+// POST { action: 'cancel', id } takes it off the schedule again, POST { action: 'delete', id } discards it.
+// Drafts belong to whoever wrote them; owners can also cancel or delete anyone's scheduled send.
+async function draftsHandler(req, res) {
+  logger.debug('[drafts] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString(),
+    user: req.user?.id
+  });
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    logger.warn('[drafts] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const client = await getStorageClient();
+    const isOwner = hasRole(req.user, ['owner']);
+
+    if (req.method === 'GET') {
+      const { id, scope } = req.query || {};
+      if (id) {
+        const draft = await getDraft(client, String(id));
+        if (!draft || (draft.createdBy !== req.user.id && !(isOwner && draft.status === 'scheduled'))) {
+          return res.status(404).json({ error: 'Draft not found.' });
+        }
+        return res.status(200).json(draft);
+      }
+      if (scope === 'scheduled') {
+        if (!isOwner) {
+          return res.status(403).json({ error: 'You do not have permission to do this.' });
+        }
+        return res.status(200).json(await listScheduled(client));
+      }
+      return res.status(200).json(await listDrafts(client, req.user.id));
+    }
+
+    const { action, id, scheduledAt } = req.body || {};
+
+    if (!DRAFT_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: 'Unknown action.' });
+    }
+
+    let draft = null;
+    if (id) {
+      draft = await getDraft(client, String(id));
+      const mayManage = draft && (draft.createdBy === req.user.id
+        || (isOwner && draft.status === 'scheduled' && (action === 'cancel' || action === 'delete')));
+      if (!mayManage) {
+        return res.status(404).json({ error: 'Draft not found.' });
+      }
+      // A send whose run died can still be deleted; the next scheduled run marks it failed otherwise
+      if (draft.status === 'sending' && !(action === 'delete' && isSendStuck(draft))) {
+        return res.status(409).json({ error: 'This email is being sent right now.' });
+      }
+    } else if (action === 'cancel' || action === 'delete') {
+      return res.status(400).json({ error: 'Draft id is required.' });
+    }
+
+    if (action === 'delete') {
+      await deleteDraft(client, draft);
+      logger.log('[drafts] Draft deleted:', { id: draft.id, by: req.user.id });
+      return res.status(200).json({ message: 'Draft deleted.' });
+    }
+
+    if (action === 'cancel') {
+      if (draft.status !== 'scheduled') {
+        return res.status(409).json({ error: 'This email is not scheduled.' });
+      }
+      return res.status(200).json(await unscheduleDraft(client, draft));
+    }
+
+    // Saving or scheduling over a scheduled send would change what goes out without anyone noticing
+    if (draft && draft.status === 'scheduled' && req.body.message !== undefined) {
+      return res.status(409).json({ error: 'Cancel the scheduled send before editing it.' });
+    }
+
+    let message = draft ? draft.message : null;
+    if (req.body.message !== undefined) {
+      const normalized = normalizeDraftMessage(req.body.message);
+      if (normalized.error) {
+        return res.status(400).json({ error: normalized.error });
+      }
+      message = normalized.message;
+    }
+    if (!message) {
+      return res.status(400).json({ error: 'Draft message is required.' });
+    }
+    // Drafts don't keep file contents, so a scheduled send would go out without its files
+    const hasAttachments = Array.isArray(req.body.message?.attachments) && req.body.message.attachments.length > 0;
+    if (action === 'schedule' && hasAttachments) {
+      return res.status(400).json({ error: 'Emails with attachments can only be sent straight away.' });
+    }
+
+    // Autosave keeps going with files attached, but says they weren't kept
+    if (action === 'save') {
+      const saved = await saveDraft(client, { id: draft?.id, message }, req.user.id);
+      return res.status(200).json(hasAttachments
+        ? { ...saved, warning: 'Attachments are not saved with drafts. Attach the files again before sending.' }
+        : saved);
+    }
+
+    const sendAt = new Date(scheduledAt);
+    if (!scheduledAt || Number.isNaN(sendAt.getTime())) {
+      return res.status(400).json({ error: 'A valid send time is required.' });
+    }
+    if (sendAt.getTime() <= Date.now()) {
+      return res.status(400).json({ error: 'The send time must be in the future.' });
+    }
+    if (sendAt.getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+      return res.status(400).json({ error: 'Emails can be scheduled up to a year ahead.' });
+    }
+
+    // Catch mistakes now rather than when nobody is watching; the checks run again at send time
+    const prepared = await prepareEmail(client, message, req.user);
+    if (prepared.error) {
+      const { status, message: errorMessage, ...extra } = prepared.error;
+      return res.status(status).json({ error: errorMessage, ...extra });
+    }
+
+    const saved = req.body.message !== undefined || !draft
+      ? await saveDraft(client, { id: draft?.id, message }, req.user.id)
+      : draft;
+    res.status(200).json(await scheduleDraft(client, saved, sendAt));
+
+  } catch (error) {
+    logger.error('[drafts] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to manage drafts.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler with rate limiting and authentication; viewers can't send, so they have no drafts
+export default withRequestId(withRateLimit(withAuth(draftsHandler, { roles: ['owner', 'sender'] }), draftRateLimitOptions));
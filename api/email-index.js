@@ -0,0 +1,226 @@
+// Secondary indexes over received emails for pagination, filtering and search
+//
+// Redis layout:
+//   emails:by-date     sorted set of email ids scored by received time (ms)
+//   search:<token>     set of email ids whose subject or body contains the token
+
+import { parseJsonList } from './redis.js';
+import { tokenize } from './text.js';
+import { getEmailState } from './email-state.js';
+import logger from './logger.js';
+
+const MAX_TOKENS_PER_EMAIL = 500;
+const SCAN_BATCH_SIZE = 100;
+// Upper bound on index entries examined per request when filters discard most of them
+const MAX_SCANNED_PER_PAGE = 1000;
+
+function receivedScore(email) {
+  return Date.parse(email.receivedAt) || Date.now();
+}
+
+// Add a received email to the date and full-text indexes
+export async function indexEmail(client, email) {
+  await client.zAdd('emails:by-date', { score: receivedScore(email), value: email.id });
+
+  const tokens = tokenize(`${email.subject || ''} ${email.text || ''}`).slice(0, MAX_TOKENS_PER_EMAIL);
+  for (const token of tokens) {
+    await client.sAdd(`search:${token}`, email.id);
+  }
+}
+
+// Emails stored before the indexes existed only live in the 'emails' list; index them once
+export async function ensureIndexed(client) {
+  const indexed = await client.exists('emails:by-date');
+  if (indexed) {
+    return;
+  }
+
+  const legacy = parseJsonList(await client.lRange('emails', 0, -1), 'email-index');
+  if (legacy.length === 0) {
+    return;
+  }
+
+  logger.log('[email-index] Backfilling indexes for', legacy.length, 'emails');
+  for (const summary of legacy) {
+    const existing = await client.get(`email:${summary.id}`);
+    const email = existing ? JSON.parse(existing) : summary;
+    if (!existing) {
+      await client.set(`email:${summary.id}`, JSON.stringify(summary));
+    }
+    await indexEmail(client, email);
+  }
+}
+
+// Cursors are "<score>:<skip>": resume at the given timestamp, skipping entries already returned
+function encodeCursor(score, skip) {
+  return `${score}:${skip}`;
+}
+
+function decodeCursor(cursor) {
+  if (!cursor || typeof cursor !== 'string') {
+    return null;
+  }
+  const [score, skip] = cursor.split(':').map(Number);
+  if (!Number.isFinite(score) || !Number.isInteger(skip) || skip < 0) {
+    return null;
+  }
+  return { score, skip };
+}
+
+function parseDate(value) {
+  if (!value) {
+    return null;
+  }
+  const time = Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+// Which state an email must be in to show up in each folder
+const FOLDERS = {
+  inbox: state => !state.archived && !state.trashed,
+  starred: state => state.starred && !state.trashed,
+  archived: state => state.archived && !state.trashed,
+  trash: state => state.trashed,
+  all: state => !state.trashed,
+};
+
+function includesText(value, needle) {
+  const text = Array.isArray(value) ? value.join(', ') : String(value || '');
+  return text.toLowerCase().includes(needle);
+}
+
+// Candidate ids for a search query, newest first, as [{ id, score }]
+async function searchCandidates(client, query) {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) {
+    return [];
+  }
+  const ids = await client.sInter(tokens.map(token => `search:${token}`));
+  const scored = await Promise.all(ids.map(async id => ({ id, score: await client.zScore('emails:by-date', id) })));
+  return scored
+    .filter(entry => entry.score !== null)
+    .sort((a, b) => b.score - a.score || (a.id < b.id ? 1 : -1));
+}
+
+// Walk the date index from the cursor downwards, one batch at a time, as [{ id, score }]
+async function* dateOrderedEntries(client, startScore, skip, minScore) {
+  let score = startScore;
+  let offset = skip;
+  while (true) {
+    const batch = await client.zRangeWithScores('emails:by-date', score, minScore, {
+      BY: 'SCORE',
+      REV: true,
+      LIMIT: { offset, count: SCAN_BATCH_SIZE }
+    });
+    if (batch.length === 0) {
+      return;
+    }
+    for (const entry of batch) {
+      yield { id: entry.value, score: entry.score };
+    }
+    // Continue from the last score seen, skipping the entries at that score already yielded
+    const lastScore = batch[batch.length - 1].score;
+    const atLastScore = batch.filter(entry => entry.score === lastScore).length;
+    offset = lastScore === score ? offset + atLastScore : atLastScore;
+    score = lastScore;
+  }
+}
+
+// One page of emails, newest first.
+// options: { cursor, limit, folder, label, assignee, from, to, since, until, status: 'read' | 'unread', q }
+// where assignee is a user id, or 'none' for emails nobody is assigned to
+// Returns { emails, nextCursor } where nextCursor is null on the last page.
+export async function listEmailsPage(client, options = {}) {
+  await ensureIndexed(client);
+
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 25, 1), 100);
+  const cursor = decodeCursor(options.cursor);
+  const since = parseDate(options.since);
+  const until = parseDate(options.until);
+  const fromFilter = options.from ? String(options.from).toLowerCase() : null;
+  const toFilter = options.to ? String(options.to).toLowerCase() : null;
+  const status = options.status === 'read' || options.status === 'unread' ? options.status : null;
+  const inFolder = FOLDERS[options.folder] || FOLDERS.inbox;
+  const label = options.label ? String(options.label) : null;
+  const assignee = options.assignee ? String(options.assignee) : null;
+
+  const maxScore = Math.min(cursor ? cursor.score : Infinity, until ?? Infinity);
+  const skip = cursor && cursor.score === maxScore ? cursor.skip : 0;
+  const minScore = since ?? -Infinity;
+
+  let entries;
+  if (options.q) {
+    const candidates = (await searchCandidates(client, options.q))
+      .filter(entry => entry.score <= maxScore && entry.score >= minScore);
+    // Apply the same "<score>:<skip>" cursor semantics to the in-memory candidate list
+    let seenAtMax = 0;
+    entries = candidates.filter(entry => {
+      if (entry.score === maxScore && seenAtMax < skip) {
+        seenAtMax++;
+        return false;
+      }
+      return true;
+    });
+  } else {
+    entries = dateOrderedEntries(
+      client,
+      maxScore === Infinity ? '+inf' : maxScore,
+      skip,
+      minScore === -Infinity ? '-inf' : minScore
+    );
+  }
+
+  const emails = [];
+  let scanned = 0;
+  let lastScore = null;
+  let skipAtLastScore = 0;
+  let exhausted = true;
+
+  for await (const entry of entries) {
+    if (emails.length >= limit || scanned >= MAX_SCANNED_PER_PAGE) {
+      exhausted = false;
+      break;
+    }
+    scanned++;
+
+    // Track position so the next page resumes right after this entry
+    if (entry.score === lastScore) {
+      skipAtLastScore++;
+    } else {
+      skipAtLastScore = entry.score === maxScore ? skip + 1 : 1;
+      lastScore = entry.score;
+    }
+
+    const stored = await client.get(`email:${entry.id}`);
+    if (!stored) {
+      continue;
+    }
+    const email = JSON.parse(stored);
+    const state = await getEmailState(client, entry.id);
+
+    if (!inFolder(state)) continue;
+    if (label && !state.labels.includes(label)) continue;
+    if (assignee && (state.assignee || 'none') !== assignee) continue;
+    if (fromFilter && !includesText(email.from, fromFilter)) continue;
+    if (toFilter && !includesText(email.to, toFilter)) continue;
+    if (status === 'read' && !state.read) continue;
+    if (status === 'unread' && state.read) continue;
+
+    emails.push({
+      id: email.id,
+      from: email.from,
+      to: email.to,
+      subject: email.subject,
+      receivedAt: email.receivedAt,
+      snippet: email.snippet || '',
+      attachmentCount: email.attachmentCount || 0,
+      threadId: email.threadId || null,
+      ...state,
+    });
+  }
+
+  return {
+    emails,
+    nextCursor: exhausted || lastScore === null ? null : encodeCursor(lastScore, skipAtLastScore),
+  };
+}
@@ -0,0 +1,205 @@
+// Per-message inbox state for received emails
+//
+// Redis layout:
+//   emails:read          set of email ids that have been opened or marked read
+//   emails:starred       set of starred email ids
+//   emails:archived      set of archived email ids
+//   emails:trash         sorted set of soft-deleted email ids scored by deletion time (ms)
+//   email:<id>:labels    set of labels on one email
+//   labels               set of every label in use
+//   emails:assignee      hash of email id -> id of the team member it is assigned to
+
+import { tokenize } from './text.js';
+import { removeFromThread } from './threads.js';
+import logger from './logger.js';
+
+// Trashed emails are permanently deleted after this many days
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const MAX_LABEL_LENGTH = 40;
+
+export const EMAIL_ACTIONS = [
+  'read', 'unread', 'star', 'unstar', 'archive', 'unarchive',
+  'trash', 'restore', 'delete', 'label', 'unlabel', 'assign', 'unassign'
+];
+
+export function normalizeLabel(label) {
+  if (!label || typeof label !== 'string') {
+    return null;
+  }
+  const trimmed = label.trim().replace(/\s+/g, ' ').substring(0, MAX_LABEL_LENGTH);
+  return trimmed || null;
+}
+
+export async function markRead(client, id, read = true) {
+  if (read) {
+    await client.sAdd('emails:read', id);
+  } else {
+    await client.sRem('emails:read', id);
+  }
+}
+
+// State flags and labels for a single email
+export async function getEmailState(client, id) {
+  const [read, starred, archived, trashedAt, labels, assignee] = await Promise.all([
+    client.sIsMember('emails:read', id),
+    client.sIsMember('emails:starred', id),
+    client.sIsMember('emails:archived', id),
+    client.zScore('emails:trash', id),
+    client.sMembers(`email:${id}:labels`),
+    client.hGet('emails:assignee', id),
+  ]);
+
+  return {
+    read: Boolean(read),
+    starred: Boolean(starred),
+    archived: Boolean(archived),
+    trashed: trashedAt !== null,
+    trashedAt: trashedAt !== null ? new Date(trashedAt).toISOString() : null,
+    labels: labels.sort(),
+    assignee: assignee || null,
+  };
+}
+
+// Remove the 'emails' list entries for a set of email ids. Returns how many were removed.
+export async function removeSummaries(client, ids) {
+  let removed = 0;
+  for (const summary of await client.lRange('emails', 0, -1)) {
+    try {
+      if (ids.has(JSON.parse(summary).id)) {
+        removed += await client.lRem('emails', 1, summary);
+      }
+    } catch (e) {
+      // Unparseable entries are left alone
+    }
+  }
+  return removed;
+}
+
+// Remove an email and everything indexed about it.
+// With keepSummary the entry in the 'emails' list is left for the caller, which a batch purge removes in one pass.
+export async function deleteEmailPermanently(client, id, { keepSummary = false } = {}) {
+  const stored = await client.get(`email:${id}`);
+  const email = stored ? JSON.parse(stored) : null;
+
+  if (email) {
+    for (const token of tokenize(`${email.subject || ''} ${email.text || ''}`)) {
+      await client.sRem(`search:${token}`, id);
+    }
+    if (email.threadId) {
+      await removeFromThread(client, email.threadId, id);
+    }
+  }
+
+  // The legacy 'emails' list holds JSON summaries, so the entry has to be found by value
+  if (!keepSummary) {
+    await removeSummaries(client, new Set([id]));
+  }
+
+  await client.del([`email:${id}`, `email:${id}:labels`, `email:${id}:replies`]);
+  await client.zRem('emails:by-date', id);
+  await client.zRem('emails:trash', id);
+  await client.sRem('emails:read', id);
+  await client.sRem('emails:starred', id);
+  await client.sRem('emails:archived', id);
+  await client.hDel('emails:assignee', id);
+
+  logger.log('[email-state] Email permanently deleted:', id);
+}
+
+// Permanently delete trashed emails older than the retention period
+export async function purgeExpiredTrash(client, now = Date.now()) {
+  const cutoff = now - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const expired = await client.zRangeByScore('emails:trash', '-inf', cutoff);
+  for (const id of expired) {
+    await deleteEmailPermanently(client, id);
+  }
+  if (expired.length > 0) {
+    logger.log('[email-state] Purged', expired.length, 'expired emails from trash');
+  }
+  return expired.length;
+}
+
+// Apply one action to a batch of email ids. value is the label for 'label' and 'unlabel', and the
+// user id for 'assign'. Returns the number of emails updated.
+export async function applyEmailAction(client, ids, action, value) {
+  let updated = 0;
+
+  for (const id of ids) {
+    const exists = await client.exists(`email:${id}`);
+    if (!exists) {
+      continue;
+    }
+
+    switch (action) {
+      case 'read':
+        await markRead(client, id, true);
+        break;
+      case 'unread':
+        await markRead(client, id, false);
+        break;
+      case 'star':
+        await client.sAdd('emails:starred', id);
+        break;
+      case 'unstar':
+        await client.sRem('emails:starred', id);
+        break;
+      case 'archive':
+        await client.sAdd('emails:archived', id);
+        break;
+      case 'unarchive':
+        await client.sRem('emails:archived', id);
+        break;
+      case 'trash':
+        await client.zAdd('emails:trash', { score: Date.now(), value: id });
+        break;
+      case 'restore':
+        await client.zRem('emails:trash', id);
+        break;
+      case 'delete': {
+        // Permanent deletion is only allowed from the trash
+        const trashedAt = await client.zScore('emails:trash', id);
+        if (trashedAt === null) {
+          continue;
+        }
+        await deleteEmailPermanently(client, id);
+        break;
+      }
+      case 'label':
+        await client.sAdd(`email:${id}:labels`, value);
+        await client.sAdd('labels', value);
+        break;
+      case 'unlabel':
+        await client.sRem(`email:${id}:labels`, value);
+        break;
+      case 'assign':
+        await client.hSet('emails:assignee', id, value);
+        break;
+      case 'unassign':
+        await client.hDel('emails:assignee', id);
+        break;
+      default:
+        throw new Error(`Unknown email action: ${action}`);
+    }
+    updated++;
+  }
+
+  return updated;
+}
+
+// Unread emails in the inbox, i.e. not archived and not in the trash
+export async function countUnread(client) {
+  const ids = await client.zRange('emails:by-date', 0, -1);
+  if (ids.length === 0) {
+    return 0;
+  }
+  const [read, archived] = await Promise.all([
+    client.smIsMember('emails:read', ids),
+    client.smIsMember('emails:archived', ids),
+  ]);
+  const trashed = new Set(await client.zRange('emails:trash', 0, -1));
+  return ids.filter((id, index) => !read[index] && !archived[index] && !trashed.has(id)).length;
+}
+
+export async function listLabels(client) {
+  return (await client.sMembers('labels')).sort();
+}
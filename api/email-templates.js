@@ -0,0 +1,177 @@
+// Reusable email templates with {{variable}} placeholders
+//
+// Redis layout:
+//   template:<id>     hash with id, name, subject, html, defaults (JSON object of variable -> default value),
+//                     createdAt, createdBy, updatedAt, updatedBy
+//   templates         set of template ids
+
+import crypto from 'crypto';
+import { escapeHtml } from './text.js';
+import logger from './logger.js';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_HTML_LENGTH = 100 * 1024; // 100 KB
+const MAX_VARIABLE_LENGTH = 2000;
+
+// {{ name }}; names are letters, digits, underscores, dots and dashes, starting with a letter or underscore
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+
+// Placeholder names used in a subject and body, in order of first appearance
+export function extractVariables(...texts) {
+  const names = [];
+  for (const text of texts) {
+    for (const match of String(text || '').matchAll(PLACEHOLDER_PATTERN)) {
+      if (!names.includes(match[1])) {
+        names.push(match[1]);
+      }
+    }
+  }
+  return names;
+}
+
+function fillPlaceholders(text, values, escape) {
+  return String(text || '').replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    if (values[name] === undefined) {
+      return placeholder;
+    }
+    return escape ? escapeHtml(values[name]) : values[name];
+  });
+}
+
+// Fill a template with variables, falling back to its defaults.
+// Values are escaped in the HTML body but not the subject, which is plain text.
+// Returns { subject, html, missing } where missing lists placeholders with no value or default;
+// those are left as written so a preview shows what still needs filling in.
+export function renderTemplate(template, variables = {}) {
+  // No prototype, so {{constructor}} or {{__proto__}} count as missing instead of resolving to Object's members
+  const values = Object.create(null);
+  for (const [name, value] of Object.entries(template.defaults || {})) {
+    if (value !== '') {
+      values[name] = String(value);
+    }
+  }
+  for (const [name, value] of Object.entries(variables || {})) {
+    if (value !== undefined && value !== null && String(value) !== '') {
+      values[name] = String(value).substring(0, MAX_VARIABLE_LENGTH);
+    }
+  }
+
+  return {
+    subject: fillPlaceholders(template.subject, values, false),
+    html: fillPlaceholders(template.html, values, true),
+    missing: extractVariables(template.subject, template.html).filter(name => values[name] === undefined),
+  };
+}
+
+// Validate and normalize { name, subject, html, defaults } from a request.
+// Returns { template } or { error }.
+export function validateTemplateInput({ name, subject, html, defaults } = {}) {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return { error: 'Template name is required.' };
+  }
+  if (!subject || typeof subject !== 'string' || !subject.trim()) {
+    return { error: 'Template subject is required.' };
+  }
+  if (!html || typeof html !== 'string' || !html.trim()) {
+    return { error: 'Template body is required.' };
+  }
+  if (html.length > MAX_HTML_LENGTH) {
+    return { error: 'Template body is too large.' };
+  }
+  if (defaults !== undefined && (typeof defaults !== 'object' || defaults === null || Array.isArray(defaults))) {
+    return { error: 'Template defaults must be an object of variable names to values.' };
+  }
+
+  // Only keep defaults for variables the template actually uses
+  const variables = extractVariables(subject, html);
+  const normalizedDefaults = {};
+  for (const [variable, value] of Object.entries(defaults || {})) {
+    if (variables.includes(variable) && value !== undefined && value !== null) {
+      normalizedDefaults[variable] = String(value).substring(0, MAX_VARIABLE_LENGTH);
+    }
+  }
+
+  return {
+    template: {
+      name: name.trim().substring(0, MAX_NAME_LENGTH),
+      subject: subject.trim().substring(0, MAX_SUBJECT_LENGTH),
+      html,
+      defaults: normalizedDefaults,
+    },
+  };
+}
+
+function parseTemplate(record) {
+  if (!record || !record.id) {
+    return null;
+  }
+  let defaults = {};
+  try {
+    defaults = JSON.parse(record.defaults || '{}');
+  } catch (error) {
+    logger.warn('[email-templates] Ignoring unreadable defaults for template', record.id);
+  }
+  return {
+    ...record,
+    defaults,
+    variables: extractVariables(record.subject, record.html),
+  };
+}
+
+export async function getTemplate(client, id) {
+  if (!id || typeof id !== 'string') {
+    return null;
+  }
+  return parseTemplate(await client.hGetAll(`template:${id}`));
+}
+
+// Every template, sorted by name
+export async function listTemplates(client) {
+  const ids = await client.sMembers('templates');
+  const templates = [];
+  for (const id of ids) {
+    const template = await getTemplate(client, id);
+    if (template) {
+      templates.push(template);
+    }
+  }
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function createTemplate(client, { name, subject, html, defaults }, userId) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  await client.hSet(`template:${id}`, {
+    id,
+    name,
+    subject,
+    html,
+    defaults: JSON.stringify(defaults || {}),
+    createdAt: now,
+    createdBy: userId,
+    updatedAt: now,
+    updatedBy: userId,
+  });
+  await client.sAdd('templates', id);
+  logger.log('[email-templates] Template created:', { id, by: userId });
+  return getTemplate(client, id);
+}
+
+export async function updateTemplate(client, id, { name, subject, html, defaults }, userId) {
+  await client.hSet(`template:${id}`, {
+    name,
+    subject,
+    html,
+    defaults: JSON.stringify(defaults || {}),
+    updatedAt: new Date().toISOString(),
+    updatedBy: userId,
+  });
+  logger.log('[email-templates] Template updated:', { id, by: userId });
+  return getTemplate(client, id);
+}
+
+export async function deleteTemplate(client, id) {
+  await client.del(`template:${id}`);
+  return (await client.sRem('templates', id)) > 0;
+}
@@ -0,0 +1,66 @@
+// /api/get-email.js
+import { withRateLimit, apiRateLimitOptions } from './rate-limit.js';
+import { withAuth } from './auth.js';
+import { getStorageClient, getEmail, listReplies } from './storage.js';
+import { sanitizeEmailHtml } from './sanitize.js';
+import { markRead, getEmailState } from './email-state.js';
+import logger, { withRequestId } from './logger.js';
+
+async function getEmailHandler(req, res) {
+  logger.debug('[get-email] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString()
+  });
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    logger.warn('[get-email] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const { id } = req.query || {};
+
+  if (!id || typeof id !== 'string') {
+    return res.status(400).json({ error: 'Email id is required.' });
+  }
+
+  try {
+    const client = await getStorageClient();
+    const email = await getEmail(client, id, { includeLegacy: true });
+
+    if (!email) {
+      return res.status(404).json({ error: 'Email not found.' });
+    }
+
+    // Opening a message in the reader marks it as read
+    await markRead(client, email.id);
+
+    // Replies sent from the admin UI, oldest first so the thread reads top to bottom
+    const replies = await listReplies(client, id);
+
+    res.status(200).json({
+      ...email,
+      text: email.text || '',
+      html: sanitizeEmailHtml(email.html),
+      headers: email.headers || {},
+      attachments: email.attachments || [],
+      replies,
+      ...(await getEmailState(client, email.id)),
+    });
+
+  } catch (error) {
+    logger.error('[get-email] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to fetch email.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler with rate limiting and authentication
+export default withRequestId(withRateLimit(withAuth(getEmailHandler), apiRateLimitOptions));
@@ -1,82 +1,19 @@
 // /api/get-emails.js
-import { createClient } from 'redis';
-import jwt from 'jsonwebtoken';
 import { withRateLimit, apiRateLimitOptions } from './rate-limit.js';
-import logger from './logger.js';
-
-// Create a reusable Redis client (will be reused across invocations in serverless)
-let redisClient = null;
-
-async function getRedisClient() {
-  logger.log('[get-emails] getRedisClient called');
-  
-  // Check if we have an existing open connection
-  if (redisClient && redisClient.isOpen) {
-    logger.log('[get-emails] Reusing existing Redis connection');
-    return redisClient;
-  }
-
-  // Validate REDIS_URL is configured
-  if (!process.env.REDIS_URL) {
-    console.error('[get-emails] REDIS_URL is not configured');
-    throw new Error('REDIS_URL is not configured');
-  }
-
-  logger.log('[get-emails] Creating new Redis connection');
-  logger.log('[get-emails] REDIS_URL format:', process.env.REDIS_URL.substring(0, 20) + '...');
-
-  // Create new client
-  redisClient = createClient({
-    url: process.env.REDIS_URL,
-    socket: {
-      reconnectStrategy: (retries) => {
-        if (retries > 3) {
-          console.error('[get-emails] Redis reconnection failed after 3 attempts');
-          return new Error('Redis reconnection failed');
-        }
-        return Math.min(retries * 100, 3000);
-      }
-    }
-  });
-
-  // Error handling
-  redisClient.on('error', (err) => {
-    console.error('[get-emails] Redis Client Error:', err);
-  });
-
-  redisClient.on('connect', () => {
-    logger.log('[get-emails] Redis client connecting...');
-  });
-
-  redisClient.on('ready', () => {
-    logger.log('[get-emails] Redis client ready');
-  });
-
-  // Connect if not already connected
-  if (!redisClient.isOpen) {
-    try {
-      logger.log('[get-emails] Attempting to connect to Redis...');
-      await redisClient.connect();
-      logger.log('[get-emails] Successfully connected to Redis');
-    } catch (connectError) {
-      console.error('[get-emails] Redis connection failed:', {
-        message: connectError.message,
-        stack: connectError.stack,
-        name: connectError.name
-      });
-      redisClient = null;
-      throw connectError;
-    }
-  }
-
-  return redisClient;
-}
+import { withAuth } from './auth.js';
+import { getStorageClient } from './storage.js';
+import { listEmailsPage } from './email-index.js';
+import { countUnread, listLabels, purgeExpiredTrash } from './email-state.js';
+import { listThreads, getThreadMessages } from './threads.js';
+import { listUsers } from './accounts.js';
+import logger, { withRequestId } from './logger.js';
 
 async function getEmailsHandler(req, res) {
-  logger.log('[get-emails] Request received:', {
+  logger.debug('[get-emails] Request received:', {
     method: req.method,
     timestamp: new Date().toISOString(),
-    hasAuth: !!req.headers.authorization
+    user: req.user?.id,
+    role: req.user?.role
   });
 
   // Only allow GET requests
@@ -86,91 +23,60 @@ async function getEmailsHandler(req, res) {
   }
 
   try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      logger.warn('[get-emails] Missing or invalid authorization header');
-      return res.status(401).json({ error: 'Authentication required.' });
+    // Get storage client
+    logger.debug('[get-emails] Getting storage client...');
+    const client = await getStorageClient();
+
+    const { view, threadId } = req.query || {};
+
+    // ?threadId=<id> returns every message in one conversation, oldest first
+    if (threadId) {
+      logger.debug('[get-emails] Fetching messages for thread', threadId);
+      const messages = await getThreadMessages(client, String(threadId));
+      if (messages.length === 0) {
+        return res.status(404).json({ error: 'Thread not found.' });
+      }
+      return res.status(200).json(messages);
     }
 
-    const token = authHeader.split(' ')[1];
-    logger.log('[get-emails] Token extracted, length:', token?.length);
-    
-    // Verify the token
-    const jwtSecret = process.env.JWT_SECRET;
-    
-    if (!jwtSecret) {
-      logger.error('[get-emails] JWT_SECRET is not configured');
-      return res.status(500).json({ error: 'Authentication system not configured.' });
+    // ?view=threads returns conversations instead of individual emails
+    if (view === 'threads') {
+      logger.debug('[get-emails] Fetching thread list...');
+      const threads = await listThreads(client, 100);
+      logger.debug('[get-emails] Returning', threads.length, 'threads to client');
+      return res.status(200).json(threads);
     }
 
-    logger.log('[get-emails] Verifying JWT token...');
-    jwt.verify(token, jwtSecret);
-    logger.log('[get-emails] JWT token verified successfully');
-
-    // Get Redis client
-    logger.log('[get-emails] Getting Redis client...');
-    const client = await getRedisClient();
+    // Otherwise return one page of received emails, newest first.
+    // Supports ?cursor=, ?limit=, ?folder=inbox|starred|archived|trash|all, ?label=, ?assignee=<user id>|me|none,
+    // ?from=, ?to=, ?since=, ?until=, ?status=read|unread and ?q= for full-text search.
+    const { cursor, limit, folder, label, from, to, since, until, status, q } = req.query || {};
+    const assignee = req.query?.assignee === 'me' ? req.user.id : req.query?.assignee;
+    logger.debug('[get-emails] Fetching emails page:', {
+      hasCursor: !!cursor,
+      hasQuery: !!q,
+      filters: { from: !!from, to: !!to, since: !!since, until: !!until, status }
+    });
 
-    // Fetch the 100 most recent emails from the 'emails' list
-    logger.log('[get-emails] Fetching emails from Redis list "emails"...');
-    let emails = [];
-    try {
-      emails = await client.lRange('emails', 0, 99);
-      logger.log('[get-emails] Successfully fetched', emails.length, 'emails from Redis');
-    } catch (kvError) {
-      console.error('[get-emails] Error fetching from Redis:', {
-        message: kvError.message,
-        stack: kvError.stack,
-        name: kvError.name,
-        code: kvError.code
-      });
-      
-      // If the list doesn't exist, return empty array instead of error
-      if (kvError.message && (kvError.message.includes('WRONGTYPE') || kvError.message.includes('no such key'))) {
-        logger.log('[get-emails] List does not exist yet, returning empty array');
-        emails = [];
-      } else {
-        throw kvError;
-      }
-    }
+    // Trash retention is enforced lazily whenever the inbox is read
+    await purgeExpiredTrash(client);
 
-    // The emails are stored as strings, so we need to parse them back into objects
-    logger.log('[get-emails] Parsing', emails.length, 'email strings...');
-    const parsedEmails = emails
-      .map((email, index) => {
-        try {
-          return JSON.parse(email);
-        } catch (e) {
-          console.error(`[get-emails] Error parsing email at index ${index}:`, e.message);
-          return null;
-        }
-      })
-      .filter(email => email !== null);
-    
-    logger.log('[get-emails] Successfully parsed', parsedEmails.length, 'emails');
-    
-    // Reverse to show newest first (since lpush adds to beginning)
-    const reversedEmails = parsedEmails.reverse();
-    logger.log('[get-emails] Returning', reversedEmails.length, 'emails to client');
+    const page = await listEmailsPage(client, { cursor, limit, folder, label, assignee, from, to, since, until, status, q });
+    logger.debug('[get-emails] Returning', page.emails.length, 'emails to client, more:', !!page.nextCursor);
 
-    res.status(200).json(reversedEmails);
+    res.status(200).json({
+      ...page,
+      unreadCount: await countUnread(client),
+      labels: await listLabels(client),
+      // Who emails can be assigned to, and the names to show for assignees
+      assignees: (await listUsers(client))
+        .filter(user => !user.disabled)
+        .map(user => ({ id: user.id, name: user.name || '', email: user.email })),
+    });
 
   } catch (error) {
-    // Handle JWT errors
-    if (error instanceof jwt.JsonWebTokenError) {
-      console.error('[get-emails] JWT verification error:', error.message);
-      return res.status(401).json({ error: 'Invalid token.' });
-    }
-    if (error instanceof jwt.TokenExpiredError) {
-      console.error('[get-emails] JWT expired:', error.message);
-      return res.status(401).json({ error: 'Token expired. Please log in again.' });
-    }
-    
-    // Log the full error for debugging
-    console.error('[get-emails] Unexpected error:', {
+    logger.error('[get-emails] Unexpected error:', {
       message: error.message,
-      stack: error.stack,
       name: error.name,
       code: error.code
     });
@@ -190,5 +96,5 @@ async function getEmailsHandler(req, res) {
   }
 }
 
-// Export handler with rate limiting
-export default withRateLimit(getEmailsHandler, apiRateLimitOptions);
+// Export handler with rate limiting and authentication; every role may read the inbox
+export default withRequestId(withRateLimit(withAuth(getEmailsHandler, { roles: ['owner', 'sender', 'viewer'] }), apiRateLimitOptions));
@@ -0,0 +1,57 @@
+// /api/get-sent-emails.js
+import { withRateLimit, apiRateLimitOptions } from './rate-limit.js';
+import { withAuth } from './auth.js';
+import { getStorageClient, listSentEmails } from './storage.js';
+import { getDeliveryEvents, getDeliveryStatus } from './delivery.js';
+import logger, { withRequestId } from './logger.js';
+
+async function getSentEmailsHandler(req, res) {
+  logger.debug('[get-sent-emails] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString(),
+    user: req.user?.id
+  });
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    logger.warn('[get-sent-emails] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const client = await getStorageClient();
+
+    // The 100 most recent sends, newest first
+    const sends = await listSentEmails(client, 100);
+    logger.debug('[get-sent-emails] Fetched', sends.length, 'sent email records');
+
+    // Attach the delivery timeline reported by Resend webhooks to each send
+    const records = await Promise.all(sends.map(async record => {
+      if (!record.id) {
+        return { ...record, deliveryStatus: null, events: [] };
+      }
+      const [deliveryStatus, events] = await Promise.all([
+        getDeliveryStatus(client, record.id),
+        getDeliveryEvents(client, record.id),
+      ]);
+      return { ...record, deliveryStatus, events };
+    }));
+
+    res.status(200).json(records);
+
+  } catch (error) {
+    logger.error('[get-sent-emails] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to fetch sent emails.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler with rate limiting and authentication
+export default withRequestId(withRateLimit(withAuth(getSentEmailsHandler), apiRateLimitOptions));
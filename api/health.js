@@ -0,0 +1,84 @@
+// /api/health.js
+import { withRateLimit, apiRateLimitOptions } from './rate-limit.js';
+import { getStorageBackend, getStorageClient } from './storage.js';
+import { getTransportMode } from './transport.js';
+import logger, { withRequestId } from './logger.js';
+
+// How long the storage check may take before it counts as down
+const STORAGE_TIMEOUT_MS = 3000;
+
+// Settings the API can't work without; REDIS_URL is added when Redis is the backend, and RESEND_API_KEY
+// unless mail only goes to the sandbox
+const REQUIRED_ENV_VARS = ['JWT_SECRET', 'RESEND_WEBHOOK_SECRET', 'CRON_SECRET'];
+
+async function checkStorage(backend) {
+  const startedAt = Date.now();
+  let timer;
+  try {
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Storage check timed out')), STORAGE_TIMEOUT_MS);
+    });
+    const ping = async () => (await getStorageClient()).ping();
+    await Promise.race([ping(), timeout]);
+    return { backend, ok: true, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    logger.error('[health] Storage check failed:', error);
+    return { backend, ok: false, latencyMs: Date.now() - startedAt };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// For uptime monitors, so no sign-in: GET returns { status: 'ok' | 'degraded', version, transport, storage, env },
+// with a 503 when degraded. transport is the mail delivery mode, or null when MAIL_TRANSPORT is invalid. env only says whether each required setting is present, never its value,
+// and storage errors are logged rather than returned.
+async function healthHandler(req, res) {
+  logger.debug('[health] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString()
+  });
+
+  if (req.method !== 'GET') {
+    logger.warn('[health] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  let backend = null;
+  try {
+    backend = getStorageBackend();
+  } catch (error) {
+    logger.error('[health] Invalid storage backend:', error.message);
+  }
+
+  let transport = null;
+  try {
+    transport = getTransportMode();
+  } catch (error) {
+    logger.error('[health] Invalid mail transport:', error.message);
+  }
+
+  const required = [...REQUIRED_ENV_VARS];
+  if (transport !== 'sandbox') {
+    required.push('RESEND_API_KEY');
+  }
+  if (backend === 'redis') {
+    required.push('REDIS_URL');
+  }
+  const env = Object.fromEntries(required.map(name => [name, Boolean(process.env[name])]));
+  const storage = backend ? await checkStorage(backend) : { backend: null, ok: false };
+  const healthy = storage.ok && transport !== null && Object.values(env).every(Boolean);
+
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'ok' : 'degraded',
+    version: process.env.BUILD_VERSION || process.env.VERCEL_GIT_COMMIT_SHA?.substring(0, 7) || 'unknown',
+    time: new Date().toISOString(),
+    transport,
+    storage,
+    env,
+  });
+}
+
+// Export handler with rate limiting; health checks need no authentication
+export default withRequestId(withRateLimit(healthHandler, apiRateLimitOptions));
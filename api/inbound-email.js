@@ -1,76 +1,12 @@
-import { createClient } from 'redis';
 import { Resend } from 'resend';
-import logger from './logger.js';
+import { getStorageClient } from './storage.js';
+import { claimDelivery, completeDelivery, releaseDelivery, processEvent, recordDeadLetter } from './inbound-events.js';
+import logger, { withRequestId } from './logger.js';
 
 const resend = new Resend(process.env.RESEND_API_KEY);
 
-// Create a reusable Redis client (will be reused across invocations in serverless)
-let redisClient = null;
-
-async function getRedisClient() {
-  logger.log('[inbound-email] getRedisClient called');
-  
-  // Check if we have an existing open connection
-  if (redisClient && redisClient.isOpen) {
-    logger.log('[inbound-email] Reusing existing Redis connection');
-    return redisClient;
-  }
-
-  // Validate REDIS_URL is configured
-  if (!process.env.REDIS_URL) {
-    console.error('[inbound-email] REDIS_URL is not configured');
-    throw new Error('REDIS_URL is not configured');
-  }
-
-  logger.log('[inbound-email] Creating new Redis connection');
-  logger.log('[inbound-email] REDIS_URL format:', process.env.REDIS_URL.substring(0, 20) + '...');
-
-  // Create new client
-  redisClient = createClient({
-    url: process.env.REDIS_URL,
-    socket: {
-      reconnectStrategy: (retries) => {
-        if (retries > 3) {
-          console.error('[inbound-email] Redis reconnection failed after 3 attempts');
-          return new Error('Redis reconnection failed');
-        }
-        return Math.min(retries * 100, 3000);
-      }
-    }
-  });
-
-  // Error handling
-  redisClient.on('error', (err) => {
-    console.error('[inbound-email] Redis Client Error:', err);
-  });
-
-  redisClient.on('connect', () => {
-    logger.log('[inbound-email] Redis client connecting...');
-  });
-
-  redisClient.on('ready', () => {
-    logger.log('[inbound-email] Redis client ready');
-  });
-
-  // Connect if not already connected
-  if (!redisClient.isOpen) {
-    try {
-      logger.log('[inbound-email] Attempting to connect to Redis...');
-      await redisClient.connect();
-      logger.log('[inbound-email] Successfully connected to Redis');
-    } catch (connectError) {
-      console.error('[inbound-email] Redis connection failed:', {
-        message: connectError.message,
-        stack: connectError.stack,
-        name: connectError.name
-      });
-      redisClient = null;
-      throw connectError;
-    }
-  }
-
-  return redisClient;
-}
+// How far svix-timestamp may be from our clock, which is also how long a captured request can be replayed
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS, 10) || 5 * 60;
 
 // Helper function to get the raw request body from Vercel
 function getRawBody(req) {
@@ -82,8 +18,8 @@ function getRawBody(req) {
   });
 }
 
-export default async function handler(req, res) {
-  logger.log('[inbound-email] Request received:', {
+async function inboundEmailHandler(req, res) {
+  logger.debug('[inbound-email] Request received:', {
     method: req.method,
     timestamp: new Date().toISOString(),
     hasHeaders: !!req.headers
@@ -96,16 +32,16 @@ export default async function handler(req, res) {
 
   try {
     // Get the raw body for signature verification
-    logger.log('[inbound-email] Getting raw body...');
+    logger.debug('[inbound-email] Getting raw body...');
     let rawBody;
     try {
       rawBody = await getRawBody(req);
-      logger.log('[inbound-email] Raw body received, length:', rawBody.length);
+      logger.debug('[inbound-email] Raw body received, length:', rawBody.length);
     } catch (bodyError) {
-      console.error('[inbound-email] Error getting raw body:', bodyError.message);
+      logger.error('[inbound-email] Error getting raw body:', bodyError.message);
       // Fallback: try to use req.body if it exists
       if (req.body) {
-        logger.log('[inbound-email] Using req.body as fallback');
+        logger.debug('[inbound-email] Using req.body as fallback');
         rawBody = Buffer.from(JSON.stringify(req.body));
       } else {
         throw new Error('Could not get request body');
@@ -117,23 +53,34 @@ export default async function handler(req, res) {
     const id = req.headers['svix-id'];
     const timestamp = req.headers['svix-timestamp'];
 
-    logger.log('[inbound-email] Webhook headers:', {
+    logger.debug('[inbound-email] Webhook headers:', {
       hasSignature: !!signature,
       hasId: !!id,
       hasTimestamp: !!timestamp
     });
 
+    if (!id) {
+      return res.status(400).json({ error: 'Missing svix-id header.' });
+    }
+
+    // A signed request is only good for a few minutes, so a captured one cannot be sent again later
+    const sentAt = Number(timestamp);
+    if (!Number.isFinite(sentAt) || Math.abs(Date.now() / 1000 - sentAt) > WEBHOOK_TOLERANCE_SECONDS) {
+      logger.warn('[inbound-email] Stale or invalid webhook timestamp:', { id, timestamp });
+      return res.status(400).json({ error: 'Webhook timestamp is too old or invalid.' });
+    }
+
     // Verify the webhook signature - required in production
     const webhookSecret = process.env.RESEND_WEBHOOK_SECRET;
     
     // Require webhook secret in production
     if (!webhookSecret) {
-      console.error('[inbound-email] RESEND_WEBHOOK_SECRET is required in production');
+      logger.error('[inbound-email] RESEND_WEBHOOK_SECRET is required in production');
       return res.status(500).json({ error: 'Webhook verification not configured' });
     }
 
     let event;
-    logger.log('[inbound-email] Webhook secret found, verifying signature...');
+    logger.debug('[inbound-email] Webhook secret found, verifying signature...');
     try {
       // Verify the webhook signature
       event = resend.webhooks.verify({
@@ -145,93 +92,61 @@ export default async function handler(req, res) {
         },
         secret: webhookSecret,
       });
-      logger.log('[inbound-email] Webhook signature verified successfully');
+      logger.debug('[inbound-email] Webhook signature verified successfully');
     } catch (verifyError) {
-      console.error('[inbound-email] Webhook verification failed:', {
+      logger.error('[inbound-email] Webhook verification failed:', {
         message: verifyError.message,
-        stack: verifyError.stack
+        name: verifyError.name
       });
       return res.status(401).json({ error: 'Webhook verification failed.' });
     }
 
     // Log the incoming webhook for debugging
-    logger.log('[inbound-email] Webhook event:', {
+    logger.debug('[inbound-email] Webhook event:', {
       type: event?.type,
       hasData: !!event?.data,
       timestamp: new Date().toISOString()
     });
 
-    if (event.type === 'email.received') {
-      const emailData = event.data;
-      
-      logger.log('[inbound-email] Processing email.received event');
-      
-      // Validate required fields
-      if (!emailData) {
-        console.error('[inbound-email] Email data is missing');
-        return res.status(400).json({ error: 'Email data is missing' });
-      }
+    if (event?.type === 'email.received' && !event.data) {
+      logger.error('[inbound-email] Email data is missing');
+      return res.status(400).json({ error: 'Email data is missing' });
+    }
 
-      logger.log('[inbound-email] Email data:', {
-        hasId: !!emailData.email_id,
-        hasFrom: !!emailData.from,
-        hasTo: !!emailData.to,
-        hasSubject: !!emailData.subject
-      });
+    // Svix redelivers until it gets a 2xx; each svix-id is only processed once
+    const client = await getStorageClient();
+    const claim = await claimDelivery(client, id);
+    if (claim === 'done') {
+      logger.log('[inbound-email] Duplicate delivery acknowledged:', id);
+      return res.status(200).json({ message: 'Webhook already processed.' });
+    }
+    if (claim === 'processing') {
+      // Another delivery of this event is still running; a later retry will find out how it went
+      logger.warn('[inbound-email] Delivery already in progress:', id);
+      return res.status(409).json({ error: 'Webhook is already being processed.' });
+    }
 
-      // Get Redis client
-      logger.log('[inbound-email] Getting Redis client...');
-      const client = await getRedisClient();
-
-      // Create a simple object for the email
-      const emailToStore = {
-        id: emailData.email_id || `email-${Date.now()}`,
-        from: emailData.from || 'Unknown',
-        to: emailData.to || 'Unknown',
-        subject: emailData.subject || '(No Subject)',
-        receivedAt: emailData.created_at || new Date().toISOString(),
-      };
-
-      logger.log('[inbound-email] Email to store:', {
-        id: emailToStore.id,
-        from: emailToStore.from,
-        to: emailToStore.to,
-        subject: emailToStore.subject.substring(0, 50)
+    try {
+      const outcome = await processEvent(client, event, id);
+      await completeDelivery(client, id);
+      logger.log('[inbound-email] Webhook processed:', { id, type: event.type, outcome });
+    } catch (processError) {
+      logger.error('[inbound-email] Error processing event:', {
+        message: processError.message,
+        name: processError.name,
+        code: processError.code
       });
-
-      // Save the email to a list in the database.
-      // We use 'lPush' to add it to the beginning of a list called 'emails'.
-      try {
-        logger.log('[inbound-email] Saving email to Redis list "emails"...');
-        const emailJson = JSON.stringify(emailToStore);
-        const result = await client.lPush('emails', emailJson);
-        logger.log('[inbound-email] Email saved successfully, list length:', result);
-        
-        logger.log('[inbound-email] Email saved to Redis:', {
-          id: emailToStore.id,
-          from: emailToStore.from,
-          to: emailToStore.to,
-          subject: emailToStore.subject
-        });
-      } catch (saveError) {
-        console.error('[inbound-email] Error saving email to Redis:', {
-          message: saveError.message,
-          stack: saveError.stack,
-          name: saveError.name,
-          code: saveError.code
-        });
-        throw saveError;
-      }
-    } else {
-      logger.log('[inbound-email] Webhook event type not handled:', event.type);
+      // Keep the event for an admin to look at and replay, and let Svix retry it
+      await recordDeadLetter(client, id, event, processError);
+      await releaseDelivery(client, id);
+      throw processError;
     }
 
     res.status(200).json({ message: 'Webhook processed successfully.' });
 
   } catch (error) {
-    console.error('[inbound-email] Error processing webhook:', {
+    logger.error('[inbound-email] Error processing webhook:', {
       message: error.message,
-      stack: error.stack,
       name: error.name,
       code: error.code
     });
@@ -241,3 +156,6 @@ export default async function handler(req, res) {
     });
   }
 }
+
+// Export handler; the Svix signature stands in for authentication
+export default withRequestId(inboundEmailHandler);
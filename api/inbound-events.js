@@ -0,0 +1,248 @@
+// Processing of verified Resend webhook events, shared by /api/inbound-email and replays from /api/dead-letters
+//
+// Redis layout:
+//   webhook:<svix-id>                'processing' while a delivery is being handled, then 'done' until it expires
+//   webhook-dead-letters             sorted set of svix ids of failed events by when they last failed (ms)
+//   webhook-dead-letter:<svix-id>    JSON { id, type, event, error, attempts, firstFailedAt, lastFailedAt }
+//
+// Svix retries a webhook until it gets a 2xx, so the same event can arrive several times. Each svix-id is
+// claimed before processing and remembered afterwards, so a redelivery is acknowledged without storing
+// anything again. An event that fails is released for Svix to retry and kept as a dead letter until it
+// goes through, by a retry or by an admin replaying it.
+
+import { storeReceivedEmail, getEmail } from './storage.js';
+import { isDeliveryEvent, recordDeliveryEvent } from './delivery.js';
+import { evaluateEmail, quarantineEmail, getQuarantined } from './spam-filter.js';
+import { applyRoutingRules } from './routing.js';
+import logger from './logger.js';
+
+// Longer than Svix keeps retrying (about a day and a half)
+const PROCESSED_TTL_SECONDS = parseInt(process.env.WEBHOOK_DEDUPE_TTL_SECONDS, 10) || 3 * 24 * 60 * 60;
+// A delivery still marked as processing after this is assumed to have died with its function
+const PROCESSING_TTL_SECONDS = 60;
+const MAX_DEAD_LETTERS = 500;
+
+// Normalize webhook headers into a plain { name: value } object.
+// Resend may deliver them as an object or as an array of { name, value } pairs.
+function normalizeHeaders(headers) {
+  if (!headers) {
+    return {};
+  }
+  if (Array.isArray(headers)) {
+    return headers.reduce((result, header) => {
+      if (header && header.name) {
+        result[header.name] = header.value;
+      }
+      return result;
+    }, {});
+  }
+  return typeof headers === 'object' ? headers : {};
+}
+
+// Keep only attachment metadata; file content is never stored in Redis
+function normalizeAttachments(attachments) {
+  if (!Array.isArray(attachments)) {
+    return [];
+  }
+  return attachments.map(attachment => ({
+    id: attachment.id || null,
+    filename: attachment.filename || 'attachment',
+    contentType: attachment.content_type || attachment.contentType || 'application/octet-stream',
+    size: attachment.size ?? null,
+    contentId: attachment.content_id || attachment.contentId || null,
+    disposition: attachment.content_disposition || attachment.disposition || null,
+  }));
+}
+
+// Short plain-text preview shown in the email list
+function buildSnippet(text) {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+  return text.replace(/\s+/g, ' ').trim().substring(0, 160);
+}
+
+// Claim a delivery for processing. Returns 'claimed', 'done' when it was already processed,
+// or 'processing' when another delivery of the same event is being handled right now.
+export async function claimDelivery(client, deliveryId) {
+  const claimed = await client.set(`webhook:${deliveryId}`, 'processing', { NX: true, EX: PROCESSING_TTL_SECONDS });
+  if (claimed) {
+    return 'claimed';
+  }
+  return (await client.get(`webhook:${deliveryId}`)) === 'done' ? 'done' : 'processing';
+}
+
+export async function completeDelivery(client, deliveryId) {
+  await client.set(`webhook:${deliveryId}`, 'done', { EX: PROCESSED_TTL_SECONDS });
+  await removeDeadLetter(client, deliveryId);
+}
+
+// Let a retry of a failed delivery through; the dead letter keeps the details
+export async function releaseDelivery(client, deliveryId) {
+  await client.del(`webhook:${deliveryId}`);
+}
+
+async function handleReceivedEmail(client, emailData, deliveryId) {
+  const attachments = normalizeAttachments(emailData.attachments);
+
+  // Full message content, stored under 'email:<id>' and read by /api/get-email; its summary goes
+  // in the 'emails' list for the inbox view. Without an email_id the svix-id keeps the id stable
+  // across redeliveries.
+  const fullEmail = {
+    id: emailData.email_id || `email-${deliveryId}`,
+    from: emailData.from || 'Unknown',
+    to: emailData.to || 'Unknown',
+    subject: emailData.subject || '(No Subject)',
+    receivedAt: emailData.created_at || new Date().toISOString(),
+    snippet: buildSnippet(emailData.text),
+    attachmentCount: attachments.length,
+    cc: emailData.cc || [],
+    replyTo: emailData.reply_to || emailData.replyTo || null,
+    text: emailData.text || '',
+    html: emailData.html || '',
+    headers: normalizeHeaders(emailData.headers),
+    attachments,
+  };
+
+  // The same email under another svix-id, or a replay after a partial failure
+  if (await getEmail(client, fullEmail.id) || await getQuarantined(client, fullEmail.id)) {
+    logger.log('[inbound-events] Email already stored:', fullEmail.id);
+    return 'duplicate';
+  }
+
+  logger.debug('[inbound-events] Email to store:', {
+    id: fullEmail.id,
+    from: fullEmail.from,
+    to: fullEmail.to,
+    subject: fullEmail.subject.substring(0, 50),
+    hasText: !!fullEmail.text,
+    hasHtml: !!fullEmail.html,
+    attachmentCount: attachments.length
+  });
+
+  // Spam never reaches the inbox: blocked senders are dropped and suspect mail waits in quarantine
+  const verdict = await evaluateEmail(client, fullEmail);
+  if (verdict.action === 'block') {
+    logger.log('[inbound-events] Email from blocked sender dropped:', { id: fullEmail.id, reasons: verdict.reasons });
+    return 'blocked';
+  }
+  if (verdict.action === 'quarantine') {
+    await quarantineEmail(client, fullEmail, verdict);
+    logger.log('[inbound-events] Email quarantined:', { id: fullEmail.id, score: verdict.score, reasons: verdict.reasons });
+    return 'quarantined';
+  }
+
+  // Save the full message, its inbox summary, the thread and the search indexes
+  const length = await storeReceivedEmail(client, fullEmail);
+  logger.debug('[inbound-events] Email saved:', {
+    id: fullEmail.id,
+    from: fullEmail.from,
+    to: fullEmail.to,
+    subject: fullEmail.subject,
+    inboxLength: length
+  });
+
+  // Labels, assignment, forwards and auto-replies; failures there don't undo the delivery
+  await applyRoutingRules(client, fullEmail);
+  return 'stored';
+}
+
+// Act on one verified event. Returns what happened: 'stored', 'quarantined', 'blocked', 'duplicate',
+// 'delivery' or 'ignored'. Errors are thrown for the caller to dead-letter.
+export async function processEvent(client, event, deliveryId) {
+  if (event.type === 'email.received') {
+    return handleReceivedEmail(client, event.data, deliveryId);
+  }
+  if (isDeliveryEvent(event.type)) {
+    // Delivery updates for email we sent: sent, delivered, bounced, complained, opened, clicked
+    await recordDeliveryEvent(client, event);
+    return 'delivery';
+  }
+  logger.log('[inbound-events] Webhook event type not handled:', event.type);
+  return 'ignored';
+}
+
+// Record a failed event, or another failure of one already recorded
+export async function recordDeadLetter(client, deliveryId, event, error) {
+  const now = new Date().toISOString();
+  const existing = await getDeadLetter(client, deliveryId);
+  const entry = {
+    id: deliveryId,
+    type: event?.type || 'unknown',
+    event,
+    error: error.message || String(error),
+    attempts: (existing?.attempts || 0) + 1,
+    firstFailedAt: existing?.firstFailedAt || now,
+    lastFailedAt: now,
+  };
+  await client.set(`webhook-dead-letter:${deliveryId}`, JSON.stringify(entry));
+  await client.zAdd('webhook-dead-letters', { score: Date.parse(now), value: deliveryId });
+
+  // Keep the list bounded; the oldest failures go first
+  const overflow = (await client.zCard('webhook-dead-letters')) - MAX_DEAD_LETTERS;
+  if (overflow > 0) {
+    for (const id of await client.zRange('webhook-dead-letters', 0, overflow - 1)) {
+      await removeDeadLetter(client, id);
+    }
+  }
+  logger.warn('[inbound-events] Event dead-lettered:', { id: deliveryId, type: entry.type, attempts: entry.attempts });
+  return entry;
+}
+
+export async function getDeadLetter(client, deliveryId) {
+  if (!deliveryId || typeof deliveryId !== 'string') {
+    return null;
+  }
+  const stored = await client.get(`webhook-dead-letter:${deliveryId}`);
+  return stored ? JSON.parse(stored) : null;
+}
+
+// Failed events, most recent failure first
+export async function listDeadLetters(client) {
+  const ids = await client.zRange('webhook-dead-letters', 0, -1, { REV: true });
+  const entries = [];
+  for (const id of ids) {
+    const entry = await getDeadLetter(client, id);
+    if (entry) {
+      entries.push(entry);
+    }
+  }
+  return entries;
+}
+
+export async function removeDeadLetter(client, deliveryId) {
+  await client.zRem('webhook-dead-letters', deliveryId);
+  await client.del(`webhook-dead-letter:${deliveryId}`);
+}
+
+// Drop failed events whose last failure was before a time (ms); returns how many were dropped
+export async function purgeDeadLetters(client, before) {
+  const expired = await client.zRangeByScore('webhook-dead-letters', '-inf', before);
+  for (const id of expired) {
+    await removeDeadLetter(client, id);
+  }
+  return expired.length;
+}
+
+// Process a dead letter again. Returns { outcome }, { inProgress: true } when a retry from Svix is running,
+// or { error } with the entry updated for the new failure.
+export async function replayDeadLetter(client, entry) {
+  const claim = await claimDelivery(client, entry.id);
+  if (claim === 'done') {
+    await removeDeadLetter(client, entry.id);
+    return { outcome: 'duplicate' };
+  }
+  if (claim === 'processing') {
+    return { inProgress: true };
+  }
+  try {
+    const outcome = await processEvent(client, entry.event, entry.id);
+    await completeDelivery(client, entry.id);
+    logger.log('[inbound-events] Dead letter replayed:', { id: entry.id, outcome });
+    return { outcome };
+  } catch (error) {
+    await releaseDelivery(client, entry.id);
+    await recordDeadLetter(client, entry.id, entry.event, error);
+    return { error: error.message || 'Processing failed again.' };
+  }
+}
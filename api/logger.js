@@ -1,38 +1,210 @@
-// Simple logging utility that respects NODE_ENV
-// Only logs in development mode to reduce production overhead and information leakage
+// Structured logging for the API routes
+// Every entry is one JSON line: { time, level, scope, msg, requestId, data }. A leading "[name]" in the
+// message becomes scope, strings and numbers make up msg, and objects or errors go in data.
+// LOG_LEVEL (debug, info, warn, error or silent) sets the lowest level written; it defaults to debug in
+// development and info elsewhere. log() is an alias for info(), for things that happened (a send, an erasure,
+// a rule change); step-by-step tracing of a request goes to debug(), so production logs leave it out.
+//
+// Entries are redacted before they are written: credential-like fields and message bodies are replaced,
+// and bearer tokens, JWTs, API keys, passwords in connection strings and our own secret values are
+// masked wherever they appear in text.
+//
+// withRequestId(handler) gives each request a correlation id, taken from a well-formed incoming
+// X-Request-Id or generated, echoes it in the X-Request-Id response header and adds it to every entry
+// logged while the request is handled.
 
-const isDevelopment = process.env.NODE_ENV === 'development';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
 
-const logger = {
-  log: (...args) => {
-    if (isDevelopment) {
-      console.log(...args);
-    }
-  },
-  
-  warn: (...args) => {
-    if (isDevelopment) {
-      console.warn(...args);
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const REDACTED = '[redacted]';
+
+// Fields whose values are credentials
+const CREDENTIAL_KEY = /pass(word|phrase)?|secret|token|api[-_]?key|authorization|cookie|signature|totp|^otp$/i;
+
+// Fields holding message bodies or other content we don't want in logs
+const CONTENT_KEY = /^(html|text|body|content|raw|attachments)$/i;
+
+// Environment variables whose values must never reach a log line, even inside another string
+const SECRET_ENV_VARS = ['JWT_SECRET', 'RESEND_API_KEY', 'RESEND_WEBHOOK_SECRET', 'REDIS_URL', 'ADMIN_PASSWORD', 'CRON_SECRET'];
+
+const TEXT_PATTERNS = [
+  // user:password@ in connection strings and URLs
+  [/\b([a-z][a-z0-9+.-]*:\/\/)[^\s/@]*@/gi, `$1${REDACTED}@`],
+  [/\bBearer\s+[\w.~+/-]+=*/gi, `Bearer ${REDACTED}`],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]*/g, REDACTED],
+  // Resend API keys and webhook signing secrets
+  [/\b(re|whsec)_[\w+/=]{8,}/g, REDACTED],
+];
+
+const MAX_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage();
+
+function configuredLevel() {
+  const fallback = process.env.NODE_ENV === 'development' ? 'debug' : 'info';
+  const level = (process.env.LOG_LEVEL || fallback).toLowerCase();
+  return LEVELS[level] ? level : fallback;
+}
+
+const minimumLevel = LEVELS[configuredLevel()];
+
+export function redactText(text) {
+  let redacted = TEXT_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), String(text));
+  for (const name of SECRET_ENV_VARS) {
+    const value = process.env[name];
+    // Short values would mask ordinary words
+    if (value && value.length >= 8) {
+      redacted = redacted.split(value).join(REDACTED);
     }
-  },
-  
-  error: (...args) => {
-    // Always log errors, even in production
-    console.error(...args);
-  },
-  
-  info: (...args) => {
-    if (isDevelopment) {
-      console.info(...args);
+  }
+  return redacted;
+}
+
+function serializeError(error) {
+  const serialized = { name: error.name, message: redactText(error.message) };
+  if (error.code !== undefined) {
+    serialized.code = error.code;
+  }
+  // Stacks are noisy and can carry data, so they only appear when debugging
+  if (minimumLevel <= LEVELS.debug && error.stack) {
+    serialized.stack = redactText(error.stack);
+  }
+  return serialized;
+}
+
+// A copy of value that is safe to log
+export function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'bigint' || typeof value === 'function' ? String(value) : value;
+  }
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[${value.length} bytes]`;
+  }
+  if (seen.has(value) || depth >= MAX_DEPTH) {
+    return '[...]';
+  }
+  seen.add(value);
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item !== undefined && item !== null && item !== '' && (CREDENTIAL_KEY.test(key) || CONTENT_KEY.test(key))) {
+      copy[key] = REDACTED;
+    } else {
+      copy[key] = redact(item, depth + 1, seen);
     }
-  },
-  
-  debug: (...args) => {
-    if (isDevelopment) {
-      console.debug(...args);
+  }
+  return copy;
+}
+
+function buildEntry(level, args) {
+  const words = [];
+  const data = [];
+  for (const arg of args) {
+    if (['string', 'number', 'boolean'].includes(typeof arg)) {
+      words.push(String(arg));
+    } else if (arg !== undefined) {
+      data.push(redact(arg));
     }
   }
+
+  const entry = { time: new Date().toISOString(), level };
+  let msg = words.join(' ');
+  const scope = /^\[([\w:-]+)\]\s*/.exec(msg);
+  if (scope) {
+    entry.scope = scope[1];
+    msg = msg.substring(scope[0].length);
+  }
+  entry.msg = redactText(msg.replace(/:$/, ''));
+
+  const requestId = requestContext.getStore()?.requestId;
+  if (requestId) {
+    entry.requestId = requestId;
+  }
+  if (data.length > 0) {
+    entry.data = data.length === 1 ? data[0] : data;
+  }
+  return entry;
+}
+
+function write(level, args) {
+  if (LEVELS[level] < minimumLevel) {
+    return;
+  }
+  let line;
+  try {
+    line = JSON.stringify(buildEntry(level, args));
+  } catch (error) {
+    line = JSON.stringify({ time: new Date().toISOString(), level, msg: 'Unserializable log entry' });
+  }
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+const logger = {
+  debug: (...args) => write('debug', args),
+  info: (...args) => write('info', args),
+  log: (...args) => write('info', args),
+  warn: (...args) => write('warn', args),
+  error: (...args) => write('error', args),
 };
 
-export default logger;
+// The correlation id of the request being handled, if any
+export function getRequestId() {
+  return requestContext.getStore()?.requestId || null;
+}
+
+// Ids from a proxy or client are kept when they are short and plain, so one id can follow a request
+// through several services; anything else is replaced.
+function incomingRequestId(req) {
+  const header = req.headers?.['x-request-id'];
+  const value = Array.isArray(header) ? header[0] : header;
+  return typeof value === 'string' && /^[\w.:-]{8,128}$/.test(value) ? value : null;
+}
+
+// Wrap a route handler so its logs carry a request id, and log one line when the response is finished
+export function withRequestId(handler) {
+  return (req, res) => {
+    const requestId = incomingRequestId(req) || crypto.randomUUID();
+    const startedAt = Date.now();
+    res.setHeader('X-Request-Id', requestId);
 
+    return requestContext.run({ requestId }, () => {
+      res.on?.('finish', () => {
+        const fields = {
+          method: req.method,
+          path: (req.url || '').split('?')[0],
+          status: res.statusCode,
+          durationMs: Date.now() - startedAt,
+        };
+        requestContext.run({ requestId }, () => {
+          if (res.statusCode >= 500) {
+            logger.error('[request] Completed', fields);
+          } else {
+            logger.info('[request] Completed', fields);
+          }
+        });
+      });
+      return handler(req, res);
+    });
+  };
+}
+
+export default logger;
@@ -1,6 +1,19 @@
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
-import { withRateLimit, loginRateLimitOptions } from './rate-limit.js';
+import { withRateLimit, loginRateLimitOptions, getLockout, recordFailure, clearFailures } from './rate-limit.js';
+import { getStorageClient } from './storage.js';
+import {
+  findUserByEmail,
+  getUser,
+  verifyPassword,
+  hashPassword,
+  bootstrapOwner,
+  normalizeEmail,
+  publicUser,
+  verifySecondFactor,
+} from './accounts.js';
+import { createSession } from './session-tokens.js';
+import logger, { withRequestId } from './logger.js';
 
 // Constant-time comparison to prevent timing attacks
 function constantTimeCompare(a, b) {
@@ -15,39 +28,161 @@ function constantTimeCompare(a, b) {
   }
 }
 
+// Unknown emails still pay for one scrypt hash so response times don't reveal which accounts exist
+let dummyHash = null;
+async function verifyAgainstDummy(password) {
+  dummyHash = dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+  await verifyPassword(password, dummyHash);
+  return false;
+}
+
+// The first owner account is created from ADMIN_EMAIL / ADMIN_PASSWORD while no accounts exist
+async function tryBootstrap(client, email, password) {
+  const adminPassword = process.env.ADMIN_PASSWORD;
+  const adminEmail = normalizeEmail(process.env.ADMIN_EMAIL || 'desk@warmthly.org');
+  if (!adminPassword || email !== adminEmail || !constantTimeCompare(password, adminPassword)) {
+    return null;
+  }
+  return bootstrapOwner(client, adminEmail, password);
+}
+
+// Failed passwords and codes count against the email address, from any IP, and lock it out progressively
+function lockoutKey(email) {
+  return `login:${email}`;
+}
+
+async function rejectIfLockedOut(res, email) {
+  const lockout = await getLockout(lockoutKey(email));
+  if (!lockout.locked) {
+    return false;
+  }
+  logger.warn('[login] Attempt during lockout');
+  res.setHeader('Retry-After', lockout.retryAfter);
+  res.status(429).json({
+    error: `Too many failed sign-in attempts. Try again in ${Math.ceil(lockout.retryAfter / 60)} minute${lockout.retryAfter > 60 ? 's' : ''}.`
+  });
+  return true;
+}
+
+// Challenge tokens only prove the password step; withAuth refuses anything with a purpose claim
+const CHALLENGE_PURPOSE = 'login-challenge';
+const CHALLENGE_EXPIRES_IN = '5m';
+
+// Step 2 for accounts with two-factor: POST { challengeToken, code } or { challengeToken, recoveryCode }
+async function verifyChallenge(req, res, client, jwtSecret) {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  let payload;
+  try {
+    payload = jwt.verify(challengeToken, jwtSecret);
+  } catch (error) {
+    logger.warn('[login] Invalid or expired challenge token:', error.message);
+    return res.status(401).json({ error: 'Your sign-in attempt expired. Please start again.' });
+  }
+  if (payload.purpose !== CHALLENGE_PURPOSE) {
+    return res.status(401).json({ error: 'Your sign-in attempt expired. Please start again.' });
+  }
+
+  if (!code && !recoveryCode) {
+    return res.status(400).json({ error: 'An authentication code or recovery code is required.' });
+  }
+
+  const user = await getUser(client, payload.sub);
+  if (!user || user.disabled) {
+    return res.status(403).json({ error: 'This account has been disabled.' });
+  }
+
+  if (await rejectIfLockedOut(res, user.email)) {
+    return;
+  }
+
+  if (!await verifySecondFactor(client, user, { code, recoveryCode })) {
+    logger.warn('[login] Failed two-factor attempt:', user.id);
+    await recordFailure(lockoutKey(user.email));
+    return res.status(401).json({ error: 'Incorrect authentication code' });
+  }
+
+  await clearFailures(lockoutKey(user.email));
+
+  logger.log('[login] User logged in with two-factor:', { id: user.id, role: user.role, recoveryCode: !!recoveryCode });
+  const session = await createSession(client, user, req, jwtSecret);
+  return res.status(200).json({ ...session, user: publicUser(user) });
+}
+
 async function loginHandler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method Not Allowed' });
   }
 
-  const { password } = req.body;
-  const adminPassword = process.env.ADMIN_PASSWORD;
+  const jwtSecret = process.env.JWT_SECRET;
+  if (!jwtSecret) {
+    logger.error('JWT_SECRET is not configured');
+    return res.status(500).json({ error: 'Authentication system not configured.' });
+  }
+
+  const { password, challengeToken } = req.body || {};
+  const email = normalizeEmail(req.body?.email);
 
-  if (!adminPassword) {
-    return res.status(500).json({ error: 'Admin password not configured.' });
+  if (!challengeToken && (!email || typeof password !== 'string' || !password)) {
+    return res.status(400).json({ error: 'Email and password are required.' });
   }
 
-  // Use constant-time comparison to prevent timing attacks
-  if (constantTimeCompare(password || '', adminPassword)) {
-    // Password is correct, create a JWT
-    const jwtSecret = process.env.JWT_SECRET;
-    
-    if (!jwtSecret) {
-      console.error('JWT_SECRET is not configured');
-      return res.status(500).json({ error: 'Authentication system not configured.' });
+  try {
+    const client = await getStorageClient();
+
+    if (challengeToken) {
+      return await verifyChallenge(req, res, client, jwtSecret);
     }
 
-    const token = jwt.sign(
-      { user: 'admin' }, // Payload
-      jwtSecret, // Secret key for signing
-      { expiresIn: '8h' } // Token expires in 8 hours
-    );
+    if (await rejectIfLockedOut(res, email)) {
+      return;
+    }
+
+    let user = await findUserByEmail(client, email);
+    let authenticated = false;
+    if (user) {
+      authenticated = await verifyPassword(password, user.passwordHash);
+    } else {
+      user = await tryBootstrap(client, email, password);
+      authenticated = Boolean(user) || await verifyAgainstDummy(password);
+    }
+
+    if (!authenticated) {
+      logger.warn('[login] Failed login attempt');
+      await recordFailure(lockoutKey(email));
+      return res.status(401).json({ error: 'Incorrect email or password' });
+    }
+
+    if (user.disabled) {
+      logger.warn('[login] Login attempt for disabled account:', user.id);
+      return res.status(403).json({ error: 'This account has been disabled.' });
+    }
+
+    await clearFailures(lockoutKey(email));
+
+    // With two-factor enabled the password only earns a short-lived challenge for step 2
+    if (user.totpEnabled) {
+      const challenge = jwt.sign({ sub: user.id, purpose: CHALLENGE_PURPOSE }, jwtSecret, { expiresIn: CHALLENGE_EXPIRES_IN });
+      logger.log('[login] Password accepted, two-factor required:', user.id);
+      return res.status(200).json({ twoFactorRequired: true, challengeToken: challenge });
+    }
+
+    logger.log('[login] User logged in:', { id: user.id, role: user.role });
+    const session = await createSession(client, user, req, jwtSecret);
+    res.status(200).json({ ...session, user: publicUser(user) });
+  } catch (error) {
+    logger.error('[login] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
 
-    res.status(200).json({ token });
-  } else {
-    res.status(401).json({ error: 'Incorrect password' });
+    res.status(500).json({
+      error: 'Login failed. Please try again.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
   }
 }
 
 // Export handler with rate limiting
-export default withRateLimit(loginHandler, loginRateLimitOptions);
+export default withRequestId(withRateLimit(loginHandler, loginRateLimitOptions));
@@ -0,0 +1,67 @@
+// /api/logout.js
+import jwt from 'jsonwebtoken';
+import { withRateLimit, apiRateLimitOptions } from './rate-limit.js';
+import { getStorageClient } from './storage.js';
+import { findRefreshSession, revokeSession, denylistToken } from './session-tokens.js';
+import logger, { withRequestId } from './logger.js';
+
+// POST { refreshToken? } with an optional Bearer access token.
+// Ends the session and denylists the access token. Works with an expired access token so a
+// user can always log out, and always answers 200 so it can't be used to probe tokens.
+async function logoutHandler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const jwtSecret = process.env.JWT_SECRET;
+  if (!jwtSecret) {
+    logger.error('JWT_SECRET is not configured');
+    return res.status(500).json({ error: 'Authentication system not configured.' });
+  }
+
+  try {
+    const client = await getStorageClient();
+    const sessionIds = new Set();
+
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const payload = jwt.verify(authHeader.split(' ')[1], jwtSecret, { ignoreExpiration: true });
+        if (payload.jti && payload.exp) {
+          await denylistToken(client, payload.jti, payload.exp * 1000);
+        }
+        if (payload.sid) {
+          sessionIds.add(payload.sid);
+        }
+      } catch (error) {
+        logger.warn('[logout] Ignoring invalid access token:', error.message);
+      }
+    }
+
+    const refreshSessionId = await findRefreshSession(client, req.body?.refreshToken);
+    if (refreshSessionId) {
+      sessionIds.add(refreshSessionId);
+    }
+
+    for (const sessionId of sessionIds) {
+      await revokeSession(client, sessionId);
+    }
+
+    logger.log('[logout] Sessions ended:', sessionIds.size);
+    res.status(200).json({ message: 'Logged out.' });
+  } catch (error) {
+    logger.error('[logout] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to log out.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler with rate limiting
+export default withRequestId(withRateLimit(logoutHandler, apiRateLimitOptions));
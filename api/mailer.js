@@ -0,0 +1,269 @@
+// Outgoing mail shared by /api/send-email, scheduled sends and the bulk campaign queue
+// Sends through the configured transport (see transport.js), then records the send for the Sent view, the thread
+// index and delivery tracking
+
+import { recordSend, getEmail } from './storage.js';
+import { findSuppressed } from './delivery.js';
+import { getTemplate, renderTemplate } from './email-templates.js';
+import { hasRole } from './auth.js';
+import { validateAttachments, attachmentMetadata } from './attachments.js';
+import { prepareOutgoingHtml, hasVisibleContent } from './sanitize.js';
+import { parseAddressList, formatAddress, getDefaultSender, resolveSender } from './addresses.js';
+import { createMessageId, buildReplyHeaders, parseMessageIds } from './message-headers.js';
+import { addToThread } from './threads.js';
+import { recordContacts } from './address-book.js';
+import { sendMail } from './transport.js';
+import logger from './logger.js';
+
+// Resend takes at most 50 addresses per email, across to, cc and bcc
+const MAX_RECIPIENTS = 50;
+
+function rejection(status, message, extra = {}) {
+  return { error: { status, message, ...extra } };
+}
+
+// Parse the to, cc, bcc and replyTo fields. An address only goes out once, in the first field it appears in.
+// Returns { to, cc, bcc, replyTo } as lists of formatted addresses, or { error }.
+function parseRecipients(input) {
+  const parsed = {};
+  for (const field of ['to', 'cc', 'bcc', 'replyTo']) {
+    const { addresses, error } = parseAddressList(input[field]);
+    if (error) {
+      return { error: `Invalid ${field === 'replyTo' ? 'reply-to' : field} address: ${error}` };
+    }
+    parsed[field] = addresses;
+  }
+
+  const seen = new Set();
+  for (const field of ['to', 'cc', 'bcc']) {
+    parsed[field] = parsed[field].filter(({ address }) => {
+      const key = address.toLowerCase();
+      return !seen.has(key) && seen.add(key);
+    });
+  }
+  if (parsed.to.length === 0) {
+    return { error: 'Recipient email address is required.' };
+  }
+  if (seen.size > MAX_RECIPIENTS) {
+    return { error: `An email can have at most ${MAX_RECIPIENTS} recipients across to, cc and bcc.` };
+  }
+
+  return Object.fromEntries(Object.entries(parsed).map(([field, list]) => [field, list.map(formatAddress)]));
+}
+
+// Validate a compose request ({ from, to, cc, bcc, replyTo, subject, html, inReplyTo, overrideSuppression,
+// templateId, variables, attachments }) on behalf of user and turn it into the arguments for deliverEmail.
+// to, cc, bcc and replyTo are address lists as a string or an array; from must be one of the sender identities.
+// Returns { message, details } or { error: { status, message } }; a suppressed recipient is a 409 that
+// also lists the matching entries, and only an owner's overrideSuppression gets past it.
+export async function prepareEmail(client, input, user) {
+  const { from, inReplyTo, overrideSuppression, templateId, variables, attachments } = input || {};
+  let { subject, html } = input || {};
+
+  // Validate the recipient fields
+  const recipients = parseRecipients(input || {});
+  if (recipients.error) {
+    return rejection(400, recipients.error);
+  }
+
+  // Only the configured identities can be sent from; anything else would fail SPF/DKIM or impersonate someone
+  let sender = getDefaultSender();
+  if (from !== undefined && from !== null && from !== '') {
+    sender = resolveSender(from);
+    if (!sender) {
+      return rejection(400, 'Emails can only be sent from one of the team addresses.');
+    }
+  }
+
+  // A template supplies the body, and the subject unless one was typed in
+  let template = null;
+  if (templateId !== undefined && templateId !== null && templateId !== '') {
+    if (typeof templateId !== 'string') {
+      return rejection(400, 'Invalid template id.');
+    }
+    if (variables !== undefined && (typeof variables !== 'object' || variables === null || Array.isArray(variables))) {
+      return rejection(400, 'Template variables must be an object of names to values.');
+    }
+    template = await getTemplate(client, templateId);
+    if (!template) {
+      return rejection(404, 'The selected template could not be found.');
+    }
+    const rendered = renderTemplate(template, variables);
+    if (rendered.missing.length > 0) {
+      return rejection(400, `Missing values for template variables: ${rendered.missing.join(', ')}.`);
+    }
+    html = rendered.html;
+    subject = typeof subject === 'string' && subject.trim() ? subject : rendered.subject;
+  }
+
+  // Validate 'subject' field
+  if (!subject || typeof subject !== 'string' || !subject.trim()) {
+    return rejection(400, 'Email subject is required.');
+  }
+
+  // Clean the body and inline its CSS; it counts as empty when a reader would see nothing
+  const body = prepareOutgoingHtml(html);
+  if (!hasVisibleContent(body.html)) {
+    return rejection(400, 'Email body cannot be empty.');
+  }
+
+  // Validate optional attachments: size, count and type as shown by their content
+  const validatedAttachments = validateAttachments(attachments);
+  if (validatedAttachments.error) {
+    return rejection(400, validatedAttachments.error);
+  }
+
+  // Validate optional 'inReplyTo' field and load the original for threading headers
+  let original = null;
+  if (inReplyTo !== undefined && inReplyTo !== null && inReplyTo !== '') {
+    if (typeof inReplyTo !== 'string') {
+      return rejection(400, 'Invalid inReplyTo message id.');
+    }
+    original = await getEmail(client, inReplyTo);
+    if (!original) {
+      return rejection(404, 'The email being replied to could not be found.');
+    }
+  }
+
+  // Refuse addresses that bounced or complained unless the admin explicitly overrides it
+  const suppressed = await findSuppressed(client, [...recipients.to, ...recipients.cc, ...recipients.bcc]);
+  if (suppressed.length > 0 && (overrideSuppression !== true || !hasRole(user, ['owner']))) {
+    return rejection(409,
+      `Recipient is on the suppression list: ${suppressed.map(entry => entry.address).join(', ')}.`
+        + (hasRole(user, ['owner']) ? '' : ' Only an owner can override this.'),
+      { suppressed });
+  }
+
+  return {
+    message: {
+      from: sender.formatted,
+      to: recipients.to,
+      cc: recipients.cc,
+      bcc: recipients.bcc,
+      replyTo: recipients.replyTo,
+      // Sanitize subject (basic XSS prevention)
+      subject: subject.trim().substring(0, 200),
+      html: body.html,
+      text: body.text,
+      original,
+      attachments: validatedAttachments.attachments,
+    },
+    details: {
+      sentBy: user.email,
+      sentById: user.id,
+      templateId: template ? template.id : null,
+      suppressionOverride: suppressed.map(entry => entry.address),
+    },
+  };
+}
+
+// Append a record of a sent email to the 'sent-emails' audit list, the thread index and the address book.
+// Replies are also linked to the original under 'email:<id>:replies' so the thread can be shown together.
+// The email has already gone out at this point, so failures are logged rather than surfaced.
+// A message the mail transport only captured (see transport.js) never reached anyone, so it isn't threaded; the
+// address book leaves it out too.
+async function storeSentRecord(client, record, { headers, original }) {
+  const delivered = !record.capturedId || record.capturedId !== record.id;
+  try {
+    if (delivered) {
+      try {
+        record.threadId = await addToThread(client, {
+          direction: 'outbound',
+          id: record.id,
+          messageId: record.messageId,
+          inReplyTo: headers['In-Reply-To'] || null,
+          references: parseMessageIds(headers['References']),
+          threadId: original?.threadId || null,
+          subject: record.subject,
+          from: record.from,
+          to: record.to,
+          cc: record.cc,
+          at: record.sentAt,
+        });
+      } catch (threadError) {
+        logger.error('[mailer] Failed to update thread index:', threadError.message);
+      }
+    }
+
+    await recordSend(client, record);
+    logger.debug('[mailer] Send recorded in audit trail:', record.id);
+    await recordContacts(client, 'sent', { ...record, at: record.sentAt });
+  } catch (auditError) {
+    logger.error('[mailer] Failed to record send in audit trail:', auditError.message);
+  }
+}
+
+// Send one email and record it.
+// message: { from, to, cc, bcc, replyTo, subject, html, text, original, attachments, headers } where the address
+// fields are lists of formatted addresses (to may be a single one), original is the stored inbound email being
+// replied to, attachments come from validateAttachments and headers are extra message headers such as
+// Auto-Submitted. from defaults to the default sender identity.
+// html that hasn't been through prepareEmail (no text given) is cleaned here, so every send gets the same treatment.
+// details: extra fields for the sent record, such as sentBy or campaignId.
+// Returns { data, record } on success or { error } with Resend's error when the send was refused. In sandbox and
+// allowlist modes the record notes what was captured instead of delivered.
+export async function deliverEmail(client, {
+  from = getDefaultSender().formatted,
+  to,
+  cc = [],
+  bcc = [],
+  replyTo = [],
+  subject,
+  html,
+  text,
+  original = null,
+  attachments = [],
+  headers: extraHeaders = {},
+}, details = {}) {
+  const toList = [].concat(to);
+  if (text === undefined) {
+    ({ html, text } = prepareOutgoingHtml(html));
+  }
+  // Our own Message-ID lets replies to this email be matched back to it
+  const messageId = createMessageId();
+  const headers = {
+    ...extraHeaders,
+    'Message-ID': messageId,
+    ...(original ? buildReplyHeaders(original.headers) : {}),
+  };
+
+  const { data, error, transport } = await sendMail(client, {
+    from,
+    to: toList,
+    cc,
+    bcc,
+    replyTo,
+    subject,
+    html,
+    text,
+    headers,
+    attachments,
+  });
+
+  if (error) {
+    return { error };
+  }
+
+  const record = {
+    id: data?.id || null,
+    ...details,
+    sentAt: new Date().toISOString(),
+    from,
+    to: toList,
+    cc,
+    bcc,
+    replyTo,
+    subject,
+    messageId,
+    inReplyTo: original ? original.id : null,
+    attachments: attachmentMetadata(attachments),
+  };
+  // Sends that didn't fully go out say so, with the captured copy to preview
+  if (transport.capturedId) {
+    record.transport = transport.mode;
+    record.capturedId = transport.capturedId;
+    record.withheld = transport.withheld;
+  }
+  await storeSentRecord(client, record, { headers, original });
+  return { data, record };
+}
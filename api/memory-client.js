@@ -0,0 +1,309 @@
+// In-memory stand-in for the Redis client, used when STORAGE_BACKEND=memory
+// Implements the subset of node-redis v4 commands the API uses, with the same argument and reply shapes,
+// so the shared helpers run unchanged against either backend. Data lives in this process only.
+
+// key -> { type: 'string' | 'hash' | 'set' | 'zset' | 'list', value, expiresAt }
+function createKeyspace() {
+  const entries = new Map();
+
+  function live(key) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  function read(key, type) {
+    const entry = live(key);
+    if (entry && entry.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return entry ? entry.value : null;
+  }
+
+  function write(key, type, create) {
+    const existing = read(key, type);
+    if (existing) {
+      return existing;
+    }
+    const value = create();
+    entries.set(key, { type, value, expiresAt: 0 });
+    return value;
+  }
+
+  // Redis removes empty collections
+  function prune(key, size) {
+    if (size === 0) {
+      entries.delete(key);
+    }
+  }
+
+  return { entries, live, read, write, prune };
+}
+
+function parseBound(bound) {
+  if (bound === '-inf') return -Infinity;
+  if (bound === '+inf') return Infinity;
+  return Number(bound);
+}
+
+function sliceRange(items, start, stop) {
+  const from = start < 0 ? Math.max(items.length + start, 0) : start;
+  const to = stop < 0 ? items.length + stop : stop;
+  return items.slice(from, to + 1);
+}
+
+function buildCommands(keyspace) {
+  const { entries, live, read, write, prune } = keyspace;
+
+  // Sorted set members as [{ value, score }], lowest score first, ties by member
+  function sortedMembers(key) {
+    const zset = read(key, 'zset');
+    return zset
+      ? [...zset.entries()].map(([value, score]) => ({ value, score })).sort((a, b) => a.score - b.score || (a.value < b.value ? -1 : a.value > b.value ? 1 : 0))
+      : [];
+  }
+
+  function zRangeWithScores(key, start, stop, options = {}) {
+    let members = sortedMembers(key);
+    if (options.BY === 'SCORE') {
+      // With REV the first bound is the high end, as in Redis
+      const [min, max] = options.REV ? [parseBound(stop), parseBound(start)] : [parseBound(start), parseBound(stop)];
+      members = members.filter(member => member.score >= min && member.score <= max);
+      if (options.REV) {
+        members.reverse();
+      }
+      if (options.LIMIT) {
+        members = members.slice(options.LIMIT.offset, options.LIMIT.offset + options.LIMIT.count);
+      }
+      return members;
+    }
+    if (options.REV) {
+      members.reverse();
+    }
+    return sliceRange(members, start, stop);
+  }
+
+  return {
+    ping() {
+      return 'PONG';
+    },
+
+    // Keys
+    del(keys) {
+      return [].concat(keys).filter(key => live(key) && entries.delete(key)).length;
+    },
+    exists(keys) {
+      return [].concat(keys).filter(key => live(key)).length;
+    },
+    expire(key, seconds) {
+      const entry = live(key);
+      if (!entry) return 0;
+      entry.expiresAt = Date.now() + seconds * 1000;
+      return 1;
+    },
+    pExpire(key, milliseconds) {
+      const entry = live(key);
+      if (!entry) return 0;
+      entry.expiresAt = Date.now() + milliseconds;
+      return 1;
+    },
+
+    // Strings
+    get(key) {
+      return read(key, 'string');
+    },
+    set(key, value, options = {}) {
+      if (options.NX && live(key)) {
+        return null;
+      }
+      const ttl = options.EX ? options.EX * 1000 : options.PX || 0;
+      entries.set(key, { type: 'string', value: String(value), expiresAt: ttl ? Date.now() + ttl : 0 });
+      return 'OK';
+    },
+
+    // Hashes
+    hSet(key, field, value) {
+      const hash = write(key, 'hash', () => new Map());
+      const fields = typeof field === 'object' ? Object.entries(field) : [[field, value]];
+      let added = 0;
+      for (const [name, fieldValue] of fields) {
+        if (!hash.has(name)) added++;
+        hash.set(name, String(fieldValue));
+      }
+      return added;
+    },
+    hGet(key, field) {
+      return read(key, 'hash')?.get(field) ?? null;
+    },
+    hGetAll(key) {
+      return Object.fromEntries(read(key, 'hash') || []);
+    },
+    hmGet(key, fields) {
+      const hash = read(key, 'hash');
+      return fields.map(field => hash?.get(field) ?? null);
+    },
+    hDel(key, fields) {
+      const hash = read(key, 'hash');
+      if (!hash) return 0;
+      const removed = [].concat(fields).filter(field => hash.delete(field)).length;
+      prune(key, hash.size);
+      return removed;
+    },
+    hIncrBy(key, field, increment) {
+      const hash = write(key, 'hash', () => new Map());
+      const next = (Number(hash.get(field)) || 0) + increment;
+      hash.set(field, String(next));
+      return next;
+    },
+
+    // Sets
+    sAdd(key, members) {
+      const set = write(key, 'set', () => new Set());
+      return [].concat(members).filter(member => !set.has(member) && set.add(member)).length;
+    },
+    sRem(key, members) {
+      const set = read(key, 'set');
+      if (!set) return 0;
+      const removed = [].concat(members).filter(member => set.delete(member)).length;
+      prune(key, set.size);
+      return removed;
+    },
+    sMembers(key) {
+      return [...(read(key, 'set') || [])];
+    },
+    sCard(key) {
+      return read(key, 'set')?.size || 0;
+    },
+    sIsMember(key, member) {
+      return Boolean(read(key, 'set')?.has(member));
+    },
+    smIsMember(key, members) {
+      const set = read(key, 'set');
+      return members.map(member => Boolean(set?.has(member)));
+    },
+    sInter(keys) {
+      const sets = [].concat(keys).map(key => read(key, 'set') || new Set());
+      return [...sets[0]].filter(member => sets.every(set => set.has(member)));
+    },
+
+    // Sorted sets
+    zAdd(key, members) {
+      const zset = write(key, 'zset', () => new Map());
+      let added = 0;
+      for (const { score, value } of [].concat(members)) {
+        if (!zset.has(value)) added++;
+        zset.set(value, Number(score));
+      }
+      return added;
+    },
+    zRem(key, members) {
+      const zset = read(key, 'zset');
+      if (!zset) return 0;
+      const removed = [].concat(members).filter(member => zset.delete(member)).length;
+      prune(key, zset.size);
+      return removed;
+    },
+    zScore(key, member) {
+      return read(key, 'zset')?.get(member) ?? null;
+    },
+    zCard(key) {
+      return read(key, 'zset')?.size || 0;
+    },
+    zRange(key, start, stop, options) {
+      return zRangeWithScores(key, start, stop, options).map(member => member.value);
+    },
+    zRangeWithScores,
+    zRangeByScore(key, min, max) {
+      return zRangeWithScores(key, min, max, { BY: 'SCORE' }).map(member => member.value);
+    },
+    zRemRangeByScore(key, min, max) {
+      const zset = read(key, 'zset');
+      if (!zset) return 0;
+      const [low, high] = [parseBound(min), parseBound(max)];
+      let removed = 0;
+      for (const [value, score] of zset) {
+        if (score >= low && score <= high) {
+          zset.delete(value);
+          removed++;
+        }
+      }
+      prune(key, zset.size);
+      return removed;
+    },
+
+    // Lists
+    lPush(key, values) {
+      const list = write(key, 'list', () => []);
+      list.unshift(...[].concat(values).reverse());
+      return list.length;
+    },
+    rPush(key, values) {
+      const list = write(key, 'list', () => []);
+      list.push(...[].concat(values));
+      return list.length;
+    },
+    lRange(key, start, stop) {
+      return sliceRange(read(key, 'list') || [], start, stop);
+    },
+    lLen(key) {
+      return read(key, 'list')?.length || 0;
+    },
+    // Only the count > 0 (from the head) and count = 0 (all) forms are supported
+    lRem(key, count, value) {
+      const list = read(key, 'list');
+      if (!list) return 0;
+      let removed = 0;
+      for (let i = 0; i < list.length && (count === 0 || removed < count);) {
+        if (list[i] === value) {
+          list.splice(i, 1);
+          removed++;
+        } else {
+          i++;
+        }
+      }
+      prune(key, list.length);
+      return removed;
+    },
+    lSet(key, index, value) {
+      const list = read(key, 'list');
+      const position = index < 0 ? (list?.length || 0) + index : index;
+      if (!list) {
+        throw new Error('ERR no such key');
+      }
+      if (position < 0 || position >= list.length) {
+        throw new Error('ERR index out of range');
+      }
+      list[position] = String(value);
+      return 'OK';
+    },
+  };
+}
+
+export function createMemoryClient() {
+  const commands = buildCommands(createKeyspace());
+  const client = { isOpen: true };
+
+  for (const [name, command] of Object.entries(commands)) {
+    client[name] = async (...args) => command(...args);
+  }
+
+  // Queued commands run back to back with no await in between, so a MULTI is atomic here too
+  client.multi = () => {
+    const queue = [];
+    const chain = {
+      exec: async () => queue.map(([name, args]) => commands[name](...args)),
+    };
+    for (const name of Object.keys(commands)) {
+      chain[name] = (...args) => {
+        queue.push([name, args]);
+        return chain;
+      };
+    }
+    return chain;
+  };
+
+  return client;
+}
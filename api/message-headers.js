@@ -0,0 +1,50 @@
+// Helpers for RFC 5322 message headers used to thread replies
+
+import crypto from 'crypto';
+
+const MESSAGE_ID_DOMAIN = 'warmthly.org';
+
+// Case-insensitive header lookup on a { name: value } object
+export function getHeader(headers, name) {
+  if (!headers || typeof headers !== 'object') {
+    return null;
+  }
+  const target = name.toLowerCase();
+  for (const [key, value] of Object.entries(headers)) {
+    if (key.toLowerCase() === target) {
+      return Array.isArray(value) ? value.join(' ') : value;
+    }
+  }
+  return null;
+}
+
+// Extract every <message-id> token from a header value such as References
+export function parseMessageIds(value) {
+  if (!value || typeof value !== 'string') {
+    return [];
+  }
+  return value.match(/<[^<>\s]+>/g) || [];
+}
+
+// Generate a Message-ID for an outgoing email so replies to it can be matched later
+export function createMessageId() {
+  return `<${crypto.randomUUID()}@${MESSAGE_ID_DOMAIN}>`;
+}
+
+// Build In-Reply-To and References headers for a reply to a message with the given headers
+export function buildReplyHeaders(originalHeaders) {
+  const originalId = parseMessageIds(getHeader(originalHeaders, 'Message-ID'))[0];
+  if (!originalId) {
+    return {};
+  }
+
+  const references = parseMessageIds(getHeader(originalHeaders, 'References'));
+  if (!references.includes(originalId)) {
+    references.push(originalId);
+  }
+
+  return {
+    'In-Reply-To': originalId,
+    'References': references.join(' '),
+  };
+}
@@ -0,0 +1,235 @@
+// Drafts and scheduled sends from the compose form
+//
+// Redis layout:
+//   draft:<id>          hash with id, status, message (JSON of the compose fields), scheduledAt, sendingAt,
+//                       lastError, createdAt, createdBy, updatedAt
+//   drafts:<userId>     sorted set of that user's draft ids by last update
+//   scheduled           sorted set of scheduled draft ids by when they are due (ms)
+//   sending             sorted set of draft ids the processor has claimed, by when it claimed them (ms)
+//
+// A draft is 'draft' while being written, 'scheduled' once it has a send time, 'sending' while the
+// processor has it and 'failed' when a scheduled send was refused; it can be edited and scheduled again.
+// A draft that has been sent is deleted, since the send is in the Sent view from then on.
+// A run that dies mid-send leaves its draft in 'sending'. After SENDING_TIMEOUT_MS the next run marks it
+// 'failed' rather than sending it again, since the email may already have gone out.
+
+import crypto from 'crypto';
+import { getUser, publicUser } from './accounts.js';
+import { hasRole } from './auth.js';
+import { prepareEmail, deliverEmail } from './mailer.js';
+import logger from './logger.js';
+
+export const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000; // 1 year
+
+const MAX_MESSAGE_SIZE = 1024 * 1024; // 1 MB, room for pasted images
+const MESSAGE_FIELDS = ['from', 'to', 'cc', 'bcc', 'replyTo', 'subject', 'html', 'templateId', 'variables', 'inReplyTo', 'overrideSuppression'];
+
+const SEND_INTERVAL_MS = 500;
+// Sends per processing run, and how long a run may take, so one run fits in a serverless invocation
+const DEFAULT_BATCH_SIZE = 20;
+const DEFAULT_BUDGET_MS = 8000;
+// Far longer than one send takes, so a claim this old belongs to a run that died
+const SENDING_TIMEOUT_MS = 5 * 60 * 1000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Keep only the compose fields, so a draft holds the same request /api/send-email would get.
+// Drafts are saved mid-edit, so nothing is required here; scheduling runs the full validation.
+// Returns { message } or { error }.
+export function normalizeDraftMessage(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Draft message must be an object.' };
+  }
+  const message = {};
+  for (const field of MESSAGE_FIELDS) {
+    if (input[field] !== undefined && input[field] !== null && input[field] !== '') {
+      message[field] = input[field];
+    }
+  }
+  if (JSON.stringify(message).length > MAX_MESSAGE_SIZE) {
+    return { error: 'Draft is too large.' };
+  }
+  return { message };
+}
+
+function parseDraft(record) {
+  if (!record || !record.id) {
+    return null;
+  }
+  let message = {};
+  try {
+    message = JSON.parse(record.message || '{}');
+  } catch (error) {
+    logger.warn('[outbox] Ignoring unreadable message for draft', record.id);
+  }
+  return { ...record, message, scheduledAt: record.scheduledAt || null, lastError: record.lastError || null };
+}
+
+export async function getDraft(client, id) {
+  if (!id || typeof id !== 'string') {
+    return null;
+  }
+  return parseDraft(await client.hGetAll(`draft:${id}`));
+}
+
+async function getDrafts(client, ids) {
+  const drafts = [];
+  for (const id of ids) {
+    const draft = await getDraft(client, id);
+    if (draft) {
+      drafts.push(draft);
+    }
+  }
+  return drafts;
+}
+
+// A user's drafts, most recently edited first
+export async function listDrafts(client, userId) {
+  return getDrafts(client, await client.zRange(`drafts:${userId}`, 0, -1, { REV: true }));
+}
+
+// Everyone's scheduled sends, soonest first
+export async function listScheduled(client) {
+  return getDrafts(client, await client.zRange('scheduled', 0, -1));
+}
+
+// Create a draft, or update one when id is given; editing a failed send makes it a plain draft again
+export async function saveDraft(client, { id, message }, userId) {
+  const now = new Date().toISOString();
+  const draftId = id || crypto.randomUUID();
+  const fields = { message: JSON.stringify(message), status: 'draft', lastError: '', updatedAt: now };
+  if (!id) {
+    Object.assign(fields, { id: draftId, createdAt: now, createdBy: userId });
+  }
+  await client.hSet(`draft:${draftId}`, fields);
+  await client.zAdd(`drafts:${userId}`, { score: Date.parse(now), value: draftId });
+  return getDraft(client, draftId);
+}
+
+export async function scheduleDraft(client, draft, scheduledAt) {
+  await client.hSet(`draft:${draft.id}`, {
+    status: 'scheduled',
+    scheduledAt: scheduledAt.toISOString(),
+    lastError: '',
+    updatedAt: new Date().toISOString(),
+  });
+  await client.zAdd('scheduled', { score: scheduledAt.getTime(), value: draft.id });
+  logger.log('[outbox] Send scheduled:', { id: draft.id, at: scheduledAt.toISOString() });
+  return getDraft(client, draft.id);
+}
+
+// Take a scheduled send off the schedule; it stays as a draft
+export async function unscheduleDraft(client, draft) {
+  await client.zRem('scheduled', draft.id);
+  await client.hSet(`draft:${draft.id}`, { status: 'draft', scheduledAt: '', updatedAt: new Date().toISOString() });
+  logger.log('[outbox] Scheduled send cancelled:', draft.id);
+  return getDraft(client, draft.id);
+}
+
+// Change a draft's message without touching its status or schedule
+export async function replaceDraftMessage(client, draft, message) {
+  await client.hSet(`draft:${draft.id}`, { message: JSON.stringify(message), updatedAt: new Date().toISOString() });
+}
+
+export async function deleteDraft(client, draft) {
+  await client.zRem('scheduled', draft.id);
+  await client.zRem('sending', draft.id);
+  await client.zRem(`drafts:${draft.createdBy}`, draft.id);
+  await client.del(`draft:${draft.id}`);
+}
+
+// Whether a draft was claimed for sending so long ago that the run sending it must have died
+export function isSendStuck(draft) {
+  return draft.status === 'sending' && Date.now() - (Date.parse(draft.sendingAt) || 0) > SENDING_TIMEOUT_MS;
+}
+
+async function failScheduled(client, draft, message) {
+  await client.zRem('sending', draft.id);
+  await client.hSet(`draft:${draft.id}`, { status: 'failed', lastError: message, updatedAt: new Date().toISOString() });
+  logger.warn('[outbox] Scheduled send failed:', { id: draft.id, error: message });
+}
+
+// Send one claimed draft as the user who scheduled it, through the same checks as /api/send-email.
+// The account is read again now, so a user who was disabled or lost the sender role since scheduling
+// doesn't get mail sent on their behalf.
+async function sendScheduled(client, draft) {
+  const account = await getUser(client, draft.createdBy);
+  if (!account || account.disabled || !hasRole(account, ['owner', 'sender'])) {
+    await failScheduled(client, draft, 'The account that scheduled this email can no longer send.');
+    return 'failed';
+  }
+
+  const prepared = await prepareEmail(client, draft.message, publicUser(account));
+  if (prepared.error) {
+    await failScheduled(client, draft, prepared.error.message);
+    return 'failed';
+  }
+
+  const { error } = await deliverEmail(client, prepared.message, { ...prepared.details, scheduledAt: draft.scheduledAt });
+  if (error) {
+    await failScheduled(client, draft, error.message || 'Failed to send email.');
+    return 'failed';
+  }
+
+  await deleteDraft(client, draft);
+  logger.log('[outbox] Scheduled send delivered:', draft.id);
+  return 'sent';
+}
+
+// Mark drafts left in 'sending' by a run that died as failed; returns how many there were
+async function releaseStuckSends(client) {
+  const stuck = await client.zRangeByScore('sending', '-inf', Date.now() - SENDING_TIMEOUT_MS);
+  for (const id of stuck) {
+    const draft = await getDraft(client, id);
+    if (draft && draft.status === 'sending') {
+      await failScheduled(client, draft, 'Sending was interrupted. Check the Sent view before scheduling this email again.');
+    } else {
+      await client.zRem('sending', id);
+    }
+  }
+  return stuck.length;
+}
+
+// Send every scheduled draft that is due, until the batch or time budget runs out; the rest wait for the next run.
+// ZREM claims a draft, so overlapping runs never send the same one twice.
+export async function processScheduled(client, { batchSize = DEFAULT_BATCH_SIZE, budgetMs = DEFAULT_BUDGET_MS } = {}) {
+  const result = { sent: 0, failed: 0, interrupted: await releaseStuckSends(client) };
+  const startedAt = Date.now();
+  const due = await client.zRange('scheduled', 0, startedAt, { BY: 'SCORE', LIMIT: { offset: 0, count: batchSize } });
+
+  for (const id of due) {
+    if (Date.now() - startedAt >= budgetMs) {
+      break;
+    }
+    if (!(await client.zRem('scheduled', id))) {
+      continue;
+    }
+    const draft = await getDraft(client, id);
+    if (!draft || draft.status !== 'scheduled') {
+      continue;
+    }
+    // Both or neither, so releaseStuckSends never finds one without the other and a claimed draft can't go missing
+    const sendingAt = new Date().toISOString();
+    await client.multi()
+      .zAdd('sending', { score: Date.parse(sendingAt), value: id })
+      .hSet(`draft:${id}`, { status: 'sending', sendingAt })
+      .exec();
+
+    if (result.sent + result.failed > 0) {
+      await sleep(SEND_INTERVAL_MS);
+    }
+    try {
+      result[await sendScheduled(client, draft)]++;
+    } catch (error) {
+      await failScheduled(client, draft, error.message);
+      result.failed++;
+    }
+  }
+
+  if (due.length > 0 || result.interrupted > 0) {
+    logger.log('[outbox] Scheduled sends processed:', result);
+  }
+  return result;
+}
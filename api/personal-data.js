@@ -0,0 +1,360 @@
+// Everything we hold about one email address, for answering a donor who asks to see it or to have it erased
+//
+// Redis layout:
+//   erasures        sorted set of erasure ids by when the erasure happened (ms)
+//   erasure:<id>    JSON { id, addressHash, requestedBy, at, counts, retained }
+//
+// An address is looked for in received and quarantined mail (sender, recipients, reply-to), the sent log and
+// its delivery events, conversations, the address book, drafts, campaign recipient lists, failed webhooks,
+// the sandbox outbox, the suppression list and sender rules. None of these are indexed by address, so a request reads them all.
+//
+// Erasure deletes what is about the person and anonymizes what is shared with others:
+//   - mail they sent us, quarantined or not, and mail we sent to them alone is deleted with its indexes
+//   - other messages and conversations naming them keep their content, with the address replaced by ERASED
+//   - drafts drop them as a recipient, and campaign rows are blanked and, if still waiting, skipped
+//   - their contact and auto-reply cooldown are deleted
+//   - failed webhooks mentioning them are deleted, since replaying one would store their mail again
+//   - captured sandbox messages naming them are deleted; they are test copies that were never delivered
+//   - suppression entries and sender rules are kept, so they are not emailed or let through again by mistake
+// The erasure log stores a SHA-256 hash of the address instead of the address itself.
+
+import crypto from 'crypto';
+import { getEmail, listSentEntries, removeSentRecord, replaceSentRecord } from './storage.js';
+import { replaceListEntry } from './redis.js';
+import { getSenderIdentities } from './addresses.js';
+import { ensureIndexed } from './email-index.js';
+import { deleteEmailPermanently } from './email-state.js';
+import {
+  extractAddresses,
+  findThreadsWithParticipant,
+  removeThreadParticipant,
+  removeFromThread,
+  getThreadMessages,
+} from './threads.js';
+import { getQuarantined, removeQuarantined, listSenderRules } from './spam-filter.js';
+import { getDeliveryEvents, deleteDeliveryEvents, findSuppressed } from './delivery.js';
+import { getContact, getContactHistory, deleteContact, normalizeContactAddress } from './address-book.js';
+import { listDrafts, listScheduled, replaceDraftMessage } from './outbox.js';
+import { listUsers } from './accounts.js';
+import { findCampaignRecipients, eraseCampaignRecipient } from './campaigns-queue.js';
+import { listDeadLetters, removeDeadLetter } from './inbound-events.js';
+import { listCapturedMessages, getCapturedMessage, removeCapturedMessage } from './transport.js';
+import logger from './logger.js';
+
+export const ERASED = '[erased]';
+
+const ADDRESS_FIELDS = ['from', 'to', 'cc', 'bcc', 'replyTo'];
+const TEXT_FIELDS = ['subject', 'snippet', 'text', 'html'];
+const ADDRESS_HEADERS = ['from', 'to', 'cc', 'bcc', 'reply-to', 'sender', 'return-path', 'delivered-to', 'x-original-to'];
+const RECIPIENT_FIELDS = ['to', 'cc', 'bcc', 'replyTo'];
+
+export function hashAddress(address) {
+  return crypto.createHash('sha256').update(address).digest('hex');
+}
+
+function addressesOf(message, fields = ADDRESS_FIELDS) {
+  return fields.flatMap(field => extractAddresses(message[field]));
+}
+
+function mentions(entry, address) {
+  return extractAddresses(entry).includes(address);
+}
+
+// An address field with every mailbox of the address replaced; lists stay lists and strings stay strings
+function anonymizeAddressField(value, address) {
+  if (Array.isArray(value)) {
+    return value.map(entry => (mentions(entry, address) ? ERASED : entry));
+  }
+  if (typeof value !== 'string' || !value.toLowerCase().includes(address)) {
+    return value;
+  }
+  return value.split(',').map(entry => (mentions(entry, address) ? ERASED : entry.trim())).join(', ');
+}
+
+function scrubText(value, address) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const pattern = new RegExp(address.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+  return value.replace(pattern, ERASED);
+}
+
+// A copy of a stored message, sent record or summary with the address taken out of it
+function anonymizeMessage(message, address) {
+  const copy = { ...message };
+  for (const field of ADDRESS_FIELDS) {
+    if (copy[field] !== undefined) {
+      copy[field] = anonymizeAddressField(copy[field], address);
+    }
+  }
+  for (const field of TEXT_FIELDS) {
+    if (copy[field] !== undefined) {
+      copy[field] = scrubText(copy[field], address);
+    }
+  }
+  if (copy.headers && typeof copy.headers === 'object') {
+    copy.headers = Object.fromEntries(Object.entries(copy.headers).map(([name, value]) => [
+      name,
+      ADDRESS_HEADERS.includes(name.toLowerCase()) ? anonymizeAddressField(value, address) : scrubText(value, address),
+    ]));
+  }
+  return copy;
+}
+
+async function findReceivedEmails(client, address) {
+  await ensureIndexed(client);
+  const emails = [];
+  for (const id of await client.zRange('emails:by-date', 0, -1)) {
+    const email = await getEmail(client, id);
+    if (email && addressesOf(email).includes(address)) {
+      emails.push(email);
+    }
+  }
+  return emails;
+}
+
+async function findQuarantinedEmails(client, address) {
+  const emails = [];
+  for (const id of await client.zRange('quarantine', 0, -1)) {
+    const email = await getQuarantined(client, id);
+    if (email && addressesOf(email).includes(address)) {
+      emails.push(email);
+    }
+  }
+  return emails;
+}
+
+async function findSentEntries(client, address) {
+  return (await listSentEntries(client)).filter(({ record }) => addressesOf(record).includes(address));
+}
+
+// Everyone's drafts and scheduled sends, each once
+async function listAllDrafts(client) {
+  const drafts = new Map();
+  for (const user of await listUsers(client)) {
+    for (const draft of await listDrafts(client, user.id)) {
+      drafts.set(draft.id, draft);
+    }
+  }
+  for (const draft of await listScheduled(client)) {
+    drafts.set(draft.id, draft);
+  }
+  return [...drafts.values()];
+}
+
+async function findDrafts(client, address) {
+  return (await listAllDrafts(client)).filter(draft => addressesOf(draft.message, RECIPIENT_FIELDS).includes(address));
+}
+
+async function findDeadLetters(client, address) {
+  return (await listDeadLetters(client)).filter(entry => JSON.stringify(entry.event || {}).toLowerCase().includes(address));
+}
+
+async function findCapturedMessages(client, address) {
+  const messages = [];
+  for (const summary of await listCapturedMessages(client, 0)) {
+    if (addressesOf(summary).includes(address)) {
+      messages.push(await getCapturedMessage(client, summary.id));
+    }
+  }
+  return messages.filter(Boolean);
+}
+
+async function findKeptEntries(client, address) {
+  const [suppression] = await findSuppressed(client, [address]);
+  const senderRule = (await listSenderRules(client)).find(rule => rule.value === address);
+  return { suppression: suppression || null, senderRule: senderRule || null };
+}
+
+// The inbox list keeps its own copy of each email's from and to
+async function anonymizeSummary(client, id, rewrite) {
+  for (const summary of await client.lRange('emails', 0, -1)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(summary);
+    } catch (error) {
+      continue;
+    }
+    if (parsed.id === id) {
+      await replaceListEntry(client, 'emails', summary, JSON.stringify(rewrite(parsed)), { growsAtHead: true });
+    }
+  }
+}
+
+// Every stored record for an address, as one JSON-ready object
+export async function exportAddressData(client, rawAddress) {
+  const address = normalizeContactAddress(rawAddress);
+
+  const sent = [];
+  for (const { record } of await findSentEntries(client, address)) {
+    sent.push({ ...record, deliveryEvents: record.id ? await getDeliveryEvents(client, record.id) : [] });
+  }
+
+  const threads = [];
+  for (const id of await findThreadsWithParticipant(client, address)) {
+    const messages = await getThreadMessages(client, id);
+    threads.push({ id, subject: messages[0]?.subject || '', messages });
+  }
+
+  const contact = await getContact(client, address);
+
+  return {
+    address,
+    exportedAt: new Date().toISOString(),
+    receivedEmails: await findReceivedEmails(client, address),
+    quarantinedEmails: await findQuarantinedEmails(client, address),
+    sentEmails: sent,
+    conversations: threads,
+    contact: contact ? { ...contact, history: await getContactHistory(client, address) } : null,
+    drafts: (await findDrafts(client, address)).map(({ id, status, scheduledAt, createdAt, updatedAt, message }) => ({
+      id, status, scheduledAt, createdAt, updatedAt, message,
+    })),
+    campaignRecipients: (await findCampaignRecipients(client, address)).map(({ campaign, recipient }) => ({
+      campaignId: campaign.id,
+      campaignName: campaign.name,
+      ...recipient,
+    })),
+    failedWebhooks: await findDeadLetters(client, address),
+    sandboxMessages: await findCapturedMessages(client, address),
+    ...(await findKeptEntries(client, address)),
+  };
+}
+
+// Erase an address as described at the top of this file and record it in the erasure log.
+// Returns the log entry.
+export async function eraseAddressData(client, rawAddress, userId) {
+  const address = normalizeContactAddress(rawAddress);
+  const own = getSenderIdentities().map(identity => identity.address.toLowerCase());
+  const rewrite = message => anonymizeMessage(message, address);
+  const counts = {
+    receivedDeleted: 0,
+    receivedAnonymized: 0,
+    quarantinedDeleted: 0,
+    sentDeleted: 0,
+    sentAnonymized: 0,
+    conversationsAnonymized: 0,
+    draftsUpdated: 0,
+    campaignRowsErased: 0,
+    failedWebhooksDeleted: 0,
+    sandboxMessagesDeleted: 0,
+    contactDeleted: 0,
+  };
+
+  for (const email of await findReceivedEmails(client, address)) {
+    if (mentions(email.from, address)) {
+      await deleteEmailPermanently(client, email.id);
+      counts.receivedDeleted++;
+      continue;
+    }
+    await client.set(`email:${email.id}`, JSON.stringify(rewrite(email)));
+    await anonymizeSummary(client, email.id, rewrite);
+    counts.receivedAnonymized++;
+  }
+
+  for (const email of await findQuarantinedEmails(client, address)) {
+    await removeQuarantined(client, email.id);
+    counts.quarantinedDeleted++;
+  }
+
+  for (const { raw, record } of await findSentEntries(client, address)) {
+    const others = addressesOf(record, ['to', 'cc', 'bcc']).filter(recipient => recipient !== address && !own.includes(recipient));
+    if (others.length === 0) {
+      await removeSentRecord(client, raw, record);
+      if (record.id) {
+        await deleteDeliveryEvents(client, record.id);
+      }
+      if (record.threadId) {
+        await removeFromThread(client, record.threadId, record.id);
+      }
+      counts.sentDeleted++;
+      continue;
+    }
+    await replaceSentRecord(client, raw, rewrite(record));
+    if (record.id) {
+      const key = `sent:${record.id}:events`;
+      for (const event of await client.lRange(key, 0, -1)) {
+        if (event.toLowerCase().includes(address)) {
+          await replaceListEntry(client, key, event, JSON.stringify(rewrite(JSON.parse(event))));
+        }
+      }
+    }
+    counts.sentAnonymized++;
+  }
+
+  for (const threadId of await findThreadsWithParticipant(client, address)) {
+    await removeThreadParticipant(client, threadId, address, rewrite);
+    counts.conversationsAnonymized++;
+  }
+
+  for (const draft of await findDrafts(client, address)) {
+    const message = { ...draft.message };
+    for (const field of RECIPIENT_FIELDS) {
+      if (Array.isArray(message[field])) {
+        message[field] = message[field].filter(entry => !mentions(entry, address));
+      } else if (typeof message[field] === 'string') {
+        message[field] = message[field].split(',').filter(entry => !mentions(entry, address)).join(',').trim();
+      }
+    }
+    await replaceDraftMessage(client, draft, message);
+    counts.draftsUpdated++;
+  }
+
+  for (const { campaign, recipient } of await findCampaignRecipients(client, address)) {
+    await eraseCampaignRecipient(client, campaign.id, recipient.index, ERASED);
+    counts.campaignRowsErased++;
+  }
+
+  for (const entry of await findDeadLetters(client, address)) {
+    await removeDeadLetter(client, entry.id);
+    counts.failedWebhooksDeleted++;
+  }
+
+  for (const message of await findCapturedMessages(client, address)) {
+    await removeCapturedMessage(client, message.id);
+    counts.sandboxMessagesDeleted++;
+  }
+
+  if (await deleteContact(client, address)) {
+    counts.contactDeleted = 1;
+  }
+  await client.del(`auto-reply:${address}`);
+
+  const kept = await findKeptEntries(client, address);
+  const retained = Object.keys(kept).filter(name => kept[name]);
+
+  const entry = {
+    id: crypto.randomUUID(),
+    addressHash: hashAddress(address),
+    requestedBy: userId,
+    at: new Date().toISOString(),
+    counts,
+    retained,
+  };
+  await client.set(`erasure:${entry.id}`, JSON.stringify(entry));
+  await client.zAdd('erasures', { score: Date.parse(entry.at), value: entry.id });
+  logger.log('[personal-data] Address erased:', { id: entry.id, by: userId, counts });
+  return entry;
+}
+
+// The erasure log, most recent first
+export async function listErasures(client, limit = 100) {
+  const ids = await client.zRange('erasures', 0, limit - 1, { REV: true });
+  const entries = [];
+  for (const id of ids) {
+    const stored = await client.get(`erasure:${id}`);
+    if (stored) {
+      entries.push(JSON.parse(stored));
+    }
+  }
+  return entries;
+}
+
+// Drop erasure log entries from before cutoff (ms); returns how many were removed
+export async function purgeErasureLog(client, cutoff) {
+  const expired = await client.zRangeByScore('erasures', '-inf', cutoff);
+  for (const id of expired) {
+    await client.del(`erasure:${id}`);
+    await client.zRem('erasures', id);
+  }
+  return expired.length;
+}
@@ -0,0 +1,79 @@
+// /api/privacy.js
+import { withRateLimit, apiRateLimitOptions } from './rate-limit.js';
+import { withAuth, hasRole } from './auth.js';
+import { getStorageClient } from './storage.js';
+import { isValidAddress } from './addresses.js';
+import { normalizeContactAddress } from './address-book.js';
+import { exportAddressData, eraseAddressData, listErasures } from './personal-data.js';
+import { getRetentionPolicy } from './retention.js';
+import logger, { withRequestId } from './logger.js';
+
+const PRIVACY_ACTIONS = ['erase'];
+
+// Answering a person's request about their data:
+// GET returns { retention, erasures } with the configured retention windows and the erasure log.
+// GET ?address= returns every record stored for that address as JSON.
+// POST { action: 'erase', address, confirm } erases it and returns the erasure log entry; confirm must repeat
+// the address. Exports hold whole emails and erasure can't be undone, so this is for owners only.
+async function privacyHandler(req, res) {
+  logger.debug('[privacy] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString(),
+    user: req.user?.id
+  });
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    logger.warn('[privacy] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!hasRole(req.user, ['owner'])) {
+    return res.status(403).json({ error: 'Only an owner can export or erase personal data.' });
+  }
+
+  try {
+    const client = await getStorageClient();
+
+    if (req.method === 'GET') {
+      if (req.query?.address === undefined) {
+        return res.status(200).json({ retention: getRetentionPolicy(), erasures: await listErasures(client) });
+      }
+      const address = normalizeContactAddress(String(req.query.address));
+      if (!isValidAddress(address)) {
+        return res.status(400).json({ error: 'A valid email address is required.' });
+      }
+      const data = await exportAddressData(client, address);
+      logger.log('[privacy] Data exported by', req.user.id);
+      res.setHeader('Content-Disposition', `attachment; filename="personal-data-${address.replace(/[^a-z0-9@._-]/g, '_')}.json"`);
+      return res.status(200).json(data);
+    }
+
+    const { action } = req.body || {};
+    if (!PRIVACY_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: 'Unknown action.' });
+    }
+    const address = normalizeContactAddress(req.body.address);
+    if (!isValidAddress(address)) {
+      return res.status(400).json({ error: 'A valid email address is required.' });
+    }
+    if (normalizeContactAddress(req.body.confirm) !== address) {
+      return res.status(400).json({ error: 'Type the address again to confirm the erasure.' });
+    }
+    res.status(200).json(await eraseAddressData(client, address, req.user.id));
+
+  } catch (error) {
+    logger.error('[privacy] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to process the privacy request.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler with rate limiting and authentication
+export default withRequestId(withRateLimit(withAuth(privacyHandler), apiRateLimitOptions));
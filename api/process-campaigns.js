@@ -0,0 +1,46 @@
+// /api/process-campaigns.js
+import { withCronSecret } from './auth.js';
+import { getStorageClient } from './storage.js';
+import { processCampaignQueue } from './campaigns-queue.js';
+import { isTransportConfigured } from './transport.js';
+import logger, { withRequestId } from './logger.js';
+
+// Sends the next due batch of campaign emails. Meant for Vercel Cron, e.g. every minute:
+//   "crons": [{ "path": "/api/process-campaigns", "schedule": "* * * * *" }]
+// with CRON_SECRET set so only the scheduler can call it.
+async function processCampaignsHandler(req, res) {
+  logger.debug('[process-campaigns] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString()
+  });
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    logger.warn('[process-campaigns] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!isTransportConfigured()) {
+    logger.error('[process-campaigns] Email transport is not configured (MAIL_TRANSPORT, RESEND_API_KEY)');
+    return res.status(500).json({ error: 'Email service is not configured.' });
+  }
+
+  try {
+    const client = await getStorageClient();
+    res.status(200).json(await processCampaignQueue(client));
+
+  } catch (error) {
+    logger.error('[process-campaigns] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to process the campaign queue.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler guarded by the cron secret
+export default withRequestId(withCronSecret(processCampaignsHandler));
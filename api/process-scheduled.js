@@ -0,0 +1,46 @@
+// /api/process-scheduled.js
+import { withCronSecret } from './auth.js';
+import { getStorageClient } from './storage.js';
+import { processScheduled } from './outbox.js';
+import { isTransportConfigured } from './transport.js';
+import logger, { withRequestId } from './logger.js';
+
+// Sends scheduled emails that are due, through the same validation and delivery as /api/send-email.
+// Meant for Vercel Cron alongside /api/process-campaigns:
+//   "crons": [{ "path": "/api/process-scheduled", "schedule": "* * * * *" }]
+async function processScheduledHandler(req, res) {
+  logger.debug('[process-scheduled] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString()
+  });
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    logger.warn('[process-scheduled] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!isTransportConfigured()) {
+    logger.error('[process-scheduled] Email transport is not configured (MAIL_TRANSPORT, RESEND_API_KEY)');
+    return res.status(500).json({ error: 'Email service is not configured.' });
+  }
+
+  try {
+    const client = await getStorageClient();
+    res.status(200).json(await processScheduled(client));
+
+  } catch (error) {
+    logger.error('[process-scheduled] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to process scheduled emails.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler guarded by the cron secret
+export default withRequestId(withCronSecret(processScheduledHandler));
@@ -0,0 +1,40 @@
+// /api/purge-expired.js
+import { withCronSecret } from './auth.js';
+import { getStorageClient } from './storage.js';
+import { purgeExpiredData } from './retention.js';
+import logger, { withRequestId } from './logger.js';
+
+// Deletes stored data that is past its retention window (see retention.js) and returns what was removed.
+// Meant for Vercel Cron once a day:
+//   "crons": [{ "path": "/api/purge-expired", "schedule": "0 3 * * *" }]
+async function purgeExpiredHandler(req, res) {
+  logger.debug('[purge-expired] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString()
+  });
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    logger.warn('[purge-expired] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const client = await getStorageClient();
+    res.status(200).json(await purgeExpiredData(client));
+
+  } catch (error) {
+    logger.error('[purge-expired] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to purge expired data.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler guarded by the cron secret
+export default withRequestId(withCronSecret(purgeExpiredHandler));
@@ -0,0 +1,126 @@
+// /api/quarantine.js
+import { withRateLimit, apiRateLimitOptions } from './rate-limit.js';
+import { withAuth, hasRole } from './auth.js';
+import { getStorageClient, storeReceivedEmail } from './storage.js';
+import { sanitizeEmailHtml } from './sanitize.js';
+import { extractAddresses } from './threads.js';
+import { applyRoutingRules } from './routing.js';
+import {
+  getQuarantined,
+  listQuarantined,
+  removeQuarantined,
+  purgeExpiredQuarantine,
+  setSenderRule,
+} from './spam-filter.js';
+import logger, { withRequestId } from './logger.js';
+
+const QUARANTINE_ACTIONS = ['release', 'delete', 'block'];
+const MAX_IDS_PER_REQUEST = 100;
+
+// Received mail the spam filter held back:
+// GET lists it, newest first; GET ?id= returns one with its content for a closer look.
+// POST { action: 'release', ids, allowSender? } moves emails to the inbox, where the routing rules run on them
+// as if they had just arrived, and with allowSender also puts their senders on the allow list. POST { action: 'delete', ids } discards them.
+// POST { action: 'block', ids } puts the senders on the block list and discards all their quarantined mail.
+// Viewers can only look, and changing the sender lists is for owners.
+async function quarantineHandler(req, res) {
+  logger.debug('[quarantine] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString(),
+    user: req.user?.id
+  });
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    logger.warn('[quarantine] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const client = await getStorageClient();
+
+    if (req.method === 'GET') {
+      await purgeExpiredQuarantine(client);
+      const { id } = req.query || {};
+      if (id) {
+        const email = await getQuarantined(client, String(id));
+        return email
+          ? res.status(200).json({ ...email, html: sanitizeEmailHtml(email.html) })
+          : res.status(404).json({ error: 'Email not found.' });
+      }
+      return res.status(200).json(await listQuarantined(client));
+    }
+
+    const { action, ids, allowSender } = req.body || {};
+
+    if (!QUARANTINE_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: 'Unknown action.' });
+    }
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string' || !id)) {
+      return res.status(400).json({ error: 'A non-empty list of email ids is required.' });
+    }
+    if (ids.length > MAX_IDS_PER_REQUEST) {
+      return res.status(400).json({ error: `At most ${MAX_IDS_PER_REQUEST} emails can be updated at once.` });
+    }
+    const changesRules = action === 'block' || (action === 'release' && allowSender === true);
+    if (!hasRole(req.user, changesRules ? ['owner'] : ['owner', 'sender'])) {
+      return res.status(403).json({
+        error: changesRules ? 'Only an owner can change the sender lists.' : 'You do not have permission to do this.'
+      });
+    }
+
+    const emails = (await Promise.all([...new Set(ids)].map(id => getQuarantined(client, id)))).filter(Boolean);
+    const senders = [...new Set(emails.flatMap(email => extractAddresses(email.from).slice(0, 1)))];
+
+    if (action === 'delete') {
+      for (const email of emails) {
+        await removeQuarantined(client, email.id);
+      }
+      logger.log('[quarantine] Emails deleted:', { count: emails.length, by: req.user.id });
+      return res.status(200).json({ deleted: emails.length });
+    }
+
+    if (action === 'release') {
+      for (const { verdict, quarantinedAt, ...email } of emails) {
+        await storeReceivedEmail(client, email);
+        await removeQuarantined(client, email.id);
+        await applyRoutingRules(client, email);
+      }
+      if (allowSender === true) {
+        for (const sender of senders) {
+          await setSenderRule(client, sender, 'allow', { note: 'Released from quarantine', addedBy: req.user.id });
+        }
+      }
+      logger.log('[quarantine] Emails released:', { count: emails.length, allowSender: allowSender === true, by: req.user.id });
+      return res.status(200).json({ released: emails.length, allowed: allowSender === true ? senders : [] });
+    }
+
+    // Block: everything else these senders have waiting goes too
+    for (const sender of senders) {
+      await setSenderRule(client, sender, 'block', { note: 'Blocked from quarantine', addedBy: req.user.id });
+    }
+    let deleted = 0;
+    for (const email of await listQuarantined(client)) {
+      if (senders.includes(extractAddresses(email.from)[0])) {
+        await removeQuarantined(client, email.id);
+        deleted++;
+      }
+    }
+    logger.log('[quarantine] Senders blocked:', { count: senders.length, deleted, by: req.user.id });
+    res.status(200).json({ blocked: senders, deleted });
+
+  } catch (error) {
+    logger.error('[quarantine] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to update quarantine.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler with rate limiting and authentication
+export default withRequestId(withRateLimit(withAuth(quarantineHandler), apiRateLimitOptions));
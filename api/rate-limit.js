@@ -1,78 +1,118 @@
-// Simple in-memory rate limiter for serverless functions
-// Note: For production with multiple instances, consider using Redis or Vercel Edge Config
-
-const rateLimitStore = new Map();
-
-// Clean up old entries periodically
-function cleanup() {
-  const now = Date.now();
-  for (const [key, value] of rateLimitStore.entries()) {
-    if (value.resetTime < now) {
-      rateLimitStore.delete(key);
-    }
+// Rate limiting for serverless functions
+// Counters live in the configured storage so every instance shares them. If Redis can't be reached
+// the limiter falls back to this instance's in-memory store instead of failing the request.
+//
+// Redis layout:
+//   ratelimit:<name>:<identifier>   sorted set of request timestamps (ms) inside the sliding window
+//   lockout:<key>                   hash with failures, lockedUntil (ms) for progressive login lockout
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { getStorageClient, getMemoryClient } from './storage.js';
+import logger from './logger.js';
+
+// Run against the configured storage, or against the in-memory client when it is unavailable
+async function withStore(fn) {
+  let client;
+  try {
+    client = await getStorageClient();
+  } catch (error) {
+    logger.warn('[rate-limit] Storage unavailable, using in-memory store:', error.message);
+    return fn(getMemoryClient());
+  }
+  try {
+    return await fn(client);
+  } catch (error) {
+    logger.warn('[rate-limit] Storage command failed, using in-memory store:', error.message);
+    return fn(getMemoryClient());
   }
 }
 
-// Cleanup on each request (simple approach for serverless)
-function checkRateLimit(req, options = {}) {
-  const {
-    windowMs = 15 * 60 * 1000, // 15 minutes
-    max = 100, // limit each IP to max requests per windowMs
-  } = options;
-
-  // Cleanup old entries
-  cleanup();
-
-  // Get client identifier (IP address)
-  const identifier = 
-    req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
+function clientIp(req) {
+  return req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
     req.headers['x-real-ip'] ||
     req.connection?.remoteAddress ||
     'unknown';
+}
 
-  const key = `${identifier}:${req.url}`;
-  const now = Date.now();
-  const record = rateLimitStore.get(key);
-
-  if (record) {
-    // Check if window has expired
-    if (record.resetTime < now) {
-      // Reset the record
-      record.count = 1;
-      record.resetTime = now + windowMs;
-      rateLimitStore.set(key, record);
-      return { allowed: true, remaining: max - 1, resetTime: record.resetTime };
-    }
+// withRateLimit runs before withAuth, so the bearer token is verified here to find the account.
+// Missing, expired or invalid tokens count against the IP instead.
+function tokenSubject(req) {
+  const authHeader = req.headers.authorization;
+  const jwtSecret = process.env.JWT_SECRET;
+  if (!authHeader || !authHeader.startsWith('Bearer ') || !jwtSecret) {
+    return null;
+  }
+  try {
+    const payload = jwt.verify(authHeader.split(' ')[1], jwtSecret);
+    return payload.purpose ? null : payload.sub || null;
+  } catch (error) {
+    return null;
+  }
+}
 
-    // Check if limit exceeded
-    if (record.count >= max) {
-      return { 
-        allowed: false, 
-        remaining: 0, 
-        resetTime: record.resetTime,
-        retryAfter: Math.ceil((record.resetTime - now) / 1000)
-      };
+// keyBy: 'ip' (default), 'user' (the signed-in account, falling back to IP) or a function(req) returning a string
+function resolveIdentifier(req, keyBy) {
+  if (typeof keyBy === 'function') {
+    const custom = keyBy(req);
+    if (custom) {
+      return String(custom);
     }
+  } else if (keyBy === 'user') {
+    const subject = tokenSubject(req);
+    if (subject) {
+      return `user:${subject}`;
+    }
+  }
+  return `ip:${clientIp(req)}`;
+}
 
-    // Increment count
-    record.count++;
-    rateLimitStore.set(key, record);
-    return { allowed: true, remaining: max - record.count, resetTime: record.resetTime };
-  } else {
-    // Create new record
-    rateLimitStore.set(key, {
-      count: 1,
-      resetTime: now + windowMs,
-    });
-    return { allowed: true, remaining: max - 1, resetTime: now + windowMs };
+// Sliding window log: a request is allowed while fewer than max requests landed in the last windowMs.
+// Rejected requests aren't recorded, so a client that backs off gets back in as old hits age out.
+async function recordHit(client, key, windowMs, max, now) {
+  const member = `${now}:${crypto.randomBytes(4).toString('hex')}`;
+  const [, , count, oldest] = await client.multi()
+    .zRemRangeByScore(key, 0, now - windowMs)
+    .zAdd(key, { score: now, value: member })
+    .zCard(key)
+    .zRangeWithScores(key, 0, 0)
+    .pExpire(key, windowMs)
+    .exec();
+
+  if (count > max) {
+    await client.zRem(key, member);
+    return { allowed: false, count: max, oldest: oldest[0]?.score ?? now };
   }
+  return { allowed: true, count, oldest: oldest[0]?.score ?? now };
+}
+
+async function checkRateLimit(req, options = {}) {
+  const {
+    windowMs = 15 * 60 * 1000, // 15 minutes
+    max = 100, // limit each identifier to max requests per windowMs
+    keyBy = 'ip',
+    name = (req.url || '').split('?')[0], // the query string is ignored so it can't be used to get a fresh counter
+  } = options;
+
+  const now = Date.now();
+  const key = `ratelimit:${name}:${resolveIdentifier(req, keyBy)}`;
+  const { allowed, count, oldest } = await withStore(client => recordHit(client, key, windowMs, max, now));
+
+  // The window frees a slot when its oldest hit ages out
+  const resetTime = Number(oldest) + windowMs;
+  return {
+    allowed,
+    remaining: Math.max(0, max - count),
+    resetTime,
+    retryAfter: allowed ? undefined : Math.max(1, Math.ceil((resetTime - now) / 1000)),
+  };
 }
 
 // Wrapper function for rate limiting in Vercel serverless functions
 export function withRateLimit(handler, options = {}) {
   return async (req, res) => {
-    const result = checkRateLimit(req, options);
-    
+    const result = await checkRateLimit(req, options);
+
     // Set rate limit headers
     res.setHeader('X-RateLimit-Limit', options.max || 100);
     res.setHeader('X-RateLimit-Remaining', result.remaining);
@@ -80,8 +120,8 @@ export function withRateLimit(handler, options = {}) {
 
     if (!result.allowed) {
       res.setHeader('Retry-After', result.retryAfter);
-      return res.status(429).json({ 
-        error: options.message || 'Too many requests, please try again later.' 
+      return res.status(429).json({
+        error: options.message || 'Too many requests, please try again later.'
       });
     }
 
@@ -89,22 +129,92 @@ export function withRateLimit(handler, options = {}) {
   };
 }
 
+// Progressive lockout: after `threshold` consecutive failures the key is locked for baseMs,
+// doubling with each further failure up to maxMs. Failures are forgotten after resetMs without one.
+export const loginLockoutOptions = {
+  threshold: 5,
+  baseMs: 60 * 1000, // 1 minute
+  maxMs: 60 * 60 * 1000, // 1 hour
+  resetMs: 24 * 60 * 60 * 1000, // 24 hours
+};
+
+function lockoutDuration(failures, options) {
+  if (failures < options.threshold) {
+    return 0;
+  }
+  return Math.min(options.baseMs * 2 ** (failures - options.threshold), options.maxMs);
+}
+
+// Returns { locked, retryAfter } where retryAfter is in seconds
+export async function getLockout(key) {
+  const now = Date.now();
+  const lockedUntil = await withStore(async client => Number(await client.hGet(`lockout:${key}`, 'lockedUntil')) || 0);
+  return lockedUntil > now
+    ? { locked: true, retryAfter: Math.ceil((lockedUntil - now) / 1000) }
+    : { locked: false, retryAfter: 0 };
+}
+
+// Count a failed attempt; returns { failures, lockedUntil }
+export async function recordFailure(key, options = loginLockoutOptions) {
+  const now = Date.now();
+  return withStore(async client => {
+    const failures = await client.hIncrBy(`lockout:${key}`, 'failures', 1);
+    const duration = lockoutDuration(failures, options);
+    const lockedUntil = duration ? now + duration : 0;
+    if (lockedUntil) {
+      await client.hSet(`lockout:${key}`, 'lockedUntil', String(lockedUntil));
+    }
+    await client.pExpire(`lockout:${key}`, options.resetMs);
+    return { failures, lockedUntil };
+  });
+}
+
+// A successful attempt clears the failure count
+export async function clearFailures(key) {
+  await withStore(client => client.del(`lockout:${key}`));
+}
+
 // Pre-configured rate limit options for different endpoints
 export const loginRateLimitOptions = {
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5, // 5 login attempts per 15 minutes
+  keyBy: 'ip',
   message: 'Too many login attempts, please try again later.',
 };
 
+export const twoFactorRateLimitOptions = {
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // enough to enroll, tight enough to stop guessing codes
+  keyBy: 'user',
+  message: 'Too many two-factor requests, please try again later.',
+};
+
 export const emailRateLimitOptions = {
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 10, // 10 emails per hour
+  keyBy: 'user',
   message: 'Too many email requests, please try again later.',
 };
 
 export const apiRateLimitOptions = {
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // 100 requests per 15 minutes
+  keyBy: 'user',
   message: 'Too many requests, please try again later.',
 };
 
+// The campaign progress view polls while a send is running
+export const campaignRateLimitOptions = {
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300, // a poll every few seconds plus room for other actions
+  keyBy: 'user',
+  message: 'Too many campaign requests, please try again later.',
+};
+
+// The compose form autosaves drafts as the user types
+export const draftRateLimitOptions = {
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300, // an autosave every few seconds of typing
+  keyBy: 'user',
+  message: 'Too many draft requests, please try again later.',
+};
@@ -0,0 +1,97 @@
+// Shared Redis connection for the API routes
+// The client is cached at module level so warm serverless invocations reuse it
+
+import { createClient } from 'redis';
+import logger from './logger.js';
+
+let redisClient = null;
+
+export async function getRedisClient() {
+  logger.debug('[redis] getRedisClient called');
+
+  // Check if we have an existing open connection
+  if (redisClient && redisClient.isOpen) {
+    logger.debug('[redis] Reusing existing Redis connection');
+    return redisClient;
+  }
+
+  // Validate REDIS_URL is configured
+  if (!process.env.REDIS_URL) {
+    logger.error('[redis] REDIS_URL is not configured');
+    throw new Error('REDIS_URL is not configured');
+  }
+
+  logger.debug('[redis] Creating new Redis connection');
+
+  // Create new client
+  redisClient = createClient({
+    url: process.env.REDIS_URL,
+    socket: {
+      reconnectStrategy: (retries) => {
+        if (retries > 3) {
+          logger.error('[redis] Redis reconnection failed after 3 attempts');
+          return new Error('Redis reconnection failed');
+        }
+        return Math.min(retries * 100, 3000);
+      }
+    }
+  });
+
+  // Error handling
+  redisClient.on('error', (err) => {
+    logger.error('[redis] Redis Client Error:', err);
+  });
+
+  redisClient.on('connect', () => {
+    logger.debug('[redis] Redis client connecting...');
+  });
+
+  redisClient.on('ready', () => {
+    logger.debug('[redis] Redis client ready');
+  });
+
+  // Connect if not already connected
+  if (!redisClient.isOpen) {
+    try {
+      logger.debug('[redis] Attempting to connect to Redis...');
+      await redisClient.connect();
+      logger.debug('[redis] Successfully connected to Redis');
+    } catch (connectError) {
+      logger.error('[redis] Redis connection failed:', {
+        message: connectError.message,
+        name: connectError.name
+      });
+      redisClient = null;
+      throw connectError;
+    }
+  }
+
+  return redisClient;
+}
+
+// Replace the list entry equal to value. A list that grows at the head (lPush) is indexed from its tail and any
+// other from its head, so entries pushed meanwhile don't move the one being replaced.
+// Returns true when the entry was found.
+export async function replaceListEntry(client, key, value, replacement, { growsAtHead = false } = {}) {
+  const entries = await client.lRange(key, 0, -1);
+  const index = entries.indexOf(value);
+  if (index === -1) {
+    return false;
+  }
+  await client.lSet(key, growsAtHead ? index - entries.length : index, replacement);
+  return true;
+}
+
+// Parse a list of JSON strings read from Redis, skipping entries that fail to parse
+export function parseJsonList(items, label = 'redis') {
+  return items
+    .map((item, index) => {
+      try {
+        return JSON.parse(item);
+      } catch (e) {
+        logger.error(`[${label}] Error parsing entry at index ${index}:`, e.message);
+        return null;
+      }
+    })
+    .filter(item => item !== null);
+}
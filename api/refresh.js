@@ -0,0 +1,51 @@
+// /api/refresh.js
+import { withRateLimit, apiRateLimitOptions } from './rate-limit.js';
+import { getStorageClient } from './storage.js';
+import { getUser, publicUser } from './accounts.js';
+import { refreshSession } from './session-tokens.js';
+import logger, { withRequestId } from './logger.js';
+
+// POST { refreshToken } -> { token, refreshToken, expiresIn, user }.
+// The refresh token is single-use: the response carries its replacement.
+async function refreshHandler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const jwtSecret = process.env.JWT_SECRET;
+  if (!jwtSecret) {
+    logger.error('JWT_SECRET is not configured');
+    return res.status(500).json({ error: 'Authentication system not configured.' });
+  }
+
+  const { refreshToken } = req.body || {};
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return res.status(400).json({ error: 'Refresh token is required.' });
+  }
+
+  try {
+    const client = await getStorageClient();
+    const session = await refreshSession(client, refreshToken, id => getUser(client, id), jwtSecret);
+
+    if (!session) {
+      logger.warn('[refresh] Refresh token rejected');
+      return res.status(401).json({ error: 'Session has ended. Please log in again.' });
+    }
+
+    res.status(200).json({ ...session, user: publicUser(session.user) });
+  } catch (error) {
+    logger.error('[refresh] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to refresh session.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler with rate limiting
+export default withRequestId(withRateLimit(refreshHandler, apiRateLimitOptions));
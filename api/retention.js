@@ -0,0 +1,130 @@
+// Retention windows for stored data, enforced by /api/purge-expired
+//
+// Each window is a number of days read from the environment; 0 keeps that kind of data forever.
+//   INBOUND_RETENTION_DAYS (730)  received emails, with their state, labels, replies index, thread entries and
+//                                 search index entries
+//   SENT_RETENTION_DAYS (730)     the sent log with its delivery events, and finished campaigns
+//   AUDIT_RETENTION_DAYS (365)    failed webhooks and the erasure log
+// Trash and quarantine keep their own shorter windows (TRASH_RETENTION_DAYS, QUARANTINE_RETENTION_DAYS) and are
+// purged in the same run. Contact history follows the inbound and sent windows, and contacts nobody edited are
+// forgotten once they haven't been seen for longer than both.
+//
+// A run removes at most MAX_PURGED_PER_RUN received and sent emails each and reports whether more are left,
+// so a large backlog is worked off over several runs.
+
+import { listSentEntries, removeSentRecord } from './storage.js';
+import { ensureIndexed } from './email-index.js';
+import { deleteEmailPermanently, removeSummaries, purgeExpiredTrash } from './email-state.js';
+import { removeFromThread } from './threads.js';
+import { deleteDeliveryEvents } from './delivery.js';
+import { purgeExpiredQuarantine } from './spam-filter.js';
+import { purgeDeadLetters } from './inbound-events.js';
+import { listFinishedCampaigns, deleteCampaign } from './campaigns-queue.js';
+import { purgeContactHistory } from './address-book.js';
+import { purgeErasureLog } from './personal-data.js';
+import logger from './logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PURGED_PER_RUN = 1000;
+
+function retentionDays(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') {
+    return fallback;
+  }
+  const days = Number(value);
+  if (!Number.isFinite(days) || days < 0) {
+    logger.warn(`[retention] Ignoring invalid ${name}:`, value);
+    return fallback;
+  }
+  return days;
+}
+
+// The configured windows in days, 0 meaning forever
+export function getRetentionPolicy() {
+  return {
+    inboundDays: retentionDays('INBOUND_RETENTION_DAYS', 730),
+    sentDays: retentionDays('SENT_RETENTION_DAYS', 730),
+    auditDays: retentionDays('AUDIT_RETENTION_DAYS', 365),
+  };
+}
+
+function cutoff(days, now) {
+  return days > 0 ? now - days * DAY_MS : null;
+}
+
+async function purgeInbound(client, before) {
+  await ensureIndexed(client);
+  const expired = await client.zRangeByScore('emails:by-date', '-inf', before);
+  const batch = expired.slice(0, MAX_PURGED_PER_RUN);
+  for (const id of batch) {
+    await deleteEmailPermanently(client, id, { keepSummary: true });
+  }
+  if (batch.length > 0) {
+    await removeSummaries(client, new Set(batch));
+  }
+  return { purged: batch.length, more: expired.length > batch.length };
+}
+
+// Records without a readable sentAt are kept rather than guessed at
+async function purgeSent(client, before) {
+  const expired = (await listSentEntries(client))
+    .filter(({ record }) => Date.parse(record.sentAt) < before)
+    .reverse();
+  const batch = expired.slice(0, MAX_PURGED_PER_RUN);
+  for (const { raw, record } of batch) {
+    await removeSentRecord(client, raw, record);
+    if (record.id) {
+      await deleteDeliveryEvents(client, record.id);
+    }
+    if (record.threadId) {
+      await removeFromThread(client, record.threadId, record.id);
+    }
+  }
+  return { purged: batch.length, more: expired.length > batch.length };
+}
+
+// Remove everything past its retention window. now is a time in ms.
+// Returns how many of each kind were removed, with more set when a run's limit was reached.
+export async function purgeExpiredData(client, now = Date.now()) {
+  const policy = getRetentionPolicy();
+  const inboundBefore = cutoff(policy.inboundDays, now);
+  const sentBefore = cutoff(policy.sentDays, now);
+  const auditBefore = cutoff(policy.auditDays, now);
+  const report = { policy, more: false };
+
+  if (inboundBefore !== null) {
+    const { purged, more } = await purgeInbound(client, inboundBefore);
+    report.received = purged;
+    report.more = report.more || more;
+  }
+  if (sentBefore !== null) {
+    const { purged, more } = await purgeSent(client, sentBefore);
+    report.sent = purged;
+    report.more = report.more || more;
+    report.campaigns = 0;
+    for (const campaign of await listFinishedCampaigns(client, sentBefore)) {
+      await deleteCampaign(client, campaign);
+      report.campaigns++;
+    }
+  }
+
+  const { entries, contacts } = await purgeContactHistory(client, {
+    receivedBefore: inboundBefore,
+    sentBefore,
+    forgetBefore: inboundBefore !== null && sentBefore !== null ? Math.min(inboundBefore, sentBefore) : null,
+  });
+  report.contactHistory = entries;
+  report.contacts = contacts;
+
+  if (auditBefore !== null) {
+    report.failedWebhooks = await purgeDeadLetters(client, auditBefore);
+    report.erasures = await purgeErasureLog(client, auditBefore);
+  }
+
+  report.trash = await purgeExpiredTrash(client, now);
+  report.quarantine = await purgeExpiredQuarantine(client, now);
+
+  logger.log('[retention] Purge finished:', report);
+  return report;
+}
@@ -0,0 +1,102 @@
+// /api/routing-rules.js
+import { withRateLimit, apiRateLimitOptions } from './rate-limit.js';
+import { withAuth, hasRole } from './auth.js';
+import { getStorageClient } from './storage.js';
+import {
+  MAX_ROUTING_RULES,
+  listRoutingRules,
+  getRoutingRule,
+  validateRoutingRule,
+  createRoutingRule,
+  updateRoutingRule,
+  deleteRoutingRule,
+  moveRoutingRule,
+} from './routing.js';
+import logger, { withRequestId } from './logger.js';
+
+const ROUTING_ACTIONS = ['create', 'update', 'delete', 'move'];
+
+// Rules that label, assign, forward or auto-acknowledge received mail:
+// GET lists them in the order they run.
+// POST { action: 'create', name, enabled, stop, conditions, actions } and { action: 'update', id, ... } save one,
+// POST { action: 'delete', id } removes one and POST { action: 'move', id, direction: 'up' | 'down' } reorders.
+// Everyone can see the rules; since they send mail on our behalf, only owners change them.
+async function routingRulesHandler(req, res) {
+  logger.debug('[routing-rules] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString(),
+    user: req.user?.id
+  });
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    logger.warn('[routing-rules] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const client = await getStorageClient();
+
+    if (req.method === 'GET') {
+      return res.status(200).json(await listRoutingRules(client));
+    }
+
+    if (!hasRole(req.user, ['owner'])) {
+      return res.status(403).json({ error: 'Only an owner can change routing rules.' });
+    }
+
+    const { action, id, direction } = req.body || {};
+    if (!ROUTING_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: 'Unknown action.' });
+    }
+
+    if (action === 'create') {
+      if ((await listRoutingRules(client)).length >= MAX_ROUTING_RULES) {
+        return res.status(400).json({ error: `There can be at most ${MAX_ROUTING_RULES} routing rules.` });
+      }
+      const { rule, error } = await validateRoutingRule(client, req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      return res.status(200).json(await createRoutingRule(client, rule, req.user.id));
+    }
+
+    const existing = await getRoutingRule(client, id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Rule not found.' });
+    }
+
+    if (action === 'delete') {
+      await deleteRoutingRule(client, existing.id);
+      logger.log('[routing-rules] Rule deleted:', { id: existing.id, by: req.user.id });
+      return res.status(200).json({ message: 'Rule deleted.' });
+    }
+
+    if (action === 'move') {
+      if (direction !== 'up' && direction !== 'down') {
+        return res.status(400).json({ error: "Direction must be 'up' or 'down'." });
+      }
+      return res.status(200).json(await moveRoutingRule(client, existing.id, direction));
+    }
+
+    const { rule, error } = await validateRoutingRule(client, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.status(200).json(await updateRoutingRule(client, existing, rule, req.user.id));
+
+  } catch (error) {
+    logger.error('[routing-rules] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to manage routing rules.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler with rate limiting and authentication
+export default withRequestId(withRateLimit(withAuth(routingRulesHandler), apiRateLimitOptions));
@@ -0,0 +1,372 @@
+// Routing rules for received mail, run by /api/inbound-email on every email that reaches the inbox
+//
+// Redis layout:
+//   routing-rules                hash of rule id -> JSON rule (see validateRoutingRule), ordered by position
+//   auto-reply:<address>         set while a sender is in their auto-reply cooldown
+//
+// Every enabled rule whose conditions all match is applied, in order, until one with stop set matches.
+// Conditions: recipient and sender (an address, or a domain which covers its subdomains too), subject
+// (text it contains) and keywords (any of them in the subject or message text).
+// Actions: add a label, assign to a team member, forward a copy, and send a templated auto-acknowledgement.
+// Auto-replies are never sent to automated mail (RFC 3834: Auto-Submitted, Precedence, mailing lists) or to our
+// own addresses, at most once per email, and at most once per sender every AUTO_REPLY_COOLDOWN_HOURS.
+
+import crypto from 'crypto';
+import { deliverEmail } from './mailer.js';
+import { applyEmailAction, normalizeLabel } from './email-state.js';
+import { getTemplate, renderTemplate } from './email-templates.js';
+import { getUser } from './accounts.js';
+import { findSuppressed } from './delivery.js';
+import { normalizeRuleValue } from './spam-filter.js';
+import { parseAddressList, getSenderIdentities, resolveSender, getDefaultSender } from './addresses.js';
+import { getHeader } from './message-headers.js';
+import { extractAddresses } from './threads.js';
+import { escapeHtml } from './text.js';
+import logger from './logger.js';
+
+export const MAX_ROUTING_RULES = 100;
+
+const AUTO_REPLY_COOLDOWN_HOURS = Number(process.env.AUTO_REPLY_COOLDOWN_HOURS) || 24;
+const MAX_NAME_LENGTH = 100;
+const MAX_TEXT_LENGTH = 200;
+const MAX_KEYWORDS = 20;
+
+// Senders that are machines even when their mail carries no Auto-Submitted header
+const AUTOMATED_SENDER = /^(no-?reply|do-?not-?reply|mailer-daemon|postmaster|bounces?)([+.-]|@)/i;
+
+function ownAddresses() {
+  return getSenderIdentities().map(identity => identity.address.toLowerCase());
+}
+
+// An address matches a rule value when it is that address, or is at that domain or one of its subdomains
+function addressMatches(address, value) {
+  if (value.includes('@')) {
+    return address === value;
+  }
+  const domain = address.slice(address.lastIndexOf('@') + 1);
+  return domain === value || domain.endsWith(`.${value}`);
+}
+
+function ruleMatches(rule, email) {
+  const { recipient, sender, subject, keywords } = rule.conditions;
+  if (recipient) {
+    const recipients = [...extractAddresses(email.to), ...extractAddresses(email.cc)];
+    if (!recipients.some(address => addressMatches(address, recipient))) return false;
+  }
+  if (sender) {
+    const from = extractAddresses(email.from)[0];
+    if (!from || !addressMatches(from, sender)) return false;
+  }
+  if (subject && !String(email.subject || '').toLowerCase().includes(subject.toLowerCase())) {
+    return false;
+  }
+  if (keywords.length > 0) {
+    const content = `${email.subject || ''} ${email.text || ''}`.toLowerCase();
+    if (!keywords.some(keyword => content.includes(keyword.toLowerCase()))) return false;
+  }
+  return true;
+}
+
+// Why an email must not get an auto-reply, or null when it may
+function autoReplyBlocker(email, sender) {
+  const headers = email.headers || {};
+  const autoSubmitted = String(getHeader(headers, 'Auto-Submitted') || '').trim().toLowerCase();
+  if (autoSubmitted && autoSubmitted !== 'no') {
+    return `Auto-Submitted: ${autoSubmitted}`;
+  }
+  const precedence = String(getHeader(headers, 'Precedence') || '').trim().toLowerCase();
+  if (['bulk', 'junk', 'list', 'auto_reply'].includes(precedence)) {
+    return `Precedence: ${precedence}`;
+  }
+  if (getHeader(headers, 'List-Id') || getHeader(headers, 'List-Unsubscribe')) {
+    return 'mailing list';
+  }
+  if (/\b(all|autoreply|oof)\b/i.test(String(getHeader(headers, 'X-Auto-Response-Suppress') || ''))) {
+    return 'X-Auto-Response-Suppress';
+  }
+  if (!sender) {
+    return 'no sender address';
+  }
+  if (AUTOMATED_SENDER.test(sender) || ownAddresses().includes(sender)) {
+    return 'automated or own sender';
+  }
+  return null;
+}
+
+// The identity the email was sent to, so the reply comes from the address the sender wrote to
+function replyIdentity(email) {
+  for (const address of [...extractAddresses(email.to), ...extractAddresses(email.cc)]) {
+    const identity = resolveSender(address);
+    if (identity) {
+      return identity;
+    }
+  }
+  return getDefaultSender();
+}
+
+// Variables available to auto-reply templates
+function autoReplyVariables(email, sender) {
+  const { addresses } = parseAddressList(String(email.from || ''));
+  return {
+    sender_name: addresses[0]?.name || sender,
+    sender_email: sender,
+    subject: email.subject || '',
+    received_at: email.receivedAt || '',
+  };
+}
+
+async function sendAutoReply(client, rule, email) {
+  const sender = extractAddresses(email.from)[0] || null;
+  const blocker = autoReplyBlocker(email, sender);
+  if (blocker) {
+    logger.log('[routing] Auto-reply skipped:', { id: email.id, rule: rule.id, reason: blocker });
+    return false;
+  }
+  if ((await findSuppressed(client, [sender])).length > 0) {
+    logger.log('[routing] Auto-reply skipped for suppressed sender:', { id: email.id, rule: rule.id });
+    return false;
+  }
+  const template = await getTemplate(client, rule.actions.autoReplyTemplateId);
+  if (!template) {
+    throw new Error('Auto-reply template no longer exists');
+  }
+
+  // Claim the cooldown first, so two emails arriving together don't both get a reply
+  const cooldownKey = `auto-reply:${sender}`;
+  const claimed = await client.set(cooldownKey, email.id, { NX: true, EX: Math.round(AUTO_REPLY_COOLDOWN_HOURS * 3600) });
+  if (!claimed) {
+    logger.log('[routing] Auto-reply skipped, sender in cooldown:', { id: email.id, rule: rule.id });
+    return false;
+  }
+
+  const rendered = renderTemplate(template, autoReplyVariables(email, sender));
+  const { error } = await deliverEmail(client, {
+    from: replyIdentity(email).formatted,
+    to: sender,
+    subject: rendered.subject,
+    html: rendered.html,
+    original: email,
+    headers: { 'Auto-Submitted': 'auto-replied' },
+  }, { sentBy: `Rule: ${rule.name}`, sentById: null, routingRuleId: rule.id });
+  if (error) {
+    await client.del(cooldownKey);
+    throw new Error(`Auto-reply was refused: ${error.message || 'unknown error'}`);
+  }
+  logger.log('[routing] Auto-reply sent:', { id: email.id, rule: rule.id });
+  return true;
+}
+
+async function forwardEmail(client, rule, email) {
+  const forwardTo = rule.actions.forwardTo;
+  if ((await findSuppressed(client, [forwardTo])).length > 0) {
+    logger.log('[routing] Forward skipped for suppressed address:', { id: email.id, rule: rule.id });
+    return;
+  }
+  const intro = [
+    '---------- Forwarded message ----------',
+    `From: ${email.from || ''}`,
+    `Date: ${email.receivedAt || ''}`,
+    `Subject: ${email.subject || ''}`,
+    `To: ${[].concat(email.to || []).join(', ')}`,
+  ].map(escapeHtml).join('<br>');
+  const body = email.html || `<pre>${escapeHtml(email.text || '')}</pre>`;
+
+  const { error } = await deliverEmail(client, {
+    from: replyIdentity(email).formatted,
+    to: forwardTo,
+    replyTo: email.from && email.from !== 'Unknown' ? [email.from] : [],
+    subject: `Fwd: ${email.subject || ''}`,
+    html: `<p>${intro}</p>${body}`,
+    headers: { 'Auto-Submitted': 'auto-forwarded' },
+  }, { sentBy: `Rule: ${rule.name}`, sentById: null, routingRuleId: rule.id });
+  if (error) {
+    throw new Error(`Forward was refused: ${error.message || 'unknown error'}`);
+  }
+  logger.log('[routing] Email forwarded:', { id: email.id, rule: rule.id });
+}
+
+// Apply the matching rules to a stored email. A failing action is logged and the rest still run,
+// since the email itself is already safely in the inbox. Returns the ids of the rules that matched.
+export async function applyRoutingRules(client, email) {
+  const matched = [];
+  let replied = false;
+
+  for (const rule of await listRoutingRules(client)) {
+    if (!rule.enabled || !ruleMatches(rule, email)) {
+      continue;
+    }
+    matched.push(rule.id);
+    const { label, assignee, forwardTo, autoReplyTemplateId } = rule.actions;
+
+    const steps = [
+      label && (() => applyEmailAction(client, [email.id], 'label', label)),
+      assignee && (async () => {
+        const user = await getUser(client, assignee);
+        if (!user || user.disabled) {
+          throw new Error('Assignee is no longer an active team member');
+        }
+        await applyEmailAction(client, [email.id], 'assign', user.id);
+      }),
+      forwardTo && (() => forwardEmail(client, rule, email)),
+      autoReplyTemplateId && !replied && (async () => {
+        replied = await sendAutoReply(client, rule, email);
+      }),
+    ].filter(Boolean);
+
+    for (const step of steps) {
+      try {
+        await step();
+      } catch (error) {
+        logger.error('[routing] Rule action failed:', { id: email.id, rule: rule.id, message: error.message });
+      }
+    }
+
+    if (rule.stop) {
+      break;
+    }
+  }
+
+  if (matched.length > 0) {
+    logger.log('[routing] Rules applied:', { id: email.id, rules: matched });
+  }
+  return matched;
+}
+
+// Every rule, in the order they run
+export async function listRoutingRules(client) {
+  const rules = await client.hGetAll('routing-rules');
+  return Object.values(rules || {})
+    .map(rule => JSON.parse(rule))
+    .sort((a, b) => a.position - b.position);
+}
+
+export async function getRoutingRule(client, id) {
+  if (!id || typeof id !== 'string') {
+    return null;
+  }
+  const stored = await client.hGet('routing-rules', id);
+  return stored ? JSON.parse(stored) : null;
+}
+
+function trimmedText(value, maxLength = MAX_TEXT_LENGTH) {
+  return typeof value === 'string' ? value.trim().substring(0, maxLength) : '';
+}
+
+// Validate and normalize a rule from a request:
+// { name, enabled, stop, conditions: { recipient, sender, subject, keywords }, actions: { label, assignee,
+//   forwardTo, autoReplyTemplateId } }. keywords may be a list or a comma-separated string.
+// Returns { rule } or { error }.
+export async function validateRoutingRule(client, { name, enabled, stop, conditions = {}, actions = {} } = {}) {
+  const ruleName = trimmedText(name, MAX_NAME_LENGTH);
+  if (!ruleName) {
+    return { error: 'Rule name is required.' };
+  }
+  if (typeof conditions !== 'object' || conditions === null || typeof actions !== 'object' || actions === null) {
+    return { error: 'Conditions and actions must be objects.' };
+  }
+
+  const normalized = { recipient: null, sender: null, subject: trimmedText(conditions.subject), keywords: [] };
+  for (const field of ['recipient', 'sender']) {
+    if (trimmedText(conditions[field])) {
+      normalized[field] = normalizeRuleValue(conditions[field]);
+      if (!normalized[field]) {
+        return { error: `The ${field} must be an email address or a domain.` };
+      }
+    }
+  }
+  const keywords = Array.isArray(conditions.keywords)
+    ? conditions.keywords
+    : String(conditions.keywords || '').split(',');
+  normalized.keywords = [...new Set(keywords.map(keyword => trimmedText(keyword)).filter(Boolean))];
+  if (normalized.keywords.length > MAX_KEYWORDS) {
+    return { error: `A rule can have at most ${MAX_KEYWORDS} keywords.` };
+  }
+  if (!normalized.recipient && !normalized.sender && !normalized.subject && normalized.keywords.length === 0) {
+    return { error: 'A rule needs at least one condition.' };
+  }
+
+  const ruleActions = { label: null, assignee: null, forwardTo: null, autoReplyTemplateId: null };
+  if (trimmedText(actions.label)) {
+    ruleActions.label = normalizeLabel(actions.label);
+  }
+  if (trimmedText(actions.assignee)) {
+    const user = await getUser(client, actions.assignee.trim());
+    if (!user || user.disabled) {
+      return { error: 'The assignee must be an active team member.' };
+    }
+    ruleActions.assignee = user.id;
+  }
+  if (trimmedText(actions.forwardTo)) {
+    const { addresses, error } = parseAddressList(actions.forwardTo);
+    if (error || addresses.length !== 1) {
+      return { error: 'Forward to must be a single valid email address.' };
+    }
+    // Forwarding to one of our own addresses would bring the copy straight back through these rules
+    if (ownAddresses().includes(addresses[0].address.toLowerCase())) {
+      return { error: 'Mail cannot be forwarded to one of our own addresses.' };
+    }
+    ruleActions.forwardTo = addresses[0].address;
+  }
+  if (trimmedText(actions.autoReplyTemplateId)) {
+    const template = await getTemplate(client, actions.autoReplyTemplateId.trim());
+    if (!template) {
+      return { error: 'Auto-reply template not found.' };
+    }
+    ruleActions.autoReplyTemplateId = template.id;
+  }
+  if (!Object.values(ruleActions).some(Boolean)) {
+    return { error: 'A rule needs at least one action.' };
+  }
+
+  return {
+    rule: {
+      name: ruleName,
+      enabled: enabled !== false,
+      stop: stop === true,
+      conditions: normalized,
+      actions: ruleActions,
+    },
+  };
+}
+
+export async function createRoutingRule(client, rule, userId) {
+  const rules = await listRoutingRules(client);
+  const now = new Date().toISOString();
+  const created = {
+    id: crypto.randomUUID(),
+    ...rule,
+    position: rules.length > 0 ? rules[rules.length - 1].position + 1 : 0,
+    createdAt: now,
+    createdBy: userId,
+    updatedAt: now,
+    updatedBy: userId,
+  };
+  await client.hSet('routing-rules', created.id, JSON.stringify(created));
+  logger.log('[routing] Rule created:', { id: created.id, by: userId });
+  return created;
+}
+
+export async function updateRoutingRule(client, existing, rule, userId) {
+  const updated = { ...existing, ...rule, updatedAt: new Date().toISOString(), updatedBy: userId };
+  await client.hSet('routing-rules', existing.id, JSON.stringify(updated));
+  logger.log('[routing] Rule updated:', { id: existing.id, by: userId });
+  return updated;
+}
+
+export async function deleteRoutingRule(client, id) {
+  return (await client.hDel('routing-rules', id)) > 0;
+}
+
+// Swap a rule with its neighbour; direction is 'up' (runs earlier) or 'down'. Returns the new order.
+export async function moveRoutingRule(client, id, direction) {
+  const rules = await listRoutingRules(client);
+  const index = rules.findIndex(rule => rule.id === id);
+  const other = rules[direction === 'up' ? index - 1 : index + 1];
+  if (index !== -1 && other) {
+    const rule = rules[index];
+    [rule.position, other.position] = [other.position, rule.position];
+    await client.hSet('routing-rules', rule.id, JSON.stringify(rule));
+    await client.hSet('routing-rules', other.id, JSON.stringify(other));
+  }
+  return listRoutingRules(client);
+}
@@ -0,0 +1,96 @@
+// /api/sandbox.js
+import { withRateLimit, apiRateLimitOptions } from './rate-limit.js';
+import { withAuth, hasRole } from './auth.js';
+import { getStorageClient } from './storage.js';
+import {
+  getTransportMode,
+  getAllowlist,
+  listCapturedMessages,
+  getCapturedMessage,
+  removeCapturedMessage,
+  clearCapturedMessages,
+} from './transport.js';
+import logger, { withRequestId } from './logger.js';
+
+const SANDBOX_ACTIONS = ['discard', 'clear'];
+
+// The delivery mode and the messages captured instead of delivered (see transport.js):
+// GET returns { mode, allowlist, messages } with the newest 100 messages, without bodies; mode is null when
+// MAIL_TRANSPORT is invalid. GET ?id= returns one captured message with its rendered html and text.
+// POST { action: 'discard', id } removes one message and POST { action: 'clear' } empties the outbox;
+// both are for owners and senders.
+async function sandboxHandler(req, res) {
+  logger.debug('[sandbox] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString(),
+    user: req.user?.id
+  });
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    logger.warn('[sandbox] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const client = await getStorageClient();
+
+    if (req.method === 'GET') {
+      const { id } = req.query || {};
+      if (id) {
+        const message = await getCapturedMessage(client, String(id));
+        return message
+          ? res.status(200).json(message)
+          : res.status(404).json({ error: 'Captured message not found.' });
+      }
+
+      let mode = null;
+      try {
+        mode = getTransportMode();
+      } catch (error) {
+        logger.error('[sandbox] Invalid transport:', error.message);
+      }
+      return res.status(200).json({
+        mode,
+        allowlist: mode === 'allowlist' ? getAllowlist() : [],
+        messages: await listCapturedMessages(client),
+      });
+    }
+
+    const { action, id } = req.body || {};
+    if (!SANDBOX_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: 'Unknown action.' });
+    }
+    if (!hasRole(req.user, ['owner', 'sender'])) {
+      return res.status(403).json({ error: 'You do not have permission to do this.' });
+    }
+
+    if (action === 'clear') {
+      const removed = await clearCapturedMessages(client);
+      logger.log('[sandbox] Outbox cleared:', { removed, by: req.user.id });
+      return res.status(200).json({ removed });
+    }
+
+    const message = await getCapturedMessage(client, id);
+    if (!message) {
+      return res.status(404).json({ error: 'Captured message not found.' });
+    }
+    await removeCapturedMessage(client, message.id);
+    logger.log('[sandbox] Message discarded:', { id: message.id, by: req.user.id });
+    res.status(200).json({ message: 'Message discarded.' });
+
+  } catch (error) {
+    logger.error('[sandbox] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to load the sandbox outbox.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler with rate limiting and authentication
+export default withRequestId(withRateLimit(withAuth(sandboxHandler), apiRateLimitOptions));
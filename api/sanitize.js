@@ -0,0 +1,142 @@
+// HTML sanitization for email bodies
+// Received mail is untrusted, so anything rendered in the admin UI goes through here first.
+// Outgoing mail is cleaned here too, and gets its CSS inlined and a plain-text version for the text/plain part.
+
+import sanitizeHtml from 'sanitize-html';
+import juice from 'juice';
+import { convert } from 'html-to-text';
+
+// Tags and attributes commonly used in email layouts; scripts, forms and embeds are dropped
+const EMAIL_ALLOWED_TAGS = [
+  'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'center', 'code', 'col', 'colgroup',
+  'div', 'em', 'font', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'li', 'ol',
+  'p', 'pre', 's', 'small', 'span', 'strike', 'strong', 'sub', 'sup', 'table', 'tbody',
+  'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+];
+
+const EMAIL_ALLOWED_ATTRIBUTES = {
+  '*': ['style', 'align', 'valign', 'width', 'height', 'bgcolor', 'dir', 'title'],
+  a: ['href', 'name', 'target', 'rel'],
+  img: ['src', 'alt', 'border'],
+  font: ['color', 'face', 'size'],
+  table: ['border', 'cellpadding', 'cellspacing'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan']
+};
+
+// Sanitize an inbound email's HTML body for display in the admin reader pane
+export function sanitizeEmailHtml(html) {
+  if (!html || typeof html !== 'string') {
+    return '';
+  }
+
+  return sanitizeHtml(html, {
+    allowedTags: EMAIL_ALLOWED_TAGS,
+    allowedAttributes: EMAIL_ALLOWED_ATTRIBUTES,
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: { img: ['http', 'https', 'cid', 'data'] },
+    allowProtocolRelative: false,
+    // Open every link in a new tab without leaking the admin page as the opener
+    transformTags: {
+      a: sanitizeHtml.simpleTransform('a', { target: '_blank', rel: 'noopener noreferrer' })
+    }
+  });
+}
+
+// CSS properties mail clients understand; values that can run code in old clients are dropped
+const EMAIL_ALLOWED_STYLE_PROPERTIES = [
+  'background', 'background-color', 'border', 'border-bottom', 'border-collapse', 'border-color', 'border-left',
+  'border-radius', 'border-right', 'border-spacing', 'border-style', 'border-top', 'border-width', 'color',
+  'direction', 'display', 'font', 'font-family', 'font-size', 'font-style', 'font-weight', 'height',
+  'letter-spacing', 'line-height', 'list-style-type', 'margin', 'margin-bottom', 'margin-left', 'margin-right',
+  'margin-top', 'max-width', 'min-width', 'padding', 'padding-bottom', 'padding-left', 'padding-right',
+  'padding-top', 'table-layout', 'text-align', 'text-decoration', 'text-indent', 'text-transform',
+  'vertical-align', 'white-space', 'width', 'word-break'
+];
+const SAFE_STYLE_VALUE = /^(?!.*(expression|javascript:|behavior|-moz-binding)).*$/i;
+
+// The composer's formatting is class-based, and mail clients drop classes, so these are inlined as well
+const QUILL_CSS = `
+  .ql-align-center { text-align: center; }
+  .ql-align-right { text-align: right; }
+  .ql-align-justify { text-align: justify; }
+  ${[1, 2, 3, 4, 5, 6, 7, 8].map(level => `.ql-indent-${level} { padding-left: ${level * 3}em; }`).join('\n  ')}
+  blockquote { border-left: 4px solid #ccc; margin: 5px 0; padding-left: 16px; }
+`;
+
+// Make links work from an inbox: 'www.example.org' or 'example.org/page' get https://, bare addresses
+// become mailto: and links relative to the admin page are dropped since they lead nowhere from an email
+export function normalizeLink(href) {
+  const value = String(href || '').trim();
+  if (!value) {
+    return '';
+  }
+  if (value.startsWith('//')) {
+    return `https:${value}`;
+  }
+  if (/^[a-z][a-z0-9+.-]*:/i.test(value)) {
+    return value;
+  }
+  if (/^[^\s@/]+@[^\s@/]+\.[a-z]{2,}$/i.test(value)) {
+    return `mailto:${value}`;
+  }
+  if (/^([a-z0-9-]+\.)+[a-z]{2,}(:\d+)?([/?#]|$)/i.test(value)) {
+    return `https://${value}`;
+  }
+  return '';
+}
+
+// Turn composed HTML into what is actually sent: CSS from <style> blocks and editor classes inlined,
+// then cleaned against the email allowlist. Returns { html, text } where text is the plain-text version.
+export function prepareOutgoingHtml(html) {
+  if (!html || typeof html !== 'string') {
+    return { html: '', text: '' };
+  }
+
+  const inlined = juice(html, { extraCss: QUILL_CSS, removeStyleTags: true, preserveMediaQueries: false });
+  const cleaned = sanitizeHtml(inlined, {
+    allowedTags: EMAIL_ALLOWED_TAGS,
+    allowedAttributes: EMAIL_ALLOWED_ATTRIBUTES,
+    allowedStyles: {
+      '*': Object.fromEntries(EMAIL_ALLOWED_STYLE_PROPERTIES.map(property => [property, [SAFE_STYLE_VALUE]]))
+    },
+    allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+    allowedSchemesByTag: { img: ['http', 'https', 'cid', 'data'] },
+    allowProtocolRelative: false,
+    transformTags: {
+      a: (tagName, attribs) => {
+        const href = normalizeLink(attribs.href);
+        const { href: _href, ...rest } = attribs;
+        return { tagName, attribs: href ? { ...rest, href } : rest };
+      }
+    }
+  });
+
+  return { html: cleaned, text: htmlToPlainText(cleaned) };
+}
+
+// Plain-text rendering of an email body: links keep their address, images are left out
+export function htmlToPlainText(html) {
+  if (!html || typeof html !== 'string') {
+    return '';
+  }
+  return convert(html, {
+    wordwrap: 78,
+    selectors: [
+      { selector: 'a', options: { hideLinkHrefIfSameAsText: true } },
+      { selector: 'img', format: 'skip' },
+      { selector: 'h1', options: { uppercase: false } },
+      { selector: 'h2', options: { uppercase: false } },
+      { selector: 'h3', options: { uppercase: false } },
+      { selector: 'table', format: 'dataTable' }
+    ]
+  }).trim();
+}
+
+// Whether a body has anything a reader would see: some text, or at least an image
+export function hasVisibleContent(html) {
+  if (!html || typeof html !== 'string') {
+    return false;
+  }
+  return htmlToPlainText(html).length > 0 || /<img\b[^>]*\ssrc=/i.test(html);
+}
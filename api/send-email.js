@@ -1,43 +1,9 @@
-import { Resend } from 'resend';
 import { withRateLimit, emailRateLimitOptions } from './rate-limit.js';
-import logger from './logger.js';
-
-const resend = new Resend(process.env.RESEND_API_KEY);
-
-// Helper function to check if HTML content is effectively empty
-function isEmptyHTML(html) {
-  if (!html || typeof html !== 'string') {
-    return true;
-  }
-  
-  // Remove whitespace and check for empty or minimal content
-  const trimmed = html.trim();
-  
-  // Check for empty string
-  if (!trimmed) {
-    return true;
-  }
-  
-  // Check for common empty HTML patterns
-  const emptyPatterns = [
-    /^<p>\s*<\/p>$/i,
-    /^<p><br\s*\/?><\/p>$/i,
-    /^<p>\s*<br\s*\/?>\s*<\/p>$/i,
-    /^<p>&nbsp;<\/p>$/i,
-    /^<p>\s*&nbsp;\s*<\/p>$/i,
-  ];
-  
-  return emptyPatterns.some(pattern => pattern.test(trimmed));
-}
-
-// Helper function to validate email address
-function isValidEmail(email) {
-  if (!email || typeof email !== 'string') {
-    return false;
-  }
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email.trim());
-}
+import { withAuth } from './auth.js';
+import { getStorageClient } from './storage.js';
+import { prepareEmail, deliverEmail } from './mailer.js';
+import { isTransportConfigured } from './transport.js';
+import logger, { withRequestId } from './logger.js';
 
 async function sendEmailHandler(req, res) {
   // Only allow POST requests
@@ -46,50 +12,37 @@ async function sendEmailHandler(req, res) {
   }
 
   try {
-    // Validate API key is configured
-    if (!process.env.RESEND_API_KEY) {
-      logger.error('RESEND_API_KEY is not configured');
+    // Validate the transport is configured; only live and allowlist modes need an API key
+    if (!isTransportConfigured()) {
+      logger.error('Email transport is not configured (MAIL_TRANSPORT, RESEND_API_KEY)');
       return res.status(500).json({ error: { message: 'Email service is not configured. Please contact the administrator.' } });
     }
 
-    // Destructure and validate required fields
-    const { to, subject, html } = req.body;
-
-    // Validate 'to' field
-    if (!to || typeof to !== 'string') {
-      return res.status(400).json({ error: { message: 'Recipient email address is required.' } });
+    // Validate the request, fill in a template and check the suppression list
+    const client = await getStorageClient();
+    const prepared = await prepareEmail(client, req.body, req.user);
+    if (prepared.error) {
+      const { status, ...error } = prepared.error;
+      return res.status(status).json({ error });
     }
-
-    if (!isValidEmail(to)) {
-      return res.status(400).json({ error: { message: 'Invalid email address format.' } });
-    }
-
-    // Validate 'subject' field
-    if (!subject || typeof subject !== 'string' || !subject.trim()) {
-      return res.status(400).json({ error: { message: 'Email subject is required.' } });
-    }
-
-    // Validate 'html' field
-    if (isEmptyHTML(html)) {
-      return res.status(400).json({ error: { message: 'Email body cannot be empty.' } });
+    if (prepared.details.suppressionOverride.length > 0) {
+      logger.warn('[send-email] Suppression list overridden by', req.user.id, prepared.details.suppressionOverride);
     }
 
-    // Sanitize subject (basic XSS prevention)
-    const sanitizedSubject = subject.trim().substring(0, 200);
-
-    // Send email via Resend
-    const { data, error } = await resend.emails.send({
-      from: 'The Warmthly Desk <desk@warmthly.org>',
-      to: [to.trim()],
-      subject: sanitizedSubject,
-      html: html,
-    });
+    const { data, error, record } = await deliverEmail(client, prepared.message, prepared.details);
 
     if (error) {
       logger.error('Resend API error:', error);
       return res.status(400).json({ error: { message: error.message || 'Failed to send email. Please try again.' } });
     }
 
+    // Outside live mode the sender is told what was held back, so a test send isn't mistaken for a real one
+    if (record.transport === 'sandbox') {
+      return res.status(200).json({ message: 'Sandbox mode: the email was captured in the outbox and not delivered.', data });
+    }
+    if (record.transport === 'allowlist') {
+      return res.status(200).json({ message: `Allowlist mode: not delivered to ${record.withheld.join(', ')}.`, data });
+    }
     return res.status(200).json({ message: 'Email sent successfully!', data });
   } catch (error) {
     logger.error('Unexpected error in send-email handler:', error);
@@ -97,5 +50,5 @@ async function sendEmailHandler(req, res) {
   }
 }
 
-// Export handler with rate limiting
-export default withRateLimit(sendEmailHandler, emailRateLimitOptions);
+// Export handler with rate limiting and authentication; viewers can read mail but not send it
+export default withRequestId(withRateLimit(withAuth(sendEmailHandler, { roles: ['owner', 'sender'] }), emailRateLimitOptions));
@@ -0,0 +1,73 @@
+// /api/sender-rules.js
+import { withRateLimit, apiRateLimitOptions } from './rate-limit.js';
+import { withAuth, hasRole } from './auth.js';
+import { getStorageClient } from './storage.js';
+import { SENDER_LISTS, listSenderRules, setSenderRule, removeSenderRule } from './spam-filter.js';
+import logger, { withRequestId } from './logger.js';
+
+// Allow and block lists for received mail, by address or domain:
+// GET lists the rules, POST { value, list: 'allow' | 'block', note? } adds or replaces one,
+// DELETE ?value= removes one
+async function senderRulesHandler(req, res) {
+  logger.debug('[sender-rules] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString(),
+    user: req.user?.id
+  });
+
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    logger.warn('[sender-rules] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const client = await getStorageClient();
+
+    if (req.method === 'GET') {
+      return res.status(200).json(await listSenderRules(client));
+    }
+
+    // Like the suppression list, anyone can see the rules but only owners decide who gets through
+    if (!hasRole(req.user, ['owner'])) {
+      return res.status(403).json({ error: 'Only an owner can change the sender lists.' });
+    }
+
+    if (req.method === 'POST') {
+      const { value, list, note } = req.body || {};
+      if (!SENDER_LISTS.includes(list)) {
+        return res.status(400).json({ error: "List must be 'allow' or 'block'." });
+      }
+      const rule = await setSenderRule(client, value, list, { note, addedBy: req.user.id });
+      if (!rule) {
+        return res.status(400).json({ error: 'A valid email address or domain is required.' });
+      }
+      logger.log('[sender-rules] Rule set by', req.user.id);
+      return res.status(200).json(rule);
+    }
+
+    const { value } = req.query || {};
+    if (!value || typeof value !== 'string') {
+      return res.status(400).json({ error: 'Address or domain is required.' });
+    }
+    if (!(await removeSenderRule(client, value))) {
+      return res.status(404).json({ error: 'There is no rule for that sender.' });
+    }
+    logger.log('[sender-rules] Rule removed by', req.user.id);
+    res.status(200).json({ message: 'Rule removed.' });
+
+  } catch (error) {
+    logger.error('[sender-rules] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to update sender rules.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler with rate limiting and authentication
+export default withRequestId(withRateLimit(withAuth(senderRulesHandler), apiRateLimitOptions));
@@ -0,0 +1,39 @@
+// /api/senders.js
+import { withRateLimit, apiRateLimitOptions } from './rate-limit.js';
+import { withAuth } from './auth.js';
+import { getSenderIdentities } from './addresses.js';
+import logger, { withRequestId } from './logger.js';
+
+// The addresses mail can be sent from, for the composer's From dropdown; the default one comes first.
+// They are set with SENDER_IDENTITIES, and /api/send-email refuses anything else.
+async function sendersHandler(req, res) {
+  logger.debug('[senders] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString(),
+    user: req.user?.id
+  });
+
+  if (req.method !== 'GET') {
+    logger.warn('[senders] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    res.status(200).json(getSenderIdentities());
+
+  } catch (error) {
+    logger.error('[senders] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to load sender addresses.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler with rate limiting and authentication
+export default withRequestId(withRateLimit(withAuth(sendersHandler), apiRateLimitOptions));
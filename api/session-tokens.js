@@ -0,0 +1,215 @@
+// Login sessions: short-lived access JWTs plus rotating refresh tokens stored in Redis
+//
+// Redis layout:
+//   session:<id>             hash with id, userId, refreshHash, previousRefreshHash, accessJti, accessExpiresAt,
+//                            createdAt, lastUsedAt, userAgent, ip (expires after SESSION_IDLE_SECONDS without a refresh)
+//   user:<id>:sessions       set of session ids for one user
+//   sessions                 sorted set of every session id scored by creation time (ms)
+//   denylist:<jti>           present while a revoked access token would otherwise still be valid
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import logger from './logger.js';
+
+const ACCESS_TOKEN_SECONDS = 15 * 60; // 15 minutes
+// A session stays alive while it keeps refreshing, but never longer than SESSION_MAX_AGE_MS
+const SESSION_IDLE_SECONDS = 8 * 60 * 60; // 8 hours
+const SESSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Refresh tokens are "<sessionId>.<secret>"; only a hash of the secret is stored
+function newRefreshSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') {
+    return null;
+  }
+  const [sessionId, secret] = refreshToken.split('.');
+  return sessionId && secret ? { sessionId, secret } : null;
+}
+
+function signAccessToken(user, sessionId, jwtSecret) {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(
+    { sub: user.id, role: user.role, sid: sessionId }, // Payload
+    jwtSecret, // Secret key for signing
+    { expiresIn: ACCESS_TOKEN_SECONDS, jwtid: jti }
+  );
+  return { token, jti, expiresAt: Date.now() + ACCESS_TOKEN_SECONDS * 1000 };
+}
+
+function clientMeta(req) {
+  return {
+    userAgent: String(req.headers?.['user-agent'] || '').substring(0, 200),
+    ip: req.headers?.['x-forwarded-for']?.split(',')[0]?.trim() || req.headers?.['x-real-ip'] || '',
+  };
+}
+
+// Keep an access token unusable until it would have expired anyway
+export async function denylistToken(client, jti, expiresAt) {
+  const seconds = Math.ceil((Number(expiresAt) - Date.now()) / 1000);
+  if (!jti || !(seconds > 0)) {
+    return;
+  }
+  await client.set(`denylist:${jti}`, '1', { EX: seconds });
+}
+
+export async function isTokenDenied(client, jti) {
+  return Boolean(jti) && (await client.exists(`denylist:${jti}`)) === 1;
+}
+
+export async function sessionExists(client, sessionId) {
+  return Boolean(sessionId) && (await client.exists(`session:${sessionId}`)) === 1;
+}
+
+// Start a session for a user who just logged in.
+// Returns { token, refreshToken, expiresIn } for the login response.
+export async function createSession(client, user, req, jwtSecret) {
+  const sessionId = crypto.randomUUID();
+  const secret = newRefreshSecret();
+  const access = signAccessToken(user, sessionId, jwtSecret);
+  const now = new Date().toISOString();
+
+  await client.hSet(`session:${sessionId}`, {
+    id: sessionId,
+    userId: user.id,
+    refreshHash: hashSecret(secret),
+    previousRefreshHash: '',
+    accessJti: access.jti,
+    accessExpiresAt: String(access.expiresAt),
+    createdAt: now,
+    lastUsedAt: now,
+    ...clientMeta(req),
+  });
+  await client.expire(`session:${sessionId}`, SESSION_IDLE_SECONDS);
+  await client.sAdd(`user:${user.id}:sessions`, sessionId);
+  await client.zAdd('sessions', { score: Date.now(), value: sessionId });
+
+  logger.log('[session-tokens] Session created:', { sessionId, userId: user.id });
+  return { token: access.token, refreshToken: `${sessionId}.${secret}`, expiresIn: ACCESS_TOKEN_SECONDS };
+}
+
+// Exchange a refresh token for a new access token and a new refresh token.
+// loadUser(id) returns the current account so role changes and disabled accounts apply on refresh.
+// Returns { token, refreshToken, expiresIn, user } or null when the refresh token is no good.
+export async function refreshSession(client, refreshToken, loadUser, jwtSecret) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return null;
+  }
+
+  const session = await client.hGetAll(`session:${parsed.sessionId}`);
+  if (!session || !session.id) {
+    return null;
+  }
+
+  const presented = hashSecret(parsed.secret);
+  if (presented !== session.refreshHash) {
+    // An already-rotated token coming back means it was copied; end the session for everyone holding it
+    if (presented === session.previousRefreshHash) {
+      logger.warn('[session-tokens] Refresh token reuse detected, revoking session:', session.id);
+      await revokeSession(client, session.id);
+    }
+    return null;
+  }
+
+  if (Date.now() - Date.parse(session.createdAt) > SESSION_MAX_AGE_MS) {
+    await revokeSession(client, session.id);
+    return null;
+  }
+
+  const user = await loadUser(session.userId);
+  if (!user || user.disabled) {
+    await revokeSession(client, session.id);
+    return null;
+  }
+
+  const secret = newRefreshSecret();
+  const access = signAccessToken(user, session.id, jwtSecret);
+  await client.hSet(`session:${session.id}`, {
+    refreshHash: hashSecret(secret),
+    previousRefreshHash: session.refreshHash,
+    accessJti: access.jti,
+    accessExpiresAt: String(access.expiresAt),
+    lastUsedAt: new Date().toISOString(),
+  });
+  await client.expire(`session:${session.id}`, SESSION_IDLE_SECONDS);
+
+  return { token: access.token, refreshToken: `${session.id}.${secret}`, expiresIn: ACCESS_TOKEN_SECONDS, user };
+}
+
+// Returns the session's user id when a session was removed
+export async function revokeSession(client, sessionId) {
+  const session = await client.hGetAll(`session:${sessionId}`);
+  await client.zRem('sessions', sessionId);
+  if (!session || !session.id) {
+    return null;
+  }
+  await denylistToken(client, session.accessJti, session.accessExpiresAt);
+  await client.del(`session:${sessionId}`);
+  await client.sRem(`user:${session.userId}:sessions`, sessionId);
+  logger.log('[session-tokens] Session revoked:', sessionId);
+  return session.userId;
+}
+
+// Used when an account is disabled or its password is reset
+export async function revokeUserSessions(client, userId) {
+  const sessionIds = await client.sMembers(`user:${userId}:sessions`);
+  for (const sessionId of sessionIds) {
+    await revokeSession(client, sessionId);
+  }
+  await client.del(`user:${userId}:sessions`);
+  return sessionIds.length;
+}
+
+// The session id for a current refresh token, or null; used to find the session to end on logout
+export async function findRefreshSession(client, refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return null;
+  }
+  const session = await client.hGetAll(`session:${parsed.sessionId}`);
+  return session && session.id && session.refreshHash === hashSecret(parsed.secret) ? session.id : null;
+}
+
+function publicSession(session) {
+  return {
+    id: session.id,
+    userId: session.userId,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    userAgent: session.userAgent || '',
+    ip: session.ip || '',
+  };
+}
+
+// Active sessions, newest first; pass userId to limit the list to one account
+export async function listSessions(client, { userId } = {}) {
+  const ids = userId
+    ? await client.sMembers(`user:${userId}:sessions`)
+    : await client.zRange('sessions', 0, -1, { REV: true });
+
+  const sessions = [];
+  for (const id of ids) {
+    const session = await client.hGetAll(`session:${id}`);
+    if (session && session.id) {
+      sessions.push(publicSession(session));
+    } else {
+      // The hash expired on its own; drop the stale index entries
+      await client.zRem('sessions', id);
+      if (userId) {
+        await client.sRem(`user:${userId}:sessions`, id);
+      }
+    }
+  }
+  return sessions.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+export async function getSessionOwner(client, sessionId) {
+  return (await client.hGet(`session:${sessionId}`, 'userId')) || null;
+}
@@ -0,0 +1,76 @@
+// /api/sessions.js
+import { withRateLimit, apiRateLimitOptions } from './rate-limit.js';
+import { withAuth, hasRole } from './auth.js';
+import { getStorageClient } from './storage.js';
+import { listUsers } from './accounts.js';
+import { listSessions, revokeSession, getSessionOwner } from './session-tokens.js';
+import logger, { withRequestId } from './logger.js';
+
+// Active login sessions:
+// GET lists the signed-in user's sessions; owners can pass ?scope=all to see everyone's.
+// DELETE ?id= terminates a session. Users can end their own; owners can end anyone's.
+async function sessionsHandler(req, res) {
+  logger.debug('[sessions] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString(),
+    user: req.user?.id
+  });
+
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    logger.warn('[sessions] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const isOwner = hasRole(req.user, ['owner']);
+
+  try {
+    const client = await getStorageClient();
+
+    if (req.method === 'GET') {
+      const all = req.query?.scope === 'all';
+      if (all && !isOwner) {
+        return res.status(403).json({ error: 'Only an owner can see every session.' });
+      }
+
+      const sessions = await listSessions(client, all ? {} : { userId: req.user.id });
+      const emails = new Map((await listUsers(client)).map(user => [user.id, user.email]));
+      return res.status(200).json(sessions.map(session => ({
+        ...session,
+        email: emails.get(session.userId) || null,
+        current: session.id === req.user.sessionId,
+      })));
+    }
+
+    const { id } = req.query || {};
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({ error: 'Session id is required.' });
+    }
+
+    const ownerId = await getSessionOwner(client, id);
+    if (!ownerId) {
+      return res.status(404).json({ error: 'Session not found.' });
+    }
+    if (ownerId !== req.user.id && !isOwner) {
+      return res.status(403).json({ error: 'You can only end your own sessions.' });
+    }
+
+    await revokeSession(client, id);
+    logger.log('[sessions] Session terminated:', { id, by: req.user.id });
+    res.status(200).json({ message: 'Session ended.' });
+
+  } catch (error) {
+    logger.error('[sessions] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to manage sessions.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler with rate limiting and authentication
+export default withRequestId(withRateLimit(withAuth(sessionsHandler), apiRateLimitOptions));
@@ -0,0 +1,244 @@
+// Spam and abuse filtering for received mail, run by /api/inbound-email before anything is stored
+//
+// Redis layout:
+//   sender-rules           hash of lowercase address or domain -> JSON { value, list, note, addedBy, at }
+//   quarantine             sorted set of quarantined email ids by when they arrived (ms)
+//   quarantine:<id>        JSON of the full email as it would have been stored, plus its verdict
+//
+// Each email gets a verdict: 'block' when the sender is on the block list (the email is dropped),
+// 'deliver' when it is on the allow list or scores below SPAM_THRESHOLD, and 'quarantine' otherwise.
+// A rule is either an address (jane@example.org) or a domain (example.org), which covers its subdomains too.
+// Allow rules are ignored when SPF, DKIM or DMARC failed, since the sender may be forged.
+
+import { getHeader } from './message-headers.js';
+import { extractAddresses } from './threads.js';
+import logger from './logger.js';
+
+export const SENDER_LISTS = ['allow', 'block'];
+
+const SPAM_THRESHOLD = Number(process.env.SPAM_THRESHOLD) || 5;
+const QUARANTINE_RETENTION_DAYS = parseInt(process.env.QUARANTINE_RETENTION_DAYS, 10) || 30;
+const MAX_NOTE_LENGTH = 200;
+
+// Phrases that rarely show up in real donor or volunteer mail; SPAM_KEYWORDS adds more, comma-separated.
+// Words like 'inheritance' and 'beneficiary' are left out: donors use them when writing about legacy gifts.
+const SPAM_KEYWORDS = [
+  'viagra', 'cialis', 'casino', 'lottery', 'you have won', 'claim your prize', 'wire transfer',
+  'bitcoin investment', 'crypto giveaway', 'double your', 'risk-free', 'act now', 'limited time offer',
+  'next of kin', 'seo services', 'backlinks', 'guest post',
+  'verify your account', 'account suspended', 'password expires',
+  ...(process.env.SPAM_KEYWORDS || '').split(',').map(keyword => keyword.trim().toLowerCase()).filter(Boolean)
+];
+
+// Keywords match as whole words or phrases, so 'cialis' doesn't flag a specialist or 'act now' a contact now;
+// the spaces in a phrase match any run of whitespace, such as a line break in the text version
+const SPAM_KEYWORD_PATTERNS = SPAM_KEYWORDS.map(keyword => ({
+  keyword,
+  pattern: new RegExp(
+    `(?<![\\p{L}\\p{N}_])${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{N}_])`,
+    'u'
+  ),
+}));
+
+// Top-level domains mostly seen on throwaway spam domains
+const SUSPICIOUS_TLDS = ['click', 'gq', 'icu', 'loan', 'ml', 'rest', 'tk', 'top', 'work', 'xyz', 'zip'];
+
+const MAX_KEYWORD_POINTS = 4;
+const MAX_LINKS = 15;
+
+function domainOf(address) {
+  const at = address.lastIndexOf('@');
+  return at === -1 ? '' : address.slice(at + 1).toLowerCase();
+}
+
+// 'jane@example.org', 'example.org' and '@example.org' are all accepted; returns the stored form or null
+export function normalizeRuleValue(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+  const trimmed = value.trim().toLowerCase().replace(/^@/, '');
+  if (/^[^\s@<>]+@([a-z0-9-]+\.)+[a-z]{2,}$/.test(trimmed) || /^([a-z0-9-]+\.)+[a-z]{2,}$/.test(trimmed)) {
+    return trimmed;
+  }
+  return null;
+}
+
+export async function listSenderRules(client) {
+  const rules = await client.hGetAll('sender-rules');
+  return Object.values(rules || {})
+    .map(rule => JSON.parse(rule))
+    .sort((a, b) => a.list.localeCompare(b.list) || a.value.localeCompare(b.value));
+}
+
+// Add or replace the rule for an address or domain. Returns the rule, or null when the value is invalid.
+export async function setSenderRule(client, value, list, { note = '', addedBy = null } = {}) {
+  const normalized = normalizeRuleValue(value);
+  if (!normalized || !SENDER_LISTS.includes(list)) {
+    return null;
+  }
+  const rule = {
+    value: normalized,
+    list,
+    note: String(note || '').trim().substring(0, MAX_NOTE_LENGTH),
+    addedBy,
+    at: new Date().toISOString(),
+  };
+  await client.hSet('sender-rules', normalized, JSON.stringify(rule));
+  logger.log('[spam-filter] Sender rule set:', { value: normalized, list });
+  return rule;
+}
+
+export async function removeSenderRule(client, value) {
+  const normalized = normalizeRuleValue(value);
+  return normalized ? (await client.hDel('sender-rules', normalized)) > 0 : false;
+}
+
+// The rule that applies to an address: its own, else the closest domain rule
+async function findSenderRule(client, address) {
+  const domain = domainOf(address);
+  const candidates = [address];
+  const labels = domain.split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    candidates.push(labels.slice(i).join('.'));
+  }
+  const rules = await client.hmGet('sender-rules', candidates);
+  const match = rules.find(Boolean);
+  return match ? JSON.parse(match) : null;
+}
+
+// SPF, DKIM and DMARC results as reported by the receiving server, e.g. { spf: 'pass', dkim: 'fail' }
+export function authenticationResults(headers) {
+  const results = {};
+  const text = [getHeader(headers, 'Authentication-Results'), getHeader(headers, 'ARC-Authentication-Results')]
+    .filter(Boolean)
+    .join('; ')
+    .toLowerCase();
+  for (const method of ['spf', 'dkim', 'dmarc']) {
+    const match = text.match(new RegExp(`\\b${method}=([a-z]+)`));
+    if (match) {
+      results[method] = match[1];
+    }
+  }
+  const receivedSpf = getHeader(headers, 'Received-SPF');
+  if (!results.spf && receivedSpf) {
+    results.spf = String(receivedSpf).trim().split(/\s/)[0].toLowerCase();
+  }
+  return results;
+}
+
+// Points for everything suspicious about an email, as { score, reasons }
+function scoreEmail(email, auth) {
+  const reasons = [];
+  let score = 0;
+  const add = (points, reason) => {
+    score += points;
+    reasons.push(reason);
+  };
+  const headers = email.headers || {};
+
+  if (auth.spf === 'fail') add(3, 'SPF check failed');
+  else if (auth.spf === 'softfail') add(1, 'SPF check soft-failed');
+  if (auth.dkim === 'fail') add(3, 'DKIM signature failed');
+  if (auth.dmarc === 'fail') add(4, 'DMARC check failed');
+
+  if (/^yes/i.test(String(getHeader(headers, 'X-Spam-Flag') || getHeader(headers, 'X-Spam-Status') || ''))) {
+    add(5, 'Marked as spam by the receiving server');
+  }
+  if (!getHeader(headers, 'Message-ID')) add(1, 'No Message-ID header');
+  if (!getHeader(headers, 'Date') && Object.keys(headers).length > 0) add(1, 'No Date header');
+
+  const fromText = String(email.from || '');
+  const fromAddress = extractAddresses(fromText)[0] || '';
+  const fromDomain = domainOf(fromAddress);
+  // A display name holding a different address ("support@bank.com" <x@elsewhere.top>) is a spoofing trick
+  const nameAddress = (fromText.replace(/<[^<>]*>\s*$/, '').match(/[^\s"<>@]+@[^\s"<>@]+\.[a-z]{2,}/i) || [])[0];
+  if (nameAddress && nameAddress.toLowerCase() !== fromAddress) add(3, 'Sender name contains a different address');
+  if (SUSPICIOUS_TLDS.includes(fromDomain.split('.').pop())) add(1.5, `Sender domain ends in .${fromDomain.split('.').pop()}`);
+
+  const replyTo = extractAddresses(email.replyTo)[0];
+  if (replyTo && fromDomain && domainOf(replyTo) !== fromDomain) add(1, 'Replies go to a different domain');
+
+  const subject = String(email.subject || '');
+  const letters = subject.replace(/[^a-z]/gi, '');
+  if (letters.length > 10 && letters === letters.toUpperCase()) add(1, 'Subject is in capitals');
+  if (/!{3,}|\${2,}/.test(subject)) add(1, 'Subject has !!! or $$');
+
+  const content = `${subject} ${email.text || ''} ${email.html || ''}`.toLowerCase();
+  const keywords = SPAM_KEYWORD_PATTERNS.filter(({ pattern }) => pattern.test(content)).map(({ keyword }) => keyword);
+  if (keywords.length > 0) {
+    add(Math.min(keywords.length * 1.5, MAX_KEYWORD_POINTS), `Spam phrases: ${keywords.slice(0, 5).join(', ')}`);
+  }
+  if ((content.match(/https?:\/\//g) || []).length > MAX_LINKS) add(1, 'Lots of links');
+  if (email.html && !String(email.text || '').trim()) add(0.5, 'HTML without a text version');
+
+  return { score, reasons };
+}
+
+// Decide what happens to a received email (the record /api/inbound-email would store).
+// Returns { action: 'deliver' | 'quarantine' | 'block', score, reasons, auth }.
+export async function evaluateEmail(client, email) {
+  const auth = authenticationResults(email.headers);
+  const sender = extractAddresses(email.from)[0] || '';
+  const authFailed = auth.spf === 'fail' || auth.dkim === 'fail' || auth.dmarc === 'fail';
+
+  const rule = sender ? await findSenderRule(client, sender) : null;
+  if (rule?.list === 'block') {
+    return { action: 'block', score: 0, reasons: [`Sender is blocked (${rule.value})`], auth };
+  }
+  if (rule?.list === 'allow' && !authFailed) {
+    return { action: 'deliver', score: 0, reasons: [`Sender is allowed (${rule.value})`], auth };
+  }
+
+  const { score, reasons } = scoreEmail(email, auth);
+  if (rule?.list === 'allow') {
+    reasons.unshift(`Sender is allowed (${rule.value}) but failed authentication`);
+  }
+  return { action: score >= SPAM_THRESHOLD ? 'quarantine' : 'deliver', score, reasons, auth };
+}
+
+export async function quarantineEmail(client, email, verdict) {
+  const quarantinedAt = new Date().toISOString();
+  await client.set(`quarantine:${email.id}`, JSON.stringify({ ...email, verdict, quarantinedAt }));
+  await client.zAdd('quarantine', { score: Date.parse(quarantinedAt), value: email.id });
+  logger.log('[spam-filter] Email quarantined:', { id: email.id, score: verdict.score });
+}
+
+export async function getQuarantined(client, id) {
+  if (!id || typeof id !== 'string') {
+    return null;
+  }
+  const stored = await client.get(`quarantine:${id}`);
+  return stored ? JSON.parse(stored) : null;
+}
+
+// Quarantined emails, newest first, without their bodies
+export async function listQuarantined(client) {
+  const ids = await client.zRange('quarantine', 0, -1, { REV: true });
+  const emails = [];
+  for (const id of ids) {
+    const email = await getQuarantined(client, id);
+    if (email) {
+      const { html, text, headers, ...summary } = email;
+      emails.push(summary);
+    }
+  }
+  return emails;
+}
+
+export async function removeQuarantined(client, id) {
+  await client.zRem('quarantine', id);
+  await client.del(`quarantine:${id}`);
+}
+
+// Quarantine is not a place to keep mail; nobody misses spam after a month
+export async function purgeExpiredQuarantine(client, now = Date.now()) {
+  const cutoff = now - QUARANTINE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const expired = await client.zRangeByScore('quarantine', '-inf', cutoff);
+  for (const id of expired) {
+    await removeQuarantined(client, id);
+  }
+  if (expired.length > 0) {
+    logger.log('[spam-filter] Purged', expired.length, 'expired emails from quarantine');
+  }
+  return expired.length;
+}
@@ -0,0 +1,166 @@
+// Storage for the API routes
+// STORAGE_BACKEND picks where data lives: 'redis' (the default, needs REDIS_URL) or 'memory', which keeps
+// everything in this process so the API can run locally without a Redis server. The memory client takes
+// the same commands as the Redis client, so the helpers that are handed a client work with either one.
+//
+// Redis layout for messages:
+//   email:<id>             JSON of a received email, including its full content
+//   emails                 list of JSON summaries of received emails, newest first
+//   email:<id>:replies     list of JSON records of replies sent to that email, newest first
+//   sent-emails            list of JSON records of every sent email, newest first
+//   sent:<id>              JSON of the same record, to look one up by its id
+
+import { getRedisClient, parseJsonList, replaceListEntry } from './redis.js';
+import { createMemoryClient } from './memory-client.js';
+import { indexEmail } from './email-index.js';
+import { addToThread, threadingFields } from './threads.js';
+import { recordContacts } from './address-book.js';
+import logger from './logger.js';
+
+const BACKENDS = ['redis', 'memory'];
+
+let memoryClient = null;
+
+export function getStorageBackend() {
+  const backend = (process.env.STORAGE_BACKEND || 'redis').toLowerCase();
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`STORAGE_BACKEND must be one of: ${BACKENDS.join(', ')}`);
+  }
+  return backend;
+}
+
+// One in-memory client per instance; on serverless each cold start begins empty
+export function getMemoryClient() {
+  if (!memoryClient) {
+    logger.warn('[storage] Using in-memory storage; data is lost when this instance stops');
+    memoryClient = createMemoryClient();
+  }
+  return memoryClient;
+}
+
+// The client for the configured backend; every API module gets its client here
+export async function getStorageClient() {
+  return getStorageBackend() === 'memory' ? getMemoryClient() : getRedisClient();
+}
+
+// Store a received email: the full message under email:<id>, its summary at the head of the
+// inbox list, and the date, filter and search indexes
+export async function saveInbound(client, email, summary) {
+  await client.set(`email:${email.id}`, JSON.stringify(email));
+  const length = await client.lPush('emails', JSON.stringify(summary));
+  await indexEmail(client, email);
+  return length;
+}
+
+// Put a received email in the inbox: assign it to a conversation, save it as above and note the sender in
+// the address book.
+// email is the full record; its inbox summary is taken from it. Returns the inbox length.
+export async function storeReceivedEmail(client, email) {
+  // Indexing problems must not lose the email itself
+  try {
+    email.threadId = await addToThread(client, {
+      direction: 'inbound',
+      id: email.id,
+      ...threadingFields(email.headers),
+      subject: email.subject,
+      from: email.from,
+      to: email.to,
+      cc: email.cc,
+      at: email.receivedAt,
+      snippet: email.snippet,
+    });
+  } catch (threadError) {
+    logger.error('[storage] Error updating thread index:', threadError.message);
+    email.threadId = null;
+  }
+
+  const { id, from, to, subject, receivedAt, snippet, attachmentCount, threadId } = email;
+  const length = await saveInbound(client, email, { id, from, to, subject, receivedAt, snippet, attachmentCount, threadId });
+  await recordContacts(client, 'received', { id, from, subject, at: receivedAt, threadId });
+  return length;
+}
+
+// Emails received before full content was stored only exist as summaries in the 'emails' list
+async function findLegacySummary(client, id) {
+  const emails = parseJsonList(await client.lRange('emails', 0, -1), 'storage');
+  return emails.find(email => email.id === id) || null;
+}
+
+// A received email by id, or null. Pass { includeLegacy: true } to fall back to the summary list.
+export async function getEmail(client, id, { includeLegacy = false } = {}) {
+  const stored = await client.get(`email:${id}`);
+  if (stored) {
+    return JSON.parse(stored);
+  }
+  if (!includeLegacy) {
+    return null;
+  }
+  logger.debug('[storage] No full record, checking legacy summaries for', id);
+  return findLegacySummary(client, id);
+}
+
+// Replies sent to a received email, oldest first
+export async function listReplies(client, id) {
+  return parseJsonList(await client.lRange(`email:${id}:replies`, 0, -1), 'storage').reverse();
+}
+
+// Append a sent email to the audit list, and to the original's replies when it answers one
+export async function recordSend(client, record) {
+  const recordJson = JSON.stringify(record);
+  await client.lPush('sent-emails', recordJson);
+  if (record.id) {
+    await client.set(`sent:${record.id}`, recordJson);
+  }
+  if (record.inReplyTo) {
+    await client.lPush(`email:${record.inReplyTo}:replies`, recordJson);
+  }
+}
+
+export async function getSentRecord(client, id) {
+  if (!id || typeof id !== 'string') {
+    return null;
+  }
+  const stored = await client.get(`sent:${id}`);
+  return stored ? JSON.parse(stored) : null;
+}
+
+// Every sent record with the JSON it is stored as, newest first, for the purge and privacy requests
+export async function listSentEntries(client) {
+  const entries = [];
+  for (const raw of await client.lRange('sent-emails', 0, -1)) {
+    try {
+      entries.push({ raw, record: JSON.parse(raw) });
+    } catch (error) {
+      logger.warn('[storage] Skipping unreadable sent record');
+    }
+  }
+  return entries;
+}
+
+// Take a sent record out of the sent list and its original's replies; raw is the JSON it is stored as
+export async function removeSentRecord(client, raw, record) {
+  await client.lRem('sent-emails', 1, raw);
+  if (record.id) {
+    await client.del(`sent:${record.id}`);
+  }
+  if (record.inReplyTo) {
+    await client.lRem(`email:${record.inReplyTo}:replies`, 1, raw);
+  }
+}
+
+// Store a changed copy of a sent record in place of raw, in both lists and under its id
+export async function replaceSentRecord(client, raw, record) {
+  const updated = JSON.stringify(record);
+  await replaceListEntry(client, 'sent-emails', raw, updated, { growsAtHead: true });
+  if (record.id) {
+    await client.set(`sent:${record.id}`, updated);
+  }
+  if (record.inReplyTo) {
+    await replaceListEntry(client, `email:${record.inReplyTo}:replies`, raw, updated, { growsAtHead: true });
+  }
+}
+
+// The most recent sent emails, newest first
+export async function listSentEmails(client, limit = 100) {
+  return parseJsonList(await client.lRange('sent-emails', 0, limit - 1), 'storage');
+}
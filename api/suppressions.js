@@ -0,0 +1,116 @@
+// /api/suppressions.js
+import { withRateLimit, apiRateLimitOptions } from './rate-limit.js';
+import { withAuth, hasRole } from './auth.js';
+import { getStorageClient } from './storage.js';
+import {
+  listSuppressions,
+  suppressAddress,
+  unsuppressAddress,
+  listUnattributed,
+  getUnattributed,
+  dismissUnattributed,
+} from './delivery.js';
+import logger, { withRequestId } from './logger.js';
+
+const MAX_REASON_LENGTH = 200;
+
+function isValidEmail(email) {
+  if (!email || typeof email !== 'string') {
+    return false;
+  }
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailRegex.test(email.trim());
+}
+
+// Addresses send-email refuses to deliver to:
+// GET returns { suppressions, unattributed }, where unattributed lists bounces and complaints on emails to
+// several people that didn't say who they were about (see delivery.js).
+// POST { address, reason? } adds an address, DELETE ?address= removes one.
+// POST { address, emailId } suppresses one recipient of an unattributed entry and resolves it;
+// DELETE ?emailId= dismisses the entry without suppressing anyone.
+async function suppressionsHandler(req, res) {
+  logger.debug('[suppressions] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString(),
+    user: req.user?.id
+  });
+
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    logger.warn('[suppressions] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const client = await getStorageClient();
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        suppressions: await listSuppressions(client),
+        unattributed: await listUnattributed(client),
+      });
+    }
+
+    // Anyone can see the list, but only owners can change who is blocked
+    if (!hasRole(req.user, ['owner'])) {
+      return res.status(403).json({ error: 'Only an owner can change the suppression list.' });
+    }
+
+    if (req.method === 'POST') {
+      const { address, reason, emailId } = req.body || {};
+      if (!isValidEmail(address)) {
+        return res.status(400).json({ error: 'A valid email address is required.' });
+      }
+      if (emailId !== undefined) {
+        const entry = await getUnattributed(client, emailId);
+        if (!entry) {
+          return res.status(404).json({ error: 'That bounce or complaint has already been resolved.' });
+        }
+        if (!entry.recipients.includes(address.trim().toLowerCase())) {
+          return res.status(400).json({ error: 'That address was not a recipient of the email.' });
+        }
+        await suppressAddress(client, address, { reason: entry.reason, emailId: entry.emailId, at: entry.at });
+        await dismissUnattributed(client, entry.emailId);
+        logger.log('[suppressions] Unattributed event resolved by', req.user.id);
+        return res.status(200).json({ message: 'Address suppressed.' });
+      }
+      await suppressAddress(client, address, {
+        reason: typeof reason === 'string' && reason.trim() ? reason.trim().substring(0, MAX_REASON_LENGTH) : undefined,
+      });
+      logger.log('[suppressions] Address added by', req.user.id);
+      return res.status(200).json({ message: 'Address suppressed.' });
+    }
+
+    const { address, emailId } = req.query || {};
+    if (emailId) {
+      if (!(await dismissUnattributed(client, String(emailId)))) {
+        return res.status(404).json({ error: 'That bounce or complaint has already been resolved.' });
+      }
+      logger.log('[suppressions] Unattributed event dismissed by', req.user.id);
+      return res.status(200).json({ message: 'Dismissed without suppressing anyone.' });
+    }
+    if (!address || typeof address !== 'string') {
+      return res.status(400).json({ error: 'Email address is required.' });
+    }
+    const removed = await unsuppressAddress(client, address);
+    if (!removed) {
+      return res.status(404).json({ error: 'Address is not suppressed.' });
+    }
+    logger.log('[suppressions] Address removed by', req.user.id);
+    res.status(200).json({ message: 'Address removed from the suppression list.' });
+
+  } catch (error) {
+    logger.error('[suppressions] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to update suppression list.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler with rate limiting and authentication
+export default withRequestId(withRateLimit(withAuth(suppressionsHandler), apiRateLimitOptions));
@@ -0,0 +1,120 @@
+// /api/templates.js
+import { withRateLimit, apiRateLimitOptions } from './rate-limit.js';
+import { withAuth, hasRole } from './auth.js';
+import { getStorageClient } from './storage.js';
+import {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  renderTemplate,
+  validateTemplateInput,
+} from './email-templates.js';
+import { sanitizeEmailHtml, prepareOutgoingHtml } from './sanitize.js';
+import logger, { withRequestId } from './logger.js';
+
+const TEMPLATE_ACTIONS = ['create', 'update', 'delete', 'preview'];
+
+// Email templates:
+// GET lists templates; GET ?id= returns one.
+// POST { action: 'create', name, subject, html, defaults } and { action: 'update', id, ... } save one,
+// POST { action: 'delete', id } removes one. Viewers can't change templates.
+// POST { action: 'preview', id | { subject, html, defaults }, variables } renders without saving,
+// so unsaved edits can be previewed too; returns { subject, html, missing }.
+async function templatesHandler(req, res) {
+  logger.debug('[templates] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString(),
+    user: req.user?.id
+  });
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    logger.warn('[templates] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const client = await getStorageClient();
+
+    if (req.method === 'GET') {
+      const { id } = req.query || {};
+      if (id) {
+        const template = await getTemplate(client, String(id));
+        return template
+          ? res.status(200).json(template)
+          : res.status(404).json({ error: 'Template not found.' });
+      }
+      return res.status(200).json(await listTemplates(client));
+    }
+
+    const { action, id, variables } = req.body || {};
+
+    if (!TEMPLATE_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: 'Unknown action.' });
+    }
+    if (variables !== undefined && (typeof variables !== 'object' || variables === null || Array.isArray(variables))) {
+      return res.status(400).json({ error: 'Variables must be an object of names to values.' });
+    }
+
+    if (action === 'preview') {
+      let template;
+      if (id) {
+        template = await getTemplate(client, id);
+        if (!template) {
+          return res.status(404).json({ error: 'Template not found.' });
+        }
+      } else {
+        const { subject, html, defaults } = req.body;
+        template = { subject: String(subject || ''), html: String(html || ''), defaults: defaults || {} };
+      }
+      const rendered = renderTemplate(template, variables);
+      // Show what would actually go out, with CSS inlined, then make it safe to display here
+      return res.status(200).json({ ...rendered, html: sanitizeEmailHtml(prepareOutgoingHtml(rendered.html).html) });
+    }
+
+    if (!hasRole(req.user, ['owner', 'sender'])) {
+      return res.status(403).json({ error: 'You do not have permission to do this.' });
+    }
+
+    if (action === 'create') {
+      const { template, error } = validateTemplateInput(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      return res.status(200).json(await createTemplate(client, template, req.user.id));
+    }
+
+    const existing = await getTemplate(client, id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Template not found.' });
+    }
+
+    if (action === 'delete') {
+      await deleteTemplate(client, existing.id);
+      logger.log('[templates] Template deleted:', { id: existing.id, by: req.user.id });
+      return res.status(200).json({ message: 'Template deleted.' });
+    }
+
+    const { template, error } = validateTemplateInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.status(200).json(await updateTemplate(client, existing.id, template, req.user.id));
+
+  } catch (error) {
+    logger.error('[templates] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to manage templates.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler with rate limiting and authentication
+export default withRequestId(withRateLimit(withAuth(templatesHandler), apiRateLimitOptions));
@@ -0,0 +1,20 @@
+// Plain-text helpers shared by the indexing and storage code
+
+// Lowercase words of two or more letters/digits, deduplicated
+export function tokenize(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [];
+  return [...new Set(words)];
+}
+
+// Escape text for use in HTML content and attribute values
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,227 @@
+// Conversation threading for inbound and outbound mail
+//
+// Redis layout:
+//   threads                  sorted set of thread ids scored by last activity (ms)
+//   thread:<id>              hash with subject, messageCount, lastAt, lastParticipant, participants
+//   thread:<id>:messages     list of message summaries, oldest first
+//   threads:message-ids      hash of Message-ID -> thread id
+//   threads:subjects         hash of normalized subject -> thread id (fallback matching)
+
+import crypto from 'crypto';
+import { getHeader, parseMessageIds } from './message-headers.js';
+import { replaceListEntry } from './redis.js';
+import logger from './logger.js';
+
+// Subject matching only joins threads that were active recently
+const SUBJECT_MATCH_WINDOW_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Our own mailboxes appear in almost every thread, so they don't count as a shared participant
+const INTERNAL_DOMAIN = '@warmthly.org';
+
+// "Re: Fwd: Hello  world" -> "hello world"
+export function normalizeSubject(subject) {
+  if (!subject || typeof subject !== 'string') {
+    return '';
+  }
+  return subject
+    .replace(/^\s*((re|fw|fwd|aw|sv)(\[\d+\])?\s*:\s*)+/i, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+// Bare lowercase addresses from a string, "Name <address>" entries or an array of either
+export function extractAddresses(value) {
+  if (!value) {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list
+    .map(entry => {
+      const text = String(entry);
+      const match = text.match(/<([^<>]+)>/);
+      return (match ? match[1] : text).trim().toLowerCase();
+    })
+    .filter(address => address.includes('@'));
+}
+
+// Build the threading fields for a stored message from its headers
+export function threadingFields(headers) {
+  return {
+    messageId: parseMessageIds(getHeader(headers, 'Message-ID'))[0] || null,
+    inReplyTo: parseMessageIds(getHeader(headers, 'In-Reply-To'))[0] || null,
+    references: parseMessageIds(getHeader(headers, 'References')),
+  };
+}
+
+async function findThreadId(client, message, participants) {
+  // 1. Header chain: the closest ancestor we know about wins
+  const ancestors = [message.inReplyTo, ...[...(message.references || [])].reverse()].filter(Boolean);
+  for (const ancestor of ancestors) {
+    const threadId = await client.hGet('threads:message-ids', ancestor);
+    if (threadId) {
+      return threadId;
+    }
+  }
+
+  // 2. Explicit hint, e.g. a reply sent from the admin UI to a message without a Message-ID
+  if (message.threadId) {
+    const exists = await client.exists(`thread:${message.threadId}`);
+    if (exists) {
+      return message.threadId;
+    }
+  }
+
+  // 3. Normalized subject among recent threads that share a participant
+  const subjectKey = normalizeSubject(message.subject);
+  if (!subjectKey) {
+    return null;
+  }
+  const threadId = await client.hGet('threads:subjects', subjectKey);
+  if (!threadId) {
+    return null;
+  }
+  const thread = await client.hGetAll(`thread:${threadId}`);
+  if (!thread || !thread.lastAt) {
+    return null;
+  }
+  const recent = Date.parse(message.at) - Date.parse(thread.lastAt) < SUBJECT_MATCH_WINDOW_MS;
+  const threadParticipants = JSON.parse(thread.participants || '[]');
+  const overlaps = participants.some(address => !address.endsWith(INTERNAL_DOMAIN) && threadParticipants.includes(address));
+  return recent && overlaps ? threadId : null;
+}
+
+// Add a message to its conversation, creating a new thread when nothing matches.
+// message: { direction, id, messageId, inReplyTo, references, threadId, subject, from, to, cc, at, snippet }
+// Returns the thread id.
+export async function addToThread(client, message) {
+  const participants = [...new Set([
+    ...extractAddresses(message.from),
+    ...extractAddresses(message.to),
+    ...extractAddresses(message.cc),
+  ])];
+
+  let threadId = await findThreadId(client, message, participants);
+  const isNewThread = !threadId;
+  if (isNewThread) {
+    threadId = crypto.randomUUID();
+  }
+
+  const existing = isNewThread ? {} : await client.hGetAll(`thread:${threadId}`);
+  const mergedParticipants = [...new Set([...JSON.parse(existing.participants || '[]'), ...participants])];
+  const at = message.at || new Date().toISOString();
+  const isLatest = !existing.lastAt || Date.parse(at) >= Date.parse(existing.lastAt);
+
+  await client.rPush(`thread:${threadId}:messages`, JSON.stringify({
+    direction: message.direction,
+    id: message.id,
+    messageId: message.messageId || null,
+    subject: message.subject,
+    from: message.from,
+    to: message.to,
+    at,
+    snippet: message.snippet || '',
+  }));
+
+  const meta = {
+    id: threadId,
+    subject: existing.subject || message.subject || '(No Subject)',
+    messageCount: String(Number(existing.messageCount || 0) + 1),
+    participants: JSON.stringify(mergedParticipants),
+  };
+  if (isLatest) {
+    meta.lastAt = at;
+    meta.lastParticipant = message.from || 'Unknown';
+    meta.lastDirection = message.direction;
+  }
+  await client.hSet(`thread:${threadId}`, meta);
+  await client.zAdd('threads', { score: Date.parse(meta.lastAt || existing.lastAt) || Date.now(), value: threadId });
+
+  if (message.messageId) {
+    await client.hSet('threads:message-ids', message.messageId, threadId);
+  }
+  const subjectKey = normalizeSubject(message.subject);
+  if (subjectKey) {
+    await client.hSet('threads:subjects', subjectKey, threadId);
+  }
+
+  logger.debug('[threads] Message added to thread:', { threadId, isNewThread, direction: message.direction });
+  return threadId;
+}
+
+// Most recently active threads, newest first
+export async function listThreads(client, limit = 100) {
+  const ids = await client.zRange('threads', 0, limit - 1, { REV: true });
+  const threads = await Promise.all(ids.map(id => client.hGetAll(`thread:${id}`)));
+  return threads
+    .filter(thread => thread && thread.id)
+    .map(thread => ({
+      id: thread.id,
+      subject: thread.subject,
+      messageCount: Number(thread.messageCount || 0),
+      lastAt: thread.lastAt,
+      lastParticipant: thread.lastParticipant,
+      lastDirection: thread.lastDirection,
+      participants: JSON.parse(thread.participants || '[]'),
+    }));
+}
+
+// Every message in a thread, oldest first
+export async function getThreadMessages(client, threadId) {
+  const messages = await client.lRange(`thread:${threadId}:messages`, 0, -1);
+  return messages.map(message => JSON.parse(message));
+}
+
+// Ids of the threads an address took part in
+export async function findThreadsWithParticipant(client, address) {
+  const ids = [];
+  for (const id of await client.zRange('threads', 0, -1)) {
+    const participants = JSON.parse((await client.hGet(`thread:${id}`, 'participants')) || '[]');
+    if (participants.includes(address)) {
+      ids.push(id);
+    }
+  }
+  return ids;
+}
+
+// Take an address out of a thread for a privacy erasure. It leaves the participants, and rewrite(message)
+// returns a cleaned copy of each message summary mentioning it; the thread's subject and last participant
+// go through rewrite too, as { subject, from }.
+export async function removeThreadParticipant(client, threadId, address, rewrite) {
+  const thread = await client.hGetAll(`thread:${threadId}`);
+  if (!thread || !thread.id) {
+    return;
+  }
+  const cleaned = rewrite({ subject: thread.subject, from: thread.lastParticipant });
+  await client.hSet(`thread:${threadId}`, {
+    subject: cleaned.subject,
+    lastParticipant: cleaned.from,
+    participants: JSON.stringify(JSON.parse(thread.participants || '[]').filter(participant => participant !== address)),
+  });
+
+  const key = `thread:${threadId}:messages`;
+  for (const raw of await client.lRange(key, 0, -1)) {
+    if (raw.toLowerCase().includes(address)) {
+      await replaceListEntry(client, key, raw, JSON.stringify(rewrite(JSON.parse(raw))));
+    }
+  }
+}
+
+// Drop a permanently deleted message from its thread, removing the thread once it is empty
+export async function removeFromThread(client, threadId, messageId) {
+  const key = `thread:${threadId}:messages`;
+  const messages = await client.lRange(key, 0, -1);
+  const match = messages.find(message => JSON.parse(message).id === messageId);
+  if (!match) {
+    return;
+  }
+
+  await client.lRem(key, 1, match);
+  const remaining = await client.lLen(key);
+  if (remaining === 0) {
+    await client.del(`thread:${threadId}`);
+    await client.zRem('threads', threadId);
+    return;
+  }
+  await client.hSet(`thread:${threadId}`, 'messageCount', String(remaining));
+}
@@ -0,0 +1,105 @@
+// Time-based one-time passwords (RFC 6238, on top of RFC 4226 HOTP) using node's crypto only.
+// Parameters match what authenticator apps assume by default: SHA-1, 6 digits, 30 second steps.
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_BYTES = 20;
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// Accept one step either side to allow for clock drift between server and phone
+const DRIFT_STEPS = 1;
+const ISSUER = 'Warmthly';
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+export function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// New base32 shared secret for an authenticator app
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+// RFC 4226 section 5.3: HMAC the big-endian counter, then dynamic truncation
+export function hotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+}
+
+export function timeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+export function totp(secret, now = Date.now()) {
+  return hotp(secret, timeStep(now));
+}
+
+// Returns the time step the code matched, or null. Callers store the step so a code can't be replayed.
+export function verifyTotp(secret, code, { now = Date.now(), afterStep = -1 } = {}) {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(clean)) {
+    return null;
+  }
+  const current = timeStep(now);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    if (step <= afterStep) {
+      continue;
+    }
+    if (crypto.timingSafeEqual(Buffer.from(hotp(secret, step)), Buffer.from(clean))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+// Key URI understood by authenticator apps, usually shown as a QR code
+// https://github.com/google/google-authenticator/wiki/Key-Uri-Format
+export function buildOtpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
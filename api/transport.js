@@ -0,0 +1,191 @@
+// Mail transports behind deliverEmail, chosen with MAIL_TRANSPORT
+//   live       (default) every message goes out through Resend
+//   sandbox    nothing is delivered; each fully rendered message is captured in the sandbox outbox instead
+//   allowlist  only recipients on MAIL_ALLOWLIST get the message through Resend. The others are withheld,
+//              and a message with withheld recipients is captured as well so it can be checked. When none of
+//              the to recipients is allowed nothing goes out, since Resend needs someone to address it to.
+// MAIL_ALLOWLIST is a comma-separated list of addresses and @domain entries:
+//   MAIL_ALLOWLIST="desk@warmthly.org, @warmthly.org"
+//
+// Redis layout:
+//   sandbox-outbox            sorted set of captured message ids by capture time (ms)
+//   sandbox-message:<id>      JSON { id, mode, capturedAt, from, to, cc, bcc, replyTo, subject, html, text,
+//                             headers, attachments, withheld, deliveredId }
+// Attachments are captured as metadata only, like sent records. A send that was only captured still gets a sent
+// record, marked with capturedId, but stays out of conversations and the address book.
+
+import crypto from 'crypto';
+import { Resend } from 'resend';
+import { parseAddressList } from './addresses.js';
+import { attachmentMetadata } from './attachments.js';
+import logger from './logger.js';
+
+const MODES = ['live', 'sandbox', 'allowlist'];
+const MAX_CAPTURED = 200;
+
+// Created on first use, so sandbox mode works without an API key
+let resend = null;
+
+export function getTransportMode() {
+  const mode = (process.env.MAIL_TRANSPORT || 'live').trim().toLowerCase();
+  if (!MODES.includes(mode)) {
+    throw new Error(`MAIL_TRANSPORT must be one of: ${MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+// Lowercased addresses and '@domain' entries from MAIL_ALLOWLIST
+export function getAllowlist() {
+  return (process.env.MAIL_ALLOWLIST || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Whether mail can be sent with the current settings: a known mode, and an API key unless nothing is delivered
+export function isTransportConfigured() {
+  try {
+    return getTransportMode() === 'sandbox' || Boolean(process.env.RESEND_API_KEY);
+  } catch (error) {
+    logger.error('[transport] Invalid transport:', error.message);
+    return false;
+  }
+}
+
+function isAllowed(recipient, allowlist) {
+  const { addresses } = parseAddressList(recipient);
+  if (addresses.length !== 1) {
+    return false;
+  }
+  const address = addresses[0].address.toLowerCase();
+  return allowlist.some(entry => entry.startsWith('@') ? address.endsWith(entry) : address === entry);
+}
+
+async function sendThroughResend({ from, to, cc, bcc, replyTo, subject, html, text, headers, attachments }) {
+  if (!resend) {
+    resend = new Resend(process.env.RESEND_API_KEY);
+  }
+  return resend.emails.send({
+    from,
+    to,
+    cc: cc.length > 0 ? cc : undefined,
+    bcc: bcc.length > 0 ? bcc : undefined,
+    reply_to: replyTo.length > 0 ? replyTo : undefined,
+    subject,
+    html,
+    text,
+    headers,
+    attachments: attachments.length > 0
+      ? attachments.map(({ filename, contentType, content }) => ({ filename, content, content_type: contentType }))
+      : undefined,
+  });
+}
+
+async function captureMessage(client, mode, message, { withheld = [], deliveredId = null } = {}) {
+  const capturedAt = new Date().toISOString();
+  const entry = {
+    id: `sandbox-${crypto.randomUUID()}`,
+    mode,
+    capturedAt,
+    from: message.from,
+    to: message.to,
+    cc: message.cc,
+    bcc: message.bcc,
+    replyTo: message.replyTo,
+    subject: message.subject,
+    html: message.html,
+    text: message.text,
+    headers: message.headers,
+    attachments: attachmentMetadata(message.attachments),
+    withheld,
+    deliveredId,
+  };
+  await client.set(`sandbox-message:${entry.id}`, JSON.stringify(entry));
+  await client.zAdd('sandbox-outbox', { score: Date.parse(capturedAt), value: entry.id });
+
+  // Keep the outbox bounded; the oldest captures go first
+  const overflow = (await client.zCard('sandbox-outbox')) - MAX_CAPTURED;
+  if (overflow > 0) {
+    for (const id of await client.zRange('sandbox-outbox', 0, overflow - 1)) {
+      await removeCapturedMessage(client, id);
+    }
+  }
+  logger.log('[transport] Message captured:', { id: entry.id, mode, withheld: withheld.length });
+  return entry;
+}
+
+// Hand a rendered message to the configured transport.
+// message: { from, to, cc, bcc, replyTo, subject, html, text, headers, attachments } with the address fields as
+// lists of formatted addresses and attachments as from validateAttachments.
+// Returns Resend's { data, error } plus transport: { mode, capturedId, withheld } describing what happened.
+// data.id is Resend's id when anything was delivered, otherwise the captured message's id.
+export async function sendMail(client, message) {
+  const mode = getTransportMode();
+  if (mode === 'live') {
+    const { data, error } = await sendThroughResend(message);
+    return { data, error, transport: { mode, capturedId: null, withheld: [] } };
+  }
+
+  if (mode === 'sandbox') {
+    const captured = await captureMessage(client, mode, message);
+    return { data: { id: captured.id }, error: null, transport: { mode, capturedId: captured.id, withheld: [] } };
+  }
+
+  const allowlist = getAllowlist();
+  const withheld = [];
+  const allowed = {};
+  for (const field of ['to', 'cc', 'bcc']) {
+    allowed[field] = [];
+    for (const recipient of message[field]) {
+      (isAllowed(recipient, allowlist) ? allowed[field] : withheld).push(recipient);
+    }
+  }
+  if (allowed.to.length === 0) {
+    withheld.push(...allowed.cc, ...allowed.bcc);
+    const captured = await captureMessage(client, mode, message, { withheld });
+    return { data: { id: captured.id }, error: null, transport: { mode, capturedId: captured.id, withheld } };
+  }
+
+  const { data, error } = await sendThroughResend({ ...message, ...allowed });
+  if (error || withheld.length === 0) {
+    return { data, error, transport: { mode, capturedId: null, withheld: [] } };
+  }
+  const captured = await captureMessage(client, mode, message, { withheld, deliveredId: data?.id || null });
+  return { data, error: null, transport: { mode, capturedId: captured.id, withheld } };
+}
+
+export async function getCapturedMessage(client, id) {
+  if (!id || typeof id !== 'string') {
+    return null;
+  }
+  const stored = await client.get(`sandbox-message:${id}`);
+  return stored ? JSON.parse(stored) : null;
+}
+
+// Captured messages newest first, without their bodies; a limit of 0 returns all of them
+export async function listCapturedMessages(client, limit = 100) {
+  const ids = await client.zRange('sandbox-outbox', 0, limit > 0 ? limit - 1 : -1, { REV: true });
+  const messages = [];
+  for (const id of ids) {
+    const message = await getCapturedMessage(client, id);
+    if (message) {
+      const { html, text, headers, ...summary } = message;
+      messages.push(summary);
+    }
+  }
+  return messages;
+}
+
+export async function removeCapturedMessage(client, id) {
+  await client.zRem('sandbox-outbox', id);
+  await client.del(`sandbox-message:${id}`);
+}
+
+// Empty the outbox; returns how many messages were removed
+export async function clearCapturedMessages(client) {
+  const ids = await client.zRange('sandbox-outbox', 0, -1);
+  for (const id of ids) {
+    await removeCapturedMessage(client, id);
+  }
+  return ids.length;
+}
@@ -0,0 +1,109 @@
+// /api/two-factor.js
+import { withRateLimit, twoFactorRateLimitOptions } from './rate-limit.js';
+import { withAuth } from './auth.js';
+import { getStorageClient } from './storage.js';
+import {
+  getUser,
+  startTotpEnrollment,
+  confirmTotpEnrollment,
+  disableTotp,
+  generateRecoveryCodes,
+  countRecoveryCodes,
+  verifySecondFactor,
+} from './accounts.js';
+import { buildOtpauthUri } from './totp.js';
+import logger, { withRequestId } from './logger.js';
+
+const TWO_FACTOR_ACTIONS = ['setup', 'enable', 'disable', 'recovery-codes'];
+
+// Two-factor settings for the signed-in account:
+// GET returns { enabled, recoveryCodesRemaining }.
+// POST { action: 'setup' } starts enrollment and returns { secret, otpauthUri }.
+// POST { action: 'enable', code } confirms enrollment and returns { recoveryCodes }.
+// POST { action: 'recovery-codes', code } replaces the recovery codes.
+// POST { action: 'disable', code | recoveryCode } turns two-factor off.
+async function twoFactorHandler(req, res) {
+  logger.debug('[two-factor] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString(),
+    user: req.user?.id
+  });
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    logger.warn('[two-factor] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const client = await getStorageClient();
+    const user = await getUser(client, req.user.id);
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        enabled: user.totpEnabled,
+        recoveryCodesRemaining: user.totpEnabled ? await countRecoveryCodes(client, user.id) : 0,
+      });
+    }
+
+    const { action, code, recoveryCode } = req.body || {};
+
+    if (!TWO_FACTOR_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: 'Unknown action.' });
+    }
+
+    if (action === 'setup') {
+      if (user.totpEnabled) {
+        return res.status(409).json({ error: 'Two-factor authentication is already enabled.' });
+      }
+      const secret = await startTotpEnrollment(client, user.id);
+      logger.log('[two-factor] Enrollment started:', user.id);
+      return res.status(200).json({ secret, otpauthUri: buildOtpauthUri(secret, user.email) });
+    }
+
+    if (action === 'enable') {
+      if (user.totpEnabled) {
+        return res.status(409).json({ error: 'Two-factor authentication is already enabled.' });
+      }
+      const step = await confirmTotpEnrollment(client, user, code);
+      if (step === null) {
+        return res.status(400).json({ error: 'That code did not match. Check the time on your device and try again.' });
+      }
+      const recoveryCodes = await generateRecoveryCodes(client, user.id);
+      return res.status(200).json({ enabled: true, recoveryCodes });
+    }
+
+    // Changing an active setup needs proof of the second factor, not just a session
+    if (!user.totpEnabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is not enabled.' });
+    }
+    // 400 rather than 401: the session is fine, and the admin UI treats a 401 as an expired one and retries
+    if (!await verifySecondFactor(client, user, { code, recoveryCode })) {
+      logger.warn('[two-factor] Incorrect code for', action, user.id);
+      return res.status(400).json({ error: 'Incorrect authentication code' });
+    }
+
+    if (action === 'recovery-codes') {
+      const recoveryCodes = await generateRecoveryCodes(client, user.id);
+      logger.log('[two-factor] Recovery codes regenerated:', user.id);
+      return res.status(200).json({ enabled: true, recoveryCodes });
+    }
+
+    await disableTotp(client, user.id);
+    res.status(200).json({ enabled: false });
+
+  } catch (error) {
+    logger.error('[two-factor] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to update two-factor authentication.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler with a tighter rate limit than other API routes, since it checks codes
+export default withRequestId(withRateLimit(withAuth(twoFactorHandler), twoFactorRateLimitOptions));
@@ -0,0 +1,78 @@
+// /api/update-emails.js
+import { withRateLimit, apiRateLimitOptions } from './rate-limit.js';
+import { withAuth } from './auth.js';
+import { getStorageClient } from './storage.js';
+import { EMAIL_ACTIONS, applyEmailAction, countUnread, normalizeLabel } from './email-state.js';
+import { getUser } from './accounts.js';
+import logger, { withRequestId } from './logger.js';
+
+const MAX_IDS_PER_REQUEST = 100;
+
+// Bulk state changes for received emails:
+// POST { ids: [...], action: 'read' | 'unread' | 'star' | 'unstar' | 'archive' | 'unarchive' |
+//        'trash' | 'restore' | 'delete' | 'label' | 'unlabel' | 'assign' | 'unassign', label?: string,
+//        assignee?: user id }
+async function updateEmailsHandler(req, res) {
+  logger.debug('[update-emails] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString(),
+    user: req.user?.id
+  });
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    logger.warn('[update-emails] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const { ids, action } = req.body || {};
+
+  if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string' || !id)) {
+    return res.status(400).json({ error: 'A non-empty list of email ids is required.' });
+  }
+
+  if (ids.length > MAX_IDS_PER_REQUEST) {
+    return res.status(400).json({ error: `At most ${MAX_IDS_PER_REQUEST} emails can be updated at once.` });
+  }
+
+  if (!EMAIL_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: 'Unknown action.' });
+  }
+
+  const label = normalizeLabel(req.body.label);
+  if ((action === 'label' || action === 'unlabel') && !label) {
+    return res.status(400).json({ error: 'A label is required.' });
+  }
+
+  try {
+    const client = await getStorageClient();
+
+    let assignee = null;
+    if (action === 'assign') {
+      assignee = typeof req.body.assignee === 'string' ? await getUser(client, req.body.assignee) : null;
+      if (!assignee || assignee.disabled) {
+        return res.status(400).json({ error: 'Choose a team member to assign the emails to.' });
+      }
+    }
+
+    const updated = await applyEmailAction(client, [...new Set(ids)], action, assignee ? assignee.id : label);
+    logger.log('[update-emails] Applied action:', { action, requested: ids.length, updated });
+
+    res.status(200).json({ updated, unreadCount: await countUnread(client) });
+
+  } catch (error) {
+    logger.error('[update-emails] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to update emails.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler with rate limiting and authentication; viewers have read-only access
+export default withRequestId(withRateLimit(withAuth(updateEmailsHandler, { roles: ['owner', 'sender'] }), apiRateLimitOptions));
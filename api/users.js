@@ -0,0 +1,147 @@
+// /api/users.js
+import { withRateLimit, apiRateLimitOptions } from './rate-limit.js';
+import { withAuth } from './auth.js';
+import { getStorageClient } from './storage.js';
+import {
+  ROLES,
+  listUsers,
+  getUser,
+  findUserByEmail,
+  createUser,
+  setPassword,
+  setDisabled,
+  setRole,
+  countOtherOwners,
+  disableTotp,
+  generateTemporaryPassword,
+  normalizeEmail,
+  publicUser,
+} from './accounts.js';
+import { revokeUserSessions } from './session-tokens.js';
+import logger, { withRequestId } from './logger.js';
+
+const USER_ACTIONS = ['invite', 'disable', 'enable', 'reset', 'reset-two-factor', 'role'];
+const MAX_NAME_LENGTH = 100;
+
+function isValidEmail(email) {
+  if (!email || typeof email !== 'string') {
+    return false;
+  }
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailRegex.test(email.trim());
+}
+
+// Owner-only account management:
+// GET lists accounts. POST { action: 'invite', email, name?, role } creates one,
+// POST { action: 'disable' | 'enable' | 'reset' | 'reset-two-factor', id } and { action: 'role', id, role } change one.
+// reset-two-factor is for users who lost both their authenticator and their recovery codes.
+// invite and reset return a temporary password that is shown only once.
+async function usersHandler(req, res) {
+  logger.debug('[users] Request received:', {
+    method: req.method,
+    timestamp: new Date().toISOString(),
+    user: req.user?.id
+  });
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    logger.warn('[users] Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const client = await getStorageClient();
+
+    if (req.method === 'GET') {
+      const users = await listUsers(client);
+      return res.status(200).json(users.map(publicUser));
+    }
+
+    const { action, id, email, name, role } = req.body || {};
+
+    if (!USER_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: 'Unknown action.' });
+    }
+
+    if (action === 'invite') {
+      if (!isValidEmail(email)) {
+        return res.status(400).json({ error: 'A valid email address is required.' });
+      }
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}.` });
+      }
+      if (await findUserByEmail(client, email)) {
+        return res.status(409).json({ error: 'An account with this email already exists.' });
+      }
+      const temporaryPassword = generateTemporaryPassword();
+      const user = await createUser(client, {
+        email: normalizeEmail(email),
+        name: typeof name === 'string' ? name.trim().substring(0, MAX_NAME_LENGTH) : '',
+        role,
+        password: temporaryPassword,
+        createdBy: req.user.id,
+      });
+      logger.log('[users] User invited:', { id: user.id, role, by: req.user.id });
+      return res.status(200).json({ user: publicUser(user), temporaryPassword });
+    }
+
+    const target = typeof id === 'string' && id ? await getUser(client, id) : null;
+    if (!target) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    // Owners can't lock themselves out, and there must always be one active owner left
+    const removesOwner = target.role === 'owner' && (action === 'disable' || (action === 'role' && role !== 'owner'));
+    if (removesOwner && target.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot disable or demote your own account.' });
+    }
+    if (removesOwner && await countOtherOwners(client, target.id) === 0) {
+      return res.status(400).json({ error: 'At least one active owner is required.' });
+    }
+
+    let temporaryPassword;
+    switch (action) {
+      case 'disable':
+        await setDisabled(client, target.id, true);
+        await revokeUserSessions(client, target.id);
+        break;
+      case 'enable':
+        await setDisabled(client, target.id, false);
+        break;
+      case 'reset':
+        temporaryPassword = generateTemporaryPassword();
+        await setPassword(client, target.id, temporaryPassword);
+        await revokeUserSessions(client, target.id);
+        break;
+      case 'reset-two-factor':
+        await disableTotp(client, target.id);
+        break;
+      case 'role':
+        if (!ROLES.includes(role)) {
+          return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}.` });
+        }
+        await setRole(client, target.id, role);
+        break;
+    }
+
+    logger.log('[users] Applied action:', { action, id: target.id, by: req.user.id });
+    res.status(200).json({
+      user: publicUser(await getUser(client, target.id)),
+      temporaryPassword,
+    });
+
+  } catch (error) {
+    logger.error('[users] Unexpected error:', {
+      message: error.message,
+      name: error.name,
+      code: error.code
+    });
+
+    res.status(500).json({
+      error: 'Failed to update users.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Export handler with rate limiting and owner-only authentication
+export default withRequestId(withRateLimit(withAuth(usersHandler, { roles: ['owner'] }), apiRateLimitOptions));
@@ -0,0 +1,161 @@
+// Contact counts from live mail, against the in-memory backend with mail captured by the sandbox transport.
+// Captured mail reaches nobody, so sends that should count are recorded the way the mailer records a delivered one.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.MAIL_TRANSPORT = 'sandbox';
+
+const { createMemoryClient } = await import('../api/memory-client.js');
+const { storeReceivedEmail, recordSend } = await import('../api/storage.js');
+const { deliverEmail } = await import('../api/mailer.js');
+const {
+  getContact,
+  ensureContactsBackfilled,
+  recordContacts,
+  validateContactInput,
+  createContact,
+  updateContact,
+} = await import('../api/address-book.js');
+
+test('a single received email counts once', async () => {
+  const client = createMemoryClient();
+  await storeReceivedEmail(client, {
+    id: 'e1',
+    from: 'Donor <donor@example.org>',
+    to: ['desk@warmthly.org'],
+    subject: 'Hello',
+    receivedAt: new Date().toISOString(),
+    headers: {},
+  });
+  await ensureContactsBackfilled(client);
+
+  const contact = await getContact(client, 'donor@example.org');
+  assert.equal(contact.receivedCount, 1);
+  assert.equal(contact.sentCount, 0);
+});
+
+test('a single sent email counts once for each recipient', async () => {
+  const client = createMemoryClient();
+  const record = {
+    id: 's1',
+    sentAt: new Date().toISOString(),
+    to: ['Jane <jane@example.org>'],
+    cc: ['sam@example.org'],
+    bcc: [],
+    subject: 'Thank you',
+  };
+  await recordSend(client, record);
+  await recordContacts(client, 'sent', { ...record, at: record.sentAt });
+  await ensureContactsBackfilled(client);
+
+  assert.equal((await getContact(client, 'jane@example.org')).sentCount, 1);
+  assert.equal((await getContact(client, 'sam@example.org')).sentCount, 1);
+});
+
+test('mail the sandbox captured adds no contacts or conversations', async () => {
+  const client = createMemoryClient();
+  const { record } = await deliverEmail(client, {
+    to: ['jane@example.org'],
+    subject: 'Test run',
+    html: '<p>Test</p>',
+  });
+  assert.equal(record.capturedId, record.id);
+  await ensureContactsBackfilled(client);
+
+  assert.equal(await getContact(client, 'jane@example.org'), null);
+  assert.equal(record.threadId, undefined);
+});
+
+test('recipients the allowlist withheld are not counted', async () => {
+  const client = createMemoryClient();
+  const record = {
+    id: 's2',
+    sentAt: new Date().toISOString(),
+    to: ['desk@example.org'],
+    cc: ['jane@example.org'],
+    bcc: [],
+    subject: 'Thank you',
+    transport: 'allowlist',
+    capturedId: 'sandbox-1',
+    withheld: ['jane@example.org'],
+  };
+  await recordSend(client, record);
+  await recordContacts(client, 'sent', { ...record, at: record.sentAt });
+
+  assert.equal((await getContact(client, 'desk@example.org')).sentCount, 1);
+  assert.equal(await getContact(client, 'jane@example.org'), null);
+});
+
+test('the same message stored twice counts once', async () => {
+  const client = createMemoryClient();
+  const email = {
+    id: 'e2',
+    from: 'donor@example.org',
+    to: ['desk@warmthly.org'],
+    subject: 'Released',
+    receivedAt: new Date().toISOString(),
+    headers: {},
+  };
+  await storeReceivedEmail(client, { ...email });
+  await storeReceivedEmail(client, { ...email });
+
+  assert.equal((await getContact(client, 'donor@example.org')).receivedCount, 1);
+});
+
+test('a backfill that fails part way is finished by the next one', async () => {
+  const client = createMemoryClient();
+  const receivedAt = new Date(Date.now() - 60000).toISOString();
+  for (const [id, from] of [['old1', 'first@example.org'], ['old2', 'second@example.org']]) {
+    await client.lPush('emails', JSON.stringify({ id, from, to: ['desk@warmthly.org'], subject: 'Old', receivedAt }));
+  }
+  await client.set('contacts:started', String(Date.now()));
+
+  const hIncrBy = client.hIncrBy.bind(client);
+  let calls = 0;
+  client.hIncrBy = async (...args) => {
+    if (++calls === 2) {
+      throw new Error('connection lost');
+    }
+    return hIncrBy(...args);
+  };
+  await assert.rejects(ensureContactsBackfilled(client));
+  assert.equal(await client.get('contacts:backfilled'), null);
+
+  await ensureContactsBackfilled(client);
+  assert.ok(await client.get('contacts:backfilled'));
+  assert.equal((await getContact(client, 'first@example.org')).receivedCount, 1);
+  assert.equal((await getContact(client, 'second@example.org')).receivedCount, 1);
+});
+
+test('a backfill already running is not repeated', async () => {
+  const client = createMemoryClient();
+  await client.lPush('emails', JSON.stringify({
+    id: 'old3',
+    from: 'donor@example.org',
+    to: ['desk@warmthly.org'],
+    subject: 'Old',
+    receivedAt: new Date(Date.now() - 60000).toISOString(),
+  }));
+  await client.set('contacts:backfilling', 'another-request', { EX: 120 });
+
+  await ensureContactsBackfilled(client);
+  assert.equal(await getContact(client, 'donor@example.org'), null);
+  assert.equal(await client.get('contacts:backfilling'), 'another-request');
+});
+
+test('an update keeps the fields it leaves out', async () => {
+  const client = createMemoryClient();
+  await createContact(client, 'donor@example.org', validateContactInput({
+    name: 'Dana Donor',
+    notes: 'Prefers email',
+    tags: 'monthly, board',
+  }).fields, 'u1');
+
+  const { fields } = validateContactInput({ notes: 'Prefers phone' });
+  assert.deepEqual(fields, { notes: 'Prefers phone' });
+  const contact = await updateContact(client, 'donor@example.org', fields, 'u1');
+  assert.equal(contact.name, 'Dana Donor');
+  assert.equal(contact.notes, 'Prefers phone');
+  assert.deepEqual(contact.tags, ['monthly', 'board']);
+});
@@ -0,0 +1,39 @@
+// Recipient lists as typed into the compose form
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAddressList, formatAddress } from '../api/addresses.js';
+
+test('a list splits on commas and semicolons outside quotes and angle brackets', () => {
+  assert.deepEqual(parseAddressList('"Doe, Jane" <jane@example.org>; bob@example.org, <sam@example.org>'), {
+    addresses: [
+      { name: 'Doe, Jane', address: 'jane@example.org' },
+      { name: '', address: 'bob@example.org' },
+      { name: '', address: 'sam@example.org' },
+    ],
+  });
+});
+
+test('arrays are parsed entry by entry', () => {
+  assert.deepEqual(parseAddressList(['Jane Doe <jane@example.org>', 'bob@example.org']).addresses, [
+    { name: 'Jane Doe', address: 'jane@example.org' },
+    { name: '', address: 'bob@example.org' },
+  ]);
+});
+
+test('empty input is an empty list', () => {
+  assert.deepEqual(parseAddressList(''), { addresses: [] });
+  assert.deepEqual(parseAddressList(undefined), { addresses: [] });
+});
+
+test('invalid mailboxes are reported', () => {
+  assert.match(parseAddressList('not-an-address').error, /"not-an-address" is not a valid email address/);
+  assert.match(parseAddressList('"Doe, Jane <jane@example.org>').error, /unclosed quote/);
+  assert.match(parseAddressList('Jane <jane@example.org>\r\nBcc: x@example.org').error, /not a valid email address/);
+  assert.match(parseAddressList('Jane <x> <jane@example.org>').error, /not a valid email address/);
+  assert.equal(parseAddressList([42]).error, 'Addresses must be text.');
+});
+
+test('formatted addresses parse back to the same mailbox', () => {
+  const mailbox = { name: 'Doe, "JD" Jane', address: 'jane@example.org' };
+  assert.deepEqual(parseAddressList(formatAddress(mailbox)).addresses, [mailbox]);
+});
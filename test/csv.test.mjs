@@ -0,0 +1,34 @@
+// Uploaded recipient lists
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseCsvRecords } from '../api/csv.js';
+
+test('quoted fields keep commas, line breaks and doubled quotes', () => {
+  assert.deepEqual(parseCsv('name,note\r\n"Doe, Jane","Said ""thanks""\ntwice"\n'), [
+    ['name', 'note'],
+    ['Doe, Jane', 'Said "thanks"\ntwice'],
+  ]);
+});
+
+test('a byte order mark, blank lines and a missing final newline are fine', () => {
+  assert.deepEqual(parseCsv('﻿email\n\njane@example.org\n ,\nbob@example.org'), [
+    ['email'],
+    ['jane@example.org'],
+    ['bob@example.org'],
+  ]);
+});
+
+test('an unterminated quote is an error', () => {
+  assert.throws(() => parseCsv('email\n"jane@example.org'), /Unterminated quoted field/);
+});
+
+test('records are keyed by the trimmed header row', () => {
+  assert.deepEqual(parseCsvRecords(' email , name,\njane@example.org, Jane ,ignored\nbob@example.org'), {
+    headers: ['email', 'name', ''],
+    records: [
+      { email: 'jane@example.org', name: 'Jane' },
+      { email: 'bob@example.org', name: '' },
+    ],
+  });
+  assert.deepEqual(parseCsvRecords(''), { headers: [], records: [] });
+});
@@ -0,0 +1,72 @@
+// Suppressions from bounces and complaints, against the in-memory backend with mail captured by the sandbox transport
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.MAIL_TRANSPORT = 'sandbox';
+
+const { createMemoryClient } = await import('../api/memory-client.js');
+const { listSentEntries, removeSentRecord, getSentRecord } = await import('../api/storage.js');
+const { deliverEmail } = await import('../api/mailer.js');
+const {
+  recordDeliveryEvent,
+  listSuppressions,
+  listUnattributed,
+  deleteDeliveryEvents,
+} = await import('../api/delivery.js');
+
+async function sendToGroup(client) {
+  const { record } = await deliverEmail(client, {
+    to: ['jane@example.org'],
+    cc: ['sam@example.org'],
+    subject: 'Thank you',
+    html: '<p>Thank you</p>',
+  });
+  return record;
+}
+
+function bounce(emailId, message) {
+  return {
+    type: 'email.bounced',
+    created_at: new Date().toISOString(),
+    data: { email_id: emailId, to: ['jane@example.org'], bounce: { type: 'Permanent', message } },
+  };
+}
+
+test('a bounce on a group email suppresses only the recipient it names', async () => {
+  const client = createMemoryClient();
+  const record = await sendToGroup(client);
+  await recordDeliveryEvent(client, bounce(record.id, '550 5.1.1 <sam@example.org>: mailbox unavailable'));
+
+  const suppressed = (await listSuppressions(client)).map(entry => entry.address);
+  assert.deepEqual(suppressed, ['sam@example.org']);
+});
+
+test('a complaint on a group email is kept for someone to resolve instead of suppressing anyone', async () => {
+  const client = createMemoryClient();
+  const record = await sendToGroup(client);
+  await recordDeliveryEvent(client, {
+    type: 'email.complained',
+    created_at: new Date().toISOString(),
+    data: { email_id: record.id, to: ['jane@example.org'] },
+  });
+
+  assert.deepEqual(await listSuppressions(client), []);
+  const [entry] = await listUnattributed(client);
+  assert.equal(entry.emailId, record.id);
+  assert.equal(entry.subject, 'Thank you');
+  assert.deepEqual(entry.recipients, ['jane@example.org', 'sam@example.org']);
+
+  await deleteDeliveryEvents(client, record.id);
+  assert.deepEqual(await listUnattributed(client), []);
+});
+
+test('a removed sent record can no longer be looked up by id', async () => {
+  const client = createMemoryClient();
+  const record = await sendToGroup(client);
+  assert.equal((await getSentRecord(client, record.id)).id, record.id);
+
+  const [{ raw }] = await listSentEntries(client);
+  await removeSentRecord(client, raw, record);
+  assert.equal(await getSentRecord(client, record.id), null);
+});
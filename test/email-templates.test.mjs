@@ -0,0 +1,45 @@
+// Filling {{variable}} placeholders in email templates
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'silent';
+
+const { renderTemplate, extractVariables } = await import('../api/email-templates.js');
+
+const template = {
+  subject: 'Thank you, {{ name }}',
+  html: '<p>Dear {{name}}, your gift of {{amount}} supports {{campaign}}.</p>',
+  defaults: { campaign: 'our winter appeal', amount: '' },
+};
+
+test('variables fill placeholders, falling back to defaults', () => {
+  assert.deepEqual(renderTemplate(template, { name: 'Jane', amount: '£20' }), {
+    subject: 'Thank you, Jane',
+    html: '<p>Dear Jane, your gift of £20 supports our winter appeal.</p>',
+    missing: [],
+  });
+});
+
+test('placeholders with no value are left as written and listed as missing', () => {
+  const { subject, html, missing } = renderTemplate(template, { name: '' });
+  assert.equal(subject, 'Thank you, {{ name }}');
+  assert.match(html, /your gift of \{\{amount\}\}/);
+  assert.deepEqual(missing, ['name', 'amount']);
+});
+
+test('values are escaped in the body but not the subject', () => {
+  const { subject, html } = renderTemplate(template, { name: 'Jane <b>"J"</b>', amount: '1' });
+  assert.equal(subject, 'Thank you, Jane <b>"J"</b>');
+  assert.doesNotMatch(html, /<b>/);
+  assert.match(html, /Jane &lt;b&gt;/);
+});
+
+test('placeholders named after Object members are not filled from its prototype', () => {
+  const { subject, missing } = renderTemplate({ subject: '{{constructor}} {{toString}} {{__proto__}}', html: '' }, {});
+  assert.equal(subject, '{{constructor}} {{toString}} {{__proto__}}');
+  assert.deepEqual(missing, ['constructor', 'toString', '__proto__']);
+});
+
+test('variables are listed in order of first appearance', () => {
+  assert.deepEqual(extractVariables(template.subject, template.html), ['name', 'amount', 'campaign']);
+});
@@ -0,0 +1,74 @@
+// The sliding window rate limiter, against the in-memory backend
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.STORAGE_BACKEND = 'memory';
+
+const { withRateLimit } = await import('../api/rate-limit.js');
+
+const START = Date.parse('2026-10-19T10:00:00Z');
+
+function limited(options) {
+  const limiter = withRateLimit(async (req, res) => res.status(200).json({ ok: true }), options);
+  return async (ip = '203.0.113.1') => {
+    const result = { status: 200, headers: {} };
+    const res = {
+      setHeader(name, value) { result.headers[name] = value; },
+      status(code) { result.status = code; return res; },
+      json(body) { result.body = body; return res; },
+    };
+    await limiter({ url: '/api/test', headers: { 'x-forwarded-for': ip } }, res);
+    return result;
+  };
+}
+
+test('requests are refused once the window is full, until the oldest one ages out', async t => {
+  let now = START;
+  t.mock.method(Date, 'now', () => now);
+  const request = limited({ name: 'window', windowMs: 60 * 1000, max: 3 });
+
+  for (const offset of [0, 10, 20]) {
+    now = START + offset * 1000;
+    assert.equal((await request()).status, 200);
+  }
+
+  now = START + 30 * 1000;
+  const refused = await request();
+  assert.equal(refused.status, 429);
+  assert.equal(refused.headers['Retry-After'], 30);
+  assert.equal(refused.headers['X-RateLimit-Remaining'], 0);
+
+  // The first request leaves the window at 60s, which frees exactly one slot
+  now = START + 61 * 1000;
+  assert.equal((await request()).status, 200);
+  now = START + 62 * 1000;
+  assert.equal((await request()).status, 429);
+});
+
+test('refused requests do not count against the window', async t => {
+  let now = START;
+  t.mock.method(Date, 'now', () => now);
+  const request = limited({ name: 'backoff', windowMs: 60 * 1000, max: 2 });
+
+  assert.equal((await request()).status, 200);
+  assert.equal((await request()).status, 200);
+  for (let i = 1; i <= 5; i++) {
+    now = START + i * 1000;
+    assert.equal((await request()).status, 429);
+  }
+
+  // Only the two allowed requests were recorded, so both slots are free once they age out
+  now = START + 61 * 1000;
+  assert.equal((await request()).status, 200);
+  assert.equal((await request()).status, 200);
+});
+
+test('each client has its own window', async t => {
+  t.mock.method(Date, 'now', () => START);
+  const request = limited({ name: 'per-ip', windowMs: 60 * 1000, max: 1 });
+
+  assert.equal((await request('203.0.113.1')).status, 200);
+  assert.equal((await request('203.0.113.1')).status, 429);
+  assert.equal((await request('203.0.113.2')).status, 200);
+});
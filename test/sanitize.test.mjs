@@ -0,0 +1,51 @@
+// HTML cleaning for received and outgoing mail
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeLink, sanitizeEmailHtml, prepareOutgoingHtml } from '../api/sanitize.js';
+
+test('normalizeLink makes typed links work from an inbox', () => {
+  assert.equal(normalizeLink('www.example.org'), 'https://www.example.org');
+  assert.equal(normalizeLink('example.org/donate?ref=mail'), 'https://example.org/donate?ref=mail');
+  assert.equal(normalizeLink('//example.org/page'), 'https://example.org/page');
+  assert.equal(normalizeLink('jane@example.org'), 'mailto:jane@example.org');
+  assert.equal(normalizeLink('  https://example.org  '), 'https://example.org');
+  assert.equal(normalizeLink('tel:+441234567890'), 'tel:+441234567890');
+});
+
+test('normalizeLink drops links that lead nowhere from an email', () => {
+  assert.equal(normalizeLink('/admin/emails.html'), '');
+  assert.equal(normalizeLink('#top'), '');
+  assert.equal(normalizeLink(''), '');
+  assert.equal(normalizeLink(undefined), '');
+});
+
+test('received HTML loses scripts, handlers and javascript: links', () => {
+  const html = sanitizeEmailHtml(
+    '<p onclick="steal()">Hi</p><script>steal()</script><img src="x" onerror="steal()"><a href="javascript:steal()">x</a>'
+  );
+  assert.doesNotMatch(html, /script|onclick|onerror|javascript:/);
+  assert.match(html, /<p>Hi<\/p>/);
+});
+
+test('received links open in a new tab without an opener', () => {
+  assert.equal(
+    sanitizeEmailHtml('<a href="https://example.org">Site</a>'),
+    '<a href="https://example.org" target="_blank" rel="noopener noreferrer">Site</a>'
+  );
+});
+
+test('outgoing HTML gets normalized links, inlined editor styles and a text version', () => {
+  const { html, text } = prepareOutgoingHtml(
+    '<p class="ql-align-center">Visit <a href="www.example.org">our site</a></p><p><a href="/relative">here</a></p>'
+  );
+  assert.match(html, /<p style="text-align: ?center;?">/);
+  assert.match(html, /<a href="https:\/\/www\.example\.org">our site<\/a>/);
+  assert.match(html, /<a>here<\/a>/);
+  assert.match(text, /Visit our site \[https:\/\/www\.example\.org\]/);
+});
+
+test('outgoing styles that can run code are dropped', () => {
+  const { html } = prepareOutgoingHtml('<p style="color: red; width: expression(alert(1))">Hi</p>');
+  assert.doesNotMatch(html, /expression/);
+  assert.match(html, /color: ?red/);
+});
@@ -0,0 +1,64 @@
+// Rotating refresh tokens, against the in-memory backend
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'silent';
+
+const { createMemoryClient } = await import('../api/memory-client.js');
+const { createSession, refreshSession, sessionExists, isTokenDenied } = await import('../api/session-tokens.js');
+
+const JWT_SECRET = 'test-secret';
+const user = { id: 'u1', role: 'owner' };
+const loadUser = async id => (id === user.id ? user : null);
+const req = { headers: { 'user-agent': 'test', 'x-forwarded-for': '203.0.113.1' } };
+
+function sessionIdOf(refreshToken) {
+  return refreshToken.split('.')[0];
+}
+
+test('a refresh token is exchanged for a new one', async () => {
+  const client = createMemoryClient();
+  const login = await createSession(client, user, req, JWT_SECRET);
+
+  const first = await refreshSession(client, login.refreshToken, loadUser, JWT_SECRET);
+  assert.ok(first.token);
+  assert.notEqual(first.refreshToken, login.refreshToken);
+  assert.equal(sessionIdOf(first.refreshToken), sessionIdOf(login.refreshToken));
+
+  const second = await refreshSession(client, first.refreshToken, loadUser, JWT_SECRET);
+  assert.ok(second.token);
+});
+
+test('reusing a rotated refresh token ends the session for everyone', async () => {
+  const client = createMemoryClient();
+  const login = await createSession(client, user, req, JWT_SECRET);
+  const sessionId = sessionIdOf(login.refreshToken);
+  const rotated = await refreshSession(client, login.refreshToken, loadUser, JWT_SECRET);
+
+  // Someone replays the token that was just rotated away
+  assert.equal(await refreshSession(client, login.refreshToken, loadUser, JWT_SECRET), null);
+  assert.equal(await sessionExists(client, sessionId), false);
+
+  // The rightful holder's newer tokens stop working too
+  assert.equal(await refreshSession(client, rotated.refreshToken, loadUser, JWT_SECRET), null);
+  const { jti } = JSON.parse(Buffer.from(rotated.token.split('.')[1], 'base64url').toString());
+  assert.equal(await isTokenDenied(client, jti), true);
+});
+
+test('an unknown refresh secret is refused without ending the session', async () => {
+  const client = createMemoryClient();
+  const login = await createSession(client, user, req, JWT_SECRET);
+  const sessionId = sessionIdOf(login.refreshToken);
+
+  assert.equal(await refreshSession(client, `${sessionId}.guessed`, loadUser, JWT_SECRET), null);
+  assert.equal(await refreshSession(client, 'malformed', loadUser, JWT_SECRET), null);
+  assert.equal(await sessionExists(client, sessionId), true);
+});
+
+test('a disabled account can not refresh', async () => {
+  const client = createMemoryClient();
+  const login = await createSession(client, user, req, JWT_SECRET);
+
+  assert.equal(await refreshSession(client, login.refreshToken, async () => ({ ...user, disabled: true }), JWT_SECRET), null);
+  assert.equal(await sessionExists(client, sessionIdOf(login.refreshToken)), false);
+});
@@ -0,0 +1,41 @@
+// Spam scoring of received mail, against the in-memory backend
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.SPAM_KEYWORDS = 'c++ course, $$$';
+
+const { createMemoryClient } = await import('../api/memory-client.js');
+const { evaluateEmail } = await import('../api/spam-filter.js');
+
+function email(text) {
+  return {
+    from: 'Donor <donor@example.org>',
+    subject: 'A question',
+    text,
+    headers: { 'Message-ID': '<1@example.org>', Date: 'Mon, 19 Oct 2026 10:00:00 +0000' },
+  };
+}
+
+async function spamPhrases(text) {
+  const { reasons } = await evaluateEmail(createMemoryClient(), email(text));
+  const reason = reasons.find(item => item.startsWith('Spam phrases: '));
+  return reason ? reason.slice('Spam phrases: '.length).split(', ') : [];
+}
+
+test('keywords inside longer words are not spam phrases', async () => {
+  assert.deepEqual(await spamPhrases('Our specialist will contact nowhere near as often. Thanks for the backlinking tip.'), []);
+});
+
+test('keywords match as whole words, across line breaks', async () => {
+  assert.deepEqual(await spamPhrases('Congratulations, you have\nwon! Claim your prize from the Casino.'), [
+    'casino',
+    'you have won',
+    'claim your prize',
+  ]);
+});
+
+test('keywords from SPAM_KEYWORDS match literally', async () => {
+  assert.deepEqual(await spamPhrases('Join our c++ course and earn $$$ today'), ['c++ course', '$$$']);
+  assert.deepEqual(await spamPhrases('Earn $$ today in our c course'), []);
+});
@@ -0,0 +1,44 @@
+// One-time passwords for two-factor sign-in
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { base32Encode, base32Decode, generateSecret, totp, timeStep, verifyTotp } from '../api/totp.js';
+
+// The SHA-1 key from the RFC 6238 test vectors, '12345678901234567890'
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+test('base32 round-trips and ignores spaces, dashes and case', () => {
+  assert.equal(SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.equal(base32Decode('gezd gnbv-gy3t qojq gezd gnbv gy3t qojq').toString(), '12345678901234567890');
+  assert.throws(() => base32Decode('GEZ1'), /Invalid base32 character/);
+  assert.equal(base32Decode(generateSecret()).length, 20);
+});
+
+test('codes match the RFC 6238 test vectors', () => {
+  assert.equal(totp(SECRET, 59 * 1000), '287082');
+  assert.equal(totp(SECRET, 1111111109 * 1000), '081804');
+  assert.equal(totp(SECRET, 1234567890 * 1000), '005924');
+  assert.equal(totp(SECRET, 2000000000 * 1000), '279037');
+});
+
+test('a code from one step either side is accepted, but no further', () => {
+  const now = 1111111109 * 1000;
+  const step = timeStep(now);
+  assert.equal(verifyTotp(SECRET, totp(SECRET, now - 30000), { now }), step - 1);
+  assert.equal(verifyTotp(SECRET, totp(SECRET, now + 30000), { now }), step + 1);
+  assert.equal(verifyTotp(SECRET, totp(SECRET, now - 60000), { now }), null);
+});
+
+test('a code can not be used again once its step is stored', () => {
+  const now = 1111111109 * 1000;
+  const code = totp(SECRET, now);
+  const step = verifyTotp(SECRET, code, { now });
+  assert.equal(step, timeStep(now));
+  assert.equal(verifyTotp(SECRET, code, { now, afterStep: step }), null);
+});
+
+test('malformed codes are rejected', () => {
+  assert.equal(verifyTotp(SECRET, '12345'), null);
+  assert.equal(verifyTotp(SECRET, 'abcdef'), null);
+  assert.equal(verifyTotp(SECRET, ''), null);
+  assert.equal(verifyTotp(SECRET, '081 804', { now: 1111111109 * 1000 }), timeStep(1111111109 * 1000));
+});